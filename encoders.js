@@ -0,0 +1,344 @@
+// ===============================
+// Encoders used by "Export animation"
+// - GifWriter: animated GIF89a (per-frame palette, LZW)
+// - ZipWriter: uncompressed (stored) .zip for PNG sequences
+// No dependencies; loaded before sketch.js.
+// ===============================
+
+// -------------------------
+// Byte buffer helper
+// -------------------------
+class ByteSink {
+  constructor() {
+    this.parts = [];
+    this.buf = new Uint8Array(1 << 16);
+    this.len = 0;
+    this.size = 0;
+  }
+
+  byte(b) {
+    if (this.len === this.buf.length) this.flush();
+    this.buf[this.len++] = b;
+    this.size++;
+  }
+
+  u16(v) {
+    this.byte(v & 255);
+    this.byte((v >>> 8) & 255);
+  }
+
+  u32(v) {
+    this.u16(v & 0xFFFF);
+    this.u16((v >>> 16) & 0xFFFF);
+  }
+
+  text(s) {
+    for (let i = 0; i < s.length; i++) this.byte(s.charCodeAt(i) & 255);
+  }
+
+  bytes(arr) {
+    this.flush();
+    this.parts.push(arr);
+    this.size += arr.length;
+  }
+
+  flush() {
+    if (this.len === 0) return;
+    this.parts.push(this.buf.slice(0, this.len));
+    this.len = 0;
+  }
+
+  toBlob(type) {
+    this.flush();
+    return new Blob(this.parts, { type });
+  }
+}
+
+// -------------------------
+// Colour quantization (RGBA -> palette indices)
+// -------------------------
+// Exact palette when a frame has <= 256 colours (typical for pixel art),
+// otherwise the 256 most common RGB555 buckets with nearest-colour mapping.
+function quantizeRgba(pixels) {
+  const n = pixels.length >> 2;
+  const indices = new Uint8Array(n);
+
+  const exact = new Map();
+  let p = 0;
+  for (let i = 0; p < n; i += 4, p++) {
+    const key = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+    let idx = exact.get(key);
+    if (idx === undefined) {
+      if (exact.size === 256) break;
+      idx = exact.size;
+      exact.set(key, idx);
+    }
+    indices[p] = idx;
+  }
+
+  if (p === n) {
+    const palette = [];
+    for (const key of exact.keys()) palette.push((key >> 16) & 255, (key >> 8) & 255, key & 255);
+    return { indices, palette };
+  }
+
+  const count = new Uint32Array(32768);
+  const sumR = new Float64Array(32768);
+  const sumG = new Float64Array(32768);
+  const sumB = new Float64Array(32768);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const k = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+    count[k]++;
+    sumR[k] += pixels[i];
+    sumG[k] += pixels[i + 1];
+    sumB[k] += pixels[i + 2];
+  }
+
+  const used = [];
+  for (let k = 0; k < 32768; k++) if (count[k] > 0) used.push(k);
+  used.sort((a, b) => count[b] - count[a]);
+  const top = used.slice(0, 256);
+
+  const palette = [];
+  for (const k of top) palette.push(round8(sumR[k] / count[k]), round8(sumG[k] / count[k]), round8(sumB[k] / count[k]));
+
+  const map = new Int16Array(32768).fill(-1);
+  for (let i = 0, q = 0; q < n; i += 4, q++) {
+    const k = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+    let idx = map[k];
+    if (idx < 0) {
+      idx = nearestPaletteIndex(palette, pixels[i], pixels[i + 1], pixels[i + 2]);
+      map[k] = idx;
+    }
+    indices[q] = idx;
+  }
+  return { indices, palette };
+}
+
+function round8(v) {
+  return Math.max(0, Math.min(255, Math.round(v)));
+}
+
+function nearestPaletteIndex(palette, r, g, b) {
+  let best = 0;
+  let bestD = Infinity;
+  for (let i = 0, j = 0; j < palette.length; i++, j += 3) {
+    const dr = palette[j] - r;
+    const dg = palette[j + 1] - g;
+    const db = palette[j + 2] - b;
+    const d = dr * dr + dg * dg + db * db;
+    if (d < bestD) {
+      bestD = d;
+      best = i;
+    }
+  }
+  return best;
+}
+
+// -------------------------
+// GIF89a writer
+// -------------------------
+class GifWriter {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.out = new ByteSink();
+
+    this.out.text("GIF89a");
+    this.out.u16(width);
+    this.out.u16(height);
+    this.out.byte(0); // no global colour table
+    this.out.byte(0); // background index
+    this.out.byte(0); // pixel aspect
+
+    // NETSCAPE2.0: loop forever
+    this.out.byte(0x21);
+    this.out.byte(0xFF);
+    this.out.byte(11);
+    this.out.text("NETSCAPE2.0");
+    this.out.byte(3);
+    this.out.byte(1);
+    this.out.u16(0);
+    this.out.byte(0);
+  }
+
+  // rgba: width * height * 4 bytes, delayCs: frame duration in 1/100 s
+  addFrame(rgba, delayCs) {
+    const { indices, palette } = quantizeRgba(rgba);
+
+    let tableBits = 1;
+    while ((1 << tableBits) < palette.length / 3) tableBits++;
+
+    // graphic control extension: no transparency, keep previous frame
+    this.out.byte(0x21);
+    this.out.byte(0xF9);
+    this.out.byte(4);
+    this.out.byte(1 << 2);
+    this.out.u16(delayCs);
+    this.out.byte(0);
+    this.out.byte(0);
+
+    // image descriptor + local colour table
+    this.out.byte(0x2C);
+    this.out.u16(0);
+    this.out.u16(0);
+    this.out.u16(this.width);
+    this.out.u16(this.height);
+    this.out.byte(0x80 | (tableBits - 1));
+    for (let i = 0; i < (3 << tableBits); i++) this.out.byte(i < palette.length ? palette[i] : 0);
+
+    const minCodeSize = Math.max(2, tableBits);
+    this.out.byte(minCodeSize);
+    const data = lzwEncode(indices, minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+      const n = Math.min(255, data.length - i);
+      this.out.byte(n);
+      this.out.bytes(data.subarray(i, i + n));
+    }
+    this.out.byte(0);
+  }
+
+  finish() {
+    this.out.byte(0x3B);
+    return this.out.toBlob("image/gif");
+  }
+}
+
+function lzwEncode(indices, minCodeSize) {
+  const out = new ByteSink();
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+
+  let cur = 0;
+  let curBits = 0;
+  const emit = code => {
+    cur |= code << curBits;
+    curBits += codeSize;
+    while (curBits >= 8) {
+      out.byte(cur & 255);
+      cur >>>= 8;
+      curBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const hit = table.get(key);
+    if (hit !== undefined) {
+      prefix = hit;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (curBits > 0) out.byte(cur & 255);
+
+  out.flush();
+  const bytes = new Uint8Array(out.size);
+  let o = 0;
+  for (const part of out.parts) {
+    bytes.set(part, o);
+    o += part.length;
+  }
+  return bytes;
+}
+
+// -------------------------
+// ZIP writer (store only)
+// -------------------------
+let CRC32_TABLE = null;
+
+function crc32(data) {
+  if (!CRC32_TABLE) {
+    CRC32_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      CRC32_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) crc = CRC32_TABLE[(crc ^ data[i]) & 255] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class ZipWriter {
+  constructor() {
+    this.out = new ByteSink();
+    this.entries = [];
+  }
+
+  addFile(name, data) {
+    const crc = crc32(data);
+    const offset = this.out.size;
+    this.entries.push({ name, crc, size: data.length, offset });
+
+    this.out.u32(0x04034B50);
+    this.out.u16(20);      // version needed
+    this.out.u16(0);       // flags
+    this.out.u16(0);       // method: store
+    this.out.u16(0);       // time
+    this.out.u16(33);      // date: 1980-01-01 (fixed, keeps output reproducible)
+    this.out.u32(crc);
+    this.out.u32(data.length);
+    this.out.u32(data.length);
+    this.out.u16(name.length);
+    this.out.u16(0);
+    this.out.text(name);
+    this.out.bytes(data);
+  }
+
+  finish() {
+    const dirStart = this.out.size;
+    for (const e of this.entries) {
+      this.out.u32(0x02014B50);
+      this.out.u16(20);    // version made by
+      this.out.u16(20);    // version needed
+      this.out.u16(0);
+      this.out.u16(0);
+      this.out.u16(0);
+      this.out.u16(33);
+      this.out.u32(e.crc);
+      this.out.u32(e.size);
+      this.out.u32(e.size);
+      this.out.u16(e.name.length);
+      this.out.u16(0);     // extra
+      this.out.u16(0);     // comment
+      this.out.u16(0);     // disk
+      this.out.u16(0);     // internal attrs
+      this.out.u32(0);     // external attrs
+      this.out.u32(e.offset);
+      this.out.text(e.name);
+    }
+    const dirSize = this.out.size - dirStart;
+
+    this.out.u32(0x06054B50);
+    this.out.u16(0);
+    this.out.u16(0);
+    this.out.u16(this.entries.length);
+    this.out.u16(this.entries.length);
+    this.out.u32(dirSize);
+    this.out.u32(dirStart);
+    this.out.u16(0);
+    return this.out.toBlob("application/zip");
+  }
+}
@@ -0,0 +1,2239 @@
+// ===============================
+// Cars & Frogs — simulation core (no p5, no drawing)
+//
+// Everything lives in an explicit world object:
+//   const world = createWorld({ width, height, seed });
+//   addFrog(world, x, y); addCar(world, vx, dragSpeed, x, y);
+//   stepWorld(world); // one fixed 60 Hz tick
+//
+// The clock (world.now) and the RNG (world.rng) are injected through
+// createWorld(), so the same code runs in the browser (sketch.js) and in Node:
+//   node --test test/
+//
+// Entities only hold plain data; sketch.js picks sprites from their state.
+// ===============================
+
+// Global upscale (makes *everything* bigger: frogs, cars, blood, ambulances, etc.)
+// It is the world zoom: world.scale, changed with rescaleWorld().
+const WORLD_SCALE_MIN = 0.5;
+const WORLD_SCALE_MAX = 3;
+function U(world, v) { return Math.round(v * world.scale); }   // lengths (px-ish)
+function UF(world, v) { return v * world.scale; }              // speeds/accelerations (float)
+
+// Tuning (scaled) for one world zoom. Each world keeps its own in
+// world.tuning, rebuilt whenever world.scale changes.
+function scaledTuning(scale) {
+  const U = v => Math.round(v * scale);
+  const UF = v => v * scale;
+  const t = {};
+
+  t.FROG_RENDER_SIZE = U(60);
+  t.FROG_HIT_RADIUS = U(14);
+  // Prevent "accidental piling" during a single drag:
+  // - spawn spacing is larger than the "stack" radius
+  // - stacking only happens when intentionally very close
+  t.FROG_SPAWN_MIN_DIST = Math.max(8, Math.round(t.FROG_RENDER_SIZE * 0.32));
+  t.FROG_STACK_NEAR_RADIUS = Math.round(t.FROG_RENDER_SIZE * 0.18);
+
+  t.CAR_RENDER_SIZE = U(60);
+  t.CAR_BODY_W = U(70);
+  t.CAR_BODY_H = U(70);
+  t.CAR_SPAWN_MIN_DIST = Math.round(t.CAR_BODY_W * 0.55);
+
+  t.CRASH_PIECE_SIZE = U(70);
+  t.AMBULANCE_RENDER_SIZE = U(60);
+  t.TOW_TRUCK_RENDER_SIZE = U(72);
+
+  t.OFFSCREEN_PAD = U(250);
+  t.WORLD_EDGE_PAD_Y = U(60);
+
+  // Evasion tuning (helps frogs dodge before contact)
+  t.FROG_EVADE_BASE_WARN_X = U(40);       // minimum x distance to trigger evade
+  t.FROG_EVADE_WARN_Y = U(44);            // y proximity to consider a threat
+
+  t.CHAIN_CRASH_RADIUS = U(90);
+
+  t.AMBULANCE_PICKUP_DIST = U(18);
+  t.AMBULANCE_SPAWN_EDGE_PAD = U(90);
+  t.AMBULANCE_SEP_RADIUS = U(54);         // anti-overlap steering
+  t.AMBULANCE_PROGRESS_EPS = UF(0.55);    // stuck detector
+
+  t.TOW_PICKUP_DIST = U(20);
+  t.TOW_SPAWN_EDGE_PAD = U(110);
+
+  t.SPATIAL_CELL_SIZE = U(64);
+  t.AMBULANCE_GRID_PAD = U(24); // more than an ambulance moves in one tick
+  return t;
+}
+
+const FROG_MAX_PILE = 5;
+
+// Evasion tuning (unscaled)
+const FROG_EVADE_LEAD_FRAMES = 9;           // how many frames ahead frogs "look"
+const FROG_EVADE_COOLDOWN_FRAMES = 16;      // prevent repeated evade triggers
+
+// Sprite sheet lengths the animation timing depends on
+const FROG_JUMP_FRAMES = 6; // 0-2 up, 3-5 down
+const CAR_CRASH_FRAMES = 3;
+
+// Chain crash
+const CHAIN_CRASH_TTL = 5;
+const CHAIN_CRASH_DECAY = 0.72;   // each hop reaches this much less far
+const CHAIN_CRASH_HOP_DELAY = 6;  // ticks between hops
+
+// Brush flick that fires a chain crash, in screen pixels per drag segment
+// (not world units), so it feels the same at any camera zoom.
+const CHAIN_GESTURE_FAST = 22;
+const CHAIN_GESTURE_STOPPED = 2.2;
+const CHAIN_GESTURE_BRAKE_DROP = 5;
+const CHAIN_GESTURE_FAST_FRAMES = 2;
+const CHAIN_GESTURE_STOP_FRAMES = 1;
+const CHAIN_GESTURE_COOLDOWN = 28; // drag segments
+
+// -------------------------
+// Blood fade settings (defaults; world.blood holds the live values)
+// -------------------------
+const BLOOD_FADE_START_MS = 5000; // start fading after 5 seconds
+const BLOOD_FADE_DUR_MS   = 1400; // fade duration
+
+// -------------------------
+// Ambulance settings (UPDATED)
+// -------------------------
+const AMBULANCE_SPAWN_DELAY_MS = 500;   // half a second after crash
+
+// anti-overlap steering
+const AMBULANCE_SEP_FORCE  = 0.22;
+const AMBULANCE_MAX_SEP    = 0.45;
+
+// stuck detector
+const AMBULANCE_STUCK_FRAMES = 26;
+
+// -------------------------
+// Tow settings
+// -------------------------
+const TOW_SPAWN_DELAY_MS = 700;
+
+// -------------------------
+// Math helpers (same results as the p5 functions they replace)
+// -------------------------
+function clampNum(v, lo, hi) { return Math.max(Math.min(v, hi), lo); }
+function lerpNum(a, b, t) { return t * (b - a) + a; }
+function mapNum(v, a0, a1, b0, b1) { return (v - a0) / (a1 - a0) * (b1 - b0) + b0; }
+function distXY(x1, y1, x2, y2) { return Math.hypot(x2 - x1, y2 - y1); }
+
+class Vec {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+  set(x, y) { this.x = x; this.y = y; return this; }
+  copy() { return new Vec(this.x, this.y); }
+  add(v) { this.x += v.x; this.y += v.y; return this; }
+  sub(v) { this.x -= v.x; this.y -= v.y; return this; }
+  mult(n) { this.x *= n; this.y *= n; return this; }
+  mag() { return Math.sqrt(this.x * this.x + this.y * this.y); }
+  normalize() {
+    const len = this.mag();
+    if (len !== 0) this.mult(1 / len);
+    return this;
+  }
+}
+
+// -------------------------
+// Seedable randomness
+// -------------------------
+// Everything the simulation rolls goes through world.rng, so a run is
+// reproducible from its seed.
+
+// Numeric text is used as-is, anything else is hashed (FNV-1a).
+function seedFromText(text) {
+  const t = String(text).trim();
+  if (/^\d+$/.test(t)) return Number(t) >>> 0;
+  let h = 0x811C9DC5;
+  for (let i = 0; i < t.length; i++) h = Math.imul(h ^ t.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+// Integer lattice hash -> [0, 1)
+function hash01(seed, ix, iy) {
+  let h = (seed ^ Math.imul(ix, 0x27D4EB2D) ^ Math.imul(iy, 0x165667B1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+function valueNoise(seed, x, y) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const u = fx * fx * (3 - 2 * fx);
+  const v = fy * fy * (3 - 2 * fy);
+  const a = hash01(seed, ix, iy);
+  const b = hash01(seed, ix + 1, iy);
+  const c = hash01(seed, ix, iy + 1);
+  const d = hash01(seed, ix + 1, iy + 1);
+  return (a + (b - a) * u) + ((c + (d - c) * u) - (a + (b - a) * u)) * v;
+}
+
+class SeededRandom {
+  constructor(seed) { this.reset(seed); }
+
+  reset(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // mulberry32, returns [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // same call shapes as p5 random(): (), (max), (min, max), (array)
+  random(a, b) {
+    const r = this.next();
+    if (Array.isArray(a)) return a[Math.floor(r * a.length)];
+    if (a === undefined) return r;
+    if (b === undefined) return r * a;
+    return a + r * (b - a);
+  }
+
+  // 4-octave value noise in [0, 1), like p5 noise() with its default detail.
+  // It only depends on the seed, not on how many numbers were drawn.
+  noise(x, y = 0) {
+    let sum = 0, amp = 0.5, norm = 0;
+    for (let o = 0; o < 4; o++) {
+      sum += amp * valueNoise(this.seed + o, x, y);
+      norm += amp;
+      x *= 2;
+      y *= 2;
+      amp *= 0.5;
+    }
+    return sum / norm;
+  }
+}
+
+// -------------------------
+// Simulation clock (fixed timestep)
+// -------------------------
+// Physics, cooldowns, animations, blood fade and delayed spawns all advance in
+// fixed ticks. world.now() defaults to tick * SIM_DT_MS.
+const SIM_HZ = 60;
+const SIM_DT_MS = 1000 / SIM_HZ;
+
+// -------------------------
+// Animation timer (frame index only; the renderer owns the images)
+// -------------------------
+class Animation {
+  constructor(frameCount, fps = 12, loop = true) {
+    this.frameCount = frameCount;
+    this.fps = fps;
+    this.loop = loop;
+    this.t = 0;
+    this.done = false;
+  }
+  reset() { this.t = 0; this.done = false; }
+  update() {
+    if (this.done) return;
+    this.t += SIM_DT_MS / 1000;
+    const total = this.frameCount / this.fps;
+    if (!this.loop && this.t >= total) this.done = true;
+  }
+  index() {
+    let idx = Math.floor(this.t * this.fps);
+    if (this.loop) idx = idx % this.frameCount;
+    else idx = Math.min(idx, this.frameCount - 1);
+    return idx;
+  }
+  progress01() {
+    const dur = this.frameCount / this.fps;
+    if (dur <= 0) return 1;
+    return clampNum(this.t / dur, 0, 1);
+  }
+}
+
+// -------------------------
+// World
+// -------------------------
+// opts: { width, height, seed, mode, rng, now, spatialHash, scale }
+// - rng: anything with next() / random() / noise() (default SeededRandom(seed))
+// - now: () => ms on the simulation clock (default world.tick * SIM_DT_MS)
+// - spatialHash: false => neighbour queries scan whole lists (for comparison)
+// - scale: world zoom; world.tuning holds the sizes and distances for it
+function createWorld(opts = {}) {
+  const world = {
+    width: opts.width || 800,
+    height: opts.height || 600,
+    mode: opts.mode || "animate", // "animate" | "still"
+    tick: 0,
+    rng: opts.rng || new SeededRandom(opts.seed || 0),
+    now: null,
+    creationCounter: 0,
+    scale: clampWorldScale(opts.scale || 1),
+    tuning: null,
+
+    frogs: [],
+    cars: [],
+    bloodSplats: [],
+    crashPieces: [],
+    ambulances: [],
+    towTrucks: [],
+    crashQueue: [],
+
+    blood: defaultBloodSettings(), // set by the app; not part of snapshots
+    layers: defaultLayers(),
+    activeLayer: DEFAULT_LAYER_ID, // new stamps go here; set by the app, not part of snapshots
+    resizePolicy: "scale",         // see resizeWorld(); set by the app, not part of snapshots
+
+    spatialHash: (opts.spatialHash !== false),
+    spatial: {}
+  };
+  world.now = opts.now || (() => world.tick * SIM_DT_MS);
+  world.tuning = scaledTuning(world.scale);
+  return world;
+}
+
+function nextCreatedAt(world) {
+  world.creationCounter += 1;
+  return world.creationCounter;
+}
+
+function clampWorldY(world, y) {
+  const pad = Math.min(world.tuning.WORLD_EDGE_PAD_Y, Math.floor(world.height * 0.5));
+  return clampNum(y, pad, world.height - pad);
+}
+
+function rememberPrevPositions(world) {
+  for (const list of [world.frogs, world.cars, world.crashPieces, world.ambulances, world.towTrucks]) {
+    for (const e of list) {
+      e.prevX = e.pos.x;
+      e.prevY = e.pos.y;
+    }
+  }
+}
+
+// One fixed simulation tick (ANIMATE mode only).
+function stepWorld(world) {
+  rememberPrevPositions(world);
+  world.tick++;
+
+  for (const b of world.bloodSplats) b.update(world);
+  world.bloodSplats = world.bloodSplats.filter(b => !b.dead);
+
+  // spawn scheduled once per tick
+  trySpawnScheduledAmbulances(world);
+  trySpawnScheduledTows(world);
+
+  for (let c of world.cars) c.update(world);
+  for (let f of world.frogs) f.update(world);
+
+  handleCarFrogInteractions(world);
+  handleChainCrashPropagation(world);
+
+  // update crash pieces
+  for (let p of world.crashPieces) p.update(world);
+  world.crashPieces = world.crashPieces.filter(p => !p.dead);
+
+  // update ambulances
+  for (let a of world.ambulances) a.update(world);
+  world.ambulances = world.ambulances.filter(a => !a.dead);
+
+  // update tow trucks
+  for (let t of world.towTrucks) t.update(world);
+  world.towTrucks = world.towTrucks.filter(t => !t.dead);
+
+  world.cars = world.cars.filter(c => !c.isFarOffscreen(world) && !c._towedAway);
+  world.frogs = world.frogs.filter(f => !f.removed);
+}
+
+function worldIsEmpty(world) {
+  return !(world.cars.length || world.frogs.length || world.bloodSplats.length ||
+    world.ambulances.length || world.crashPieces.length || world.towTrucks.length);
+}
+
+// Empties the world and rewinds its RNG (fresh canvas => fresh run).
+function clearWorld(world) {
+  world.cars = [];
+  world.frogs = [];
+  world.bloodSplats = [];
+  world.ambulances = [];
+  world.crashPieces = [];
+  world.crashQueue = [];
+  world.towTrucks = [];
+  world.creationCounter = 0;
+  world.rng.reset(world.rng.seed);
+}
+
+// STILL mode: everything stays where it is.
+function freezeWorld(world) {
+  for (let b of world.bloodSplats) b.freezeNow && b.freezeNow();
+  for (let a of world.ambulances) a.freeze();
+  for (let t of world.towTrucks) t.freeze();
+
+  world.crashQueue = [];
+
+  // freeze crash pieces (simple: stop them)
+  for (let p of world.crashPieces) { p.dead = true; }
+  world.crashPieces = [];
+}
+
+function unfreezeWorld(world) {
+  for (let a of world.ambulances) a.unfreeze();
+  for (let t of world.towTrucks) t.unfreeze();
+}
+
+function setWorldMode(world, mode) {
+  if (world.mode === mode) return;
+  world.mode = mode;
+  if (mode === "still") freezeWorld(world);
+  else unfreezeWorld(world);
+}
+
+// -------------------------
+// Layers
+// -------------------------
+// world.layers is the draw order, bottom first: { id, name, visible, locked }.
+// Every entity carries the id of its layer; blood, crash pieces and scheduled
+// rescue vehicles inherit it from whatever they came from. Layers only affect
+// drawing and editing: cars still hit frogs on other layers.
+const DEFAULT_LAYER_ID = 1;
+const LAYERED_KEYS = ["frogs", "cars", "bloodSplats", "crashPieces", "ambulances", "towTrucks"];
+
+function defaultLayers() {
+  return [{ id: DEFAULT_LAYER_ID, name: "Layer 1", visible: true, locked: false }];
+}
+
+function findLayer(world, id) {
+  return world.layers.find(l => l.id === id) || null;
+}
+
+// Hidden layers count as locked: the eraser and selection can't touch what
+// isn't shown.
+function layerEditable(world, id) {
+  const l = findLayer(world, id);
+  return !!l && l.visible && !l.locked;
+}
+
+// Where new edits can go: the active layer, else the topmost editable one,
+// else null (everything locked or hidden).
+function editableLayer(world) {
+  if (layerEditable(world, world.activeLayer)) return world.activeLayer;
+  for (let i = world.layers.length - 1; i >= 0; i--) {
+    if (layerEditable(world, world.layers[i].id)) return world.layers[i].id;
+  }
+  return null;
+}
+
+// New layers go on top.
+function addLayer(world, name) {
+  const id = world.layers.reduce((m, l) => Math.max(m, l.id), 0) + 1;
+  const layer = { id, name: name || ("Layer " + id), visible: true, locked: false };
+  world.layers.push(layer);
+  return layer;
+}
+
+// delta > 0 moves the layer up (drawn later).
+function moveLayer(world, id, delta) {
+  const i = world.layers.findIndex(l => l.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= world.layers.length) return false;
+  const [l] = world.layers.splice(i, 1);
+  world.layers.splice(j, 0, l);
+  return true;
+}
+
+// Deletes the layer and everything on it; the last layer always stays.
+function removeLayer(world, id) {
+  if (world.layers.length <= 1 || !findLayer(world, id)) return false;
+  for (const key of LAYERED_KEYS) {
+    const list = world[key];
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (list[i].layer === id) removeEntityAt(world, key, i);
+    }
+  }
+  world.layers = world.layers.filter(l => l.id !== id);
+  if (world.activeLayer === id) world.activeLayer = world.layers[world.layers.length - 1].id;
+  return true;
+}
+
+// Entities from before layers (or from a layer that no longer exists) land on
+// the bottom layer.
+function adoptLayerOrphans(world) {
+  const ids = new Set(world.layers.map(l => l.id));
+  for (const key of LAYERED_KEYS) {
+    for (const e of world[key]) if (!ids.has(e.layer)) e.layer = world.layers[0].id;
+  }
+  if (!ids.has(world.activeLayer)) world.activeLayer = world.layers[world.layers.length - 1].id;
+}
+
+// -------------------------
+// Spatial index (uniform grid)
+// -------------------------
+// Cells hold array indices and queries return them sorted, so callers visit
+// neighbours in the same order as a plain loop over the list (same results,
+// same RNG rolls).
+
+class SpatialHash {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.used = [];
+  }
+
+  // wraps every 1024 cells to stay a small integer (fast Map key); cells that
+  // far apart only share a bucket, which adds candidates but never loses one
+  key(ix, iy) {
+    return ((ix & 1023) << 10) | (iy & 1023);
+  }
+
+  clear() {
+    for (const cell of this.used) cell.length = 0;
+    this.used.length = 0;
+    if (this.cells.size > 65536) this.cells.clear();
+  }
+
+  insert(item, x, y) {
+    const k = this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    let cell = this.cells.get(k);
+    if (!cell) {
+      cell = [];
+      this.cells.set(k, cell);
+    }
+    if (cell.length === 0) this.used.push(cell);
+    cell.push(item);
+  }
+
+  queryRect(x0, y0, x1, y1, out = []) {
+    const cs = this.cellSize;
+    const ix0 = Math.floor(x0 / cs), ix1 = Math.floor(x1 / cs);
+    const iy0 = Math.floor(y0 / cs), iy1 = Math.floor(y1 / cs);
+    for (let ix = ix0; ix <= ix1; ix++) {
+      for (let iy = iy0; iy <= iy1; iy++) {
+        const cell = this.cells.get(this.key(ix, iy));
+        if (cell) for (const item of cell) out.push(item);
+      }
+    }
+    return out;
+  }
+}
+
+// Grid over world[key] ("frogs", "cars", "ambulances"), rebuilt lazily when the
+// tick, the array or its length changed. Code that moves or removes entities
+// outside stepWorld() calls invalidateSpatialIndex().
+function spatialIndex(world, key) {
+  const list = world[key];
+  let idx = world.spatial[key];
+  if (!idx) {
+    idx = { grid: new SpatialHash(world.tuning.SPATIAL_CELL_SIZE), list: null, length: -1, tick: -1 };
+    world.spatial[key] = idx;
+  }
+  if (idx.list !== list || idx.length !== list.length || idx.tick !== world.tick) {
+    idx.grid.clear();
+    for (let i = 0; i < list.length; i++) idx.grid.insert(i, list[i].pos.x, list[i].pos.y);
+    idx.list = list;
+    idx.length = list.length;
+    idx.tick = world.tick;
+  }
+  return idx.grid;
+}
+
+function invalidateSpatialIndex(world) {
+  for (const key of Object.keys(world.spatial)) world.spatial[key].list = null;
+}
+
+// Ascending indices into world[key] of every entity positioned inside the
+// rectangle (plus some neighbours; callers still do their exact test).
+function indicesNear(world, key, x0, y0, x1, y1) {
+  if (!world.spatialHash) return world[key].map((_, i) => i);
+  return Int32Array.from(spatialIndex(world, key).queryRect(x0, y0, x1, y1)).sort();
+}
+
+// -------------------------
+// Spawning
+// -------------------------
+// dragSpeed is the brush speed in px per input event; it maps to the car speed.
+function addCar(world, vx, dragSpeed, x, y) {
+  const dir = vx >= 0 ? 1 : -1;
+  y = clampWorldY(world, y);
+
+  let t = clampNum(dragSpeed / 120, 0, 1);
+  t = Math.pow(t, 1.8);
+  const carSpeed = lerpNum(UF(world, 2.0), UF(world, 12.0), t);
+
+  const createdAt = nextCreatedAt(world);
+
+  if (world.mode === "still") {
+    const c = new Car(world, x, y, dir, 0, createdAt);
+    world.cars.push(c);
+    stillCollideCarWithFrogs(world, c);
+    return c;
+  }
+
+  const c = new Car(world, x, y, dir, carSpeed, createdAt);
+  world.cars.push(c);
+  return c;
+}
+
+// Returns the new frog, or null when the tap landed on an existing frog and
+// grew its pile instead.
+function addFrog(world, x, y, opts = {}) {
+  const allowStack = (opts.allowStack !== false);
+  y = clampWorldY(world, y);
+  const createdAt = nextCreatedAt(world);
+
+  if (world.mode === "still") {
+    const nf = new Frog(world, x, y, createdAt);
+    if (opts.pile) nf.pile = opts.pile;
+    world.frogs.push(nf);
+    stillCollideFrogWithCars(world, nf);
+    return nf;
+  }
+
+  if (allowStack) {
+    const R_NEAR = world.tuning.FROG_STACK_NEAR_RADIUS;
+    const STACK_COOLDOWN = 18;
+
+    let nearest = null;
+    let bestD = Infinity;
+
+    for (let f of world.frogs) {
+      if (f.isSquished()) continue;
+      const d = distXY(x, y, f.pos.x, f.pos.y);
+      if (d < R_NEAR && d < bestD) {
+        bestD = d;
+        nearest = f;
+      }
+    }
+
+    if (nearest) {
+      if (nearest.pileCooldown === 0) {
+        nearest.pile = Math.min(nearest.pile + 1, FROG_MAX_PILE);
+        nearest.bump();
+        nearest.pileCooldown = STACK_COOLDOWN;
+      }
+      return null;
+    }
+  }
+
+  const nf = new Frog(world, x, y, createdAt);
+  if (opts.pile) nf.pile = opts.pile;
+  world.frogs.push(nf);
+  return nf;
+}
+
+function addFrogBurst(world, x, y, count) {
+  const spread = world.tuning.FROG_RENDER_SIZE * 0.32 + count * 5;
+  // Burst should always place multiple frogs, not convert into a pile.
+  for (let i = 0; i < count; i++) {
+    addFrog(world, x + world.rng.random(-spread, spread), y + world.rng.random(-spread, spread), { allowStack: false });
+  }
+}
+
+// Rescue vehicles placed by hand drive to the nearest target nobody has been
+// sent for yet (and claim it, so the scheduler does not send a second one).
+// Without a target they leave by the nearest edge, like after a pickup.
+function addAmbulance(world, x, y) {
+  y = clampWorldY(world, y);
+  const candidates = world.frogs.concat(world.crashPieces).filter(t => targetIsValidForAmbulance(t) && !t.ambulanceSpawned);
+  const target = nearestTarget(candidates, x, y);
+  if (target) {
+    target.ambulanceScheduled = true;
+    target.ambulanceSpawned = true;
+  }
+
+  const a = new Ambulance(world, x, y, exitDir(world, x), nextCreatedAt(world), target);
+  if (world.mode === "still") a.freeze();
+  world.ambulances.push(a);
+  return a;
+}
+
+function addTowTruck(world, x, y) {
+  y = clampWorldY(world, y);
+  const candidates = world.cars.filter(c => c.state === "wreck" && !c.towSpawned);
+  const target = nearestTarget(candidates, x, y);
+  if (target) {
+    target.towScheduled = true;
+    target.towSpawned = true;
+  }
+
+  const t = new TowTruck(world, x, y, exitDir(world, x), nextCreatedAt(world), target);
+  if (world.mode === "still") t.freeze();
+  world.towTrucks.push(t);
+  return t;
+}
+
+function exitDir(world, x) {
+  return (x < world.width * 0.5) ? -1 : 1;
+}
+
+function nearestTarget(list, x, y) {
+  let best = null;
+  let bestD = Infinity;
+  for (const t of list) {
+    const d = distXY(x, y, t.pos.x, t.pos.y);
+    if (d < bestD) {
+      bestD = d;
+      best = t;
+    }
+  }
+  return best;
+}
+
+// -------------------------
+// World zoom and resize
+// -------------------------
+// Rescaling multiplies positions (around a centre), sizes and speeds by the
+// same factor, so everything in flight carries on along the same path, only
+// bigger or smaller. Fields are found by name on entities, blood parts, holes
+// and queued chain crashes.
+const SCALED_POINT_VECS = ["pos", "startPos", "targetPos"];
+const SCALED_VECS = ["vel"];
+const SCALED_XS = ["x", "prevX"];
+const SCALED_YS = ["y", "prevY", "groundY", "laneY"];
+const SCALED_LENGTHS = [
+  "size", "hitRadius", "renderW", "renderH", "w", "h", "r", "radius", "jumpLift", "prevTargetDist",
+  "speed", "baseSpeed", "maxSpeed", "wobble", "vx", "vy", "g", "minStopSpeed"
+];
+
+function clampWorldScale(scale) {
+  return clampNum(Number(scale) || 1, WORLD_SCALE_MIN, WORLD_SCALE_MAX);
+}
+
+// Scales by k around (cx, cy), then shifts by (dx, dy).
+function transformFields(o, k, cx, cy, dx = 0, dy = 0) {
+  for (const key of SCALED_POINT_VECS) {
+    if (!o[key]) continue;
+    o[key].x = cx + (o[key].x - cx) * k + dx;
+    o[key].y = cy + (o[key].y - cy) * k + dy;
+  }
+  for (const key of SCALED_XS) if (typeof o[key] === "number") o[key] = cx + (o[key] - cx) * k + dx;
+  for (const key of SCALED_YS) if (typeof o[key] === "number") o[key] = cy + (o[key] - cy) * k + dy;
+  if (k === 1) return;
+  for (const key of SCALED_VECS) if (o[key]) o[key].mult(k);
+  for (const key of SCALED_LENGTHS) if (typeof o[key] === "number") o[key] *= k;
+}
+
+function transformWorld(world, k, cx, cy, dx = 0, dy = 0) {
+  for (const key of ["frogs", "cars", "crashPieces", "ambulances", "towTrucks"]) {
+    for (const e of world[key]) transformFields(e, k, cx, cy, dx, dy);
+  }
+  for (const b of world.bloodSplats) {
+    transformFields(b, k, cx, cy, dx, dy);
+    for (const part of [...(b.drops || []), ...(b.puddles || []), ...b.holes]) transformFields(part, k, cx, cy, dx, dy);
+  }
+  for (const q of world.crashQueue) transformFields(q, k, cx, cy, dx, dy);
+  invalidateSpatialIndex(world);
+}
+
+// Sets the world zoom; the centre defaults to the middle of the world.
+function rescaleWorld(world, scale, cx = world.width / 2, cy = world.height / 2) {
+  scale = clampWorldScale(scale);
+  const k = scale / world.scale;
+  world.scale = scale;
+  world.tuning = scaledTuning(scale);
+  world.spatial = {}; // grid cells are sized for the old scale
+  if (k !== 1) transformWorld(world, k, cx, cy);
+}
+
+// How a world keeps its contents when its size changes (window resize, phone
+// rotation, a snapshot or scene from another canvas size):
+// - "anchor": positions stay, the top-left corner is fixed
+// - "center": the old middle becomes the new middle
+// - "scale": zooms the world (rescaleWorld) so the old frame fits, centred;
+//   past the zoom limits it only fits as far as they allow
+// Whatever still ends up past an edge is pulled back in (keepInsideWorld).
+const RESIZE_POLICIES = ["anchor", "center", "scale"];
+
+function resizeWorld(world, width, height, policy = world.resizePolicy) {
+  const w0 = world.width;
+  const h0 = world.height;
+  world.width = width;
+  world.height = height;
+  if (w0 === width && h0 === height) return;
+
+  if (policy === "center") {
+    transformWorld(world, 1, 0, 0, (width - w0) / 2, (height - h0) / 2);
+  } else if (policy === "scale") {
+    const before = world.scale;
+    rescaleWorld(world, before * Math.min(width / w0, height / h0), 0, 0);
+    const k = world.scale / before;
+    transformWorld(world, 1, 0, 0, (width - w0 * k) / 2, (height - h0 * k) / 2);
+  }
+  keepInsideWorld(world);
+}
+
+// Moves frogs, cars, crash pieces and blood that lie past the edges back to
+// them, each with all of its points. Rescue vehicles are left alone: they
+// come and go from outside anyway.
+function keepInsideWorld(world) {
+  const pull = (parts, x, y) => {
+    const dx = clampNum(x, 0, world.width) - x;
+    const dy = clampNum(y, 0, world.height) - y;
+    if (dx === 0 && dy === 0) return;
+    for (const p of parts) transformFields(p, 1, 0, 0, dx, dy);
+  };
+  for (const key of ["frogs", "cars", "crashPieces"]) {
+    for (const e of world[key]) pull([e], e.pos.x, e.pos.y);
+  }
+  for (const b of world.bloodSplats) pull([b, ...(b.drops || []), ...(b.puddles || []), ...b.holes], b.x, b.y);
+  invalidateSpatialIndex(world);
+}
+
+// -------------------------
+// Editing (selection tool): move / flip / clone frogs, cars and crash pieces
+// -------------------------
+function editableKey(e) {
+  if (e instanceof Frog) return "frogs";
+  if (e instanceof Car) return "cars";
+  if (e instanceof CrashFrogPiece) return "crashPieces";
+  return null;
+}
+
+// Shifts everything positional, including the previous tick (no interpolation
+// smear) and an in-flight frog jump / crash piece ground.
+function moveEntity(e, dx, dy) {
+  e.pos.x += dx;
+  e.pos.y += dy;
+  if (e.prevX !== undefined) {
+    e.prevX += dx;
+    e.prevY += dy;
+  }
+  if (e.startPos) {
+    e.startPos.x += dx;
+    e.startPos.y += dy;
+    e.targetPos.x += dx;
+    e.targetPos.y += dy;
+  }
+  if (e.groundY !== undefined) e.groundY += dy;
+}
+
+// Mirrors around the vertical line x = cx and turns it around.
+function flipEntity(e, cx) {
+  e.pos.x = 2 * cx - e.pos.x;
+  if (e.prevX !== undefined) e.prevX = 2 * cx - e.prevX;
+  if (e.startPos) {
+    e.startPos.x = 2 * cx - e.startPos.x;
+    e.targetPos.x = 2 * cx - e.targetPos.x;
+  }
+  if (e.dir !== undefined) e.dir = -e.dir;
+  if (e.vel) e.vel.x = -e.vel.x;
+  if (e.rot !== undefined) e.rot = -e.rot;
+}
+
+// A new world member from toState() data (a duplicate or a pasted copy): it
+// is stamped on top and gets its own rescue, half a second from now.
+function entityFromState(world, key, s) {
+  let e;
+  if (key === "frogs") e = Frog.fromState(s);
+  else if (key === "cars") e = Car.fromState(s);
+  else if (key === "crashPieces") e = CrashFrogPiece.fromState(s);
+  else return null;
+
+  if (e.createdAt !== undefined) e.createdAt = nextCreatedAt(world);
+  if (!findLayer(world, e.layer)) e.layer = world.activeLayer;
+  delete e.prevX;
+  delete e.prevY;
+
+  if (e.ambulanceScheduled) {
+    e.ambulanceSpawned = false;
+    e.ambulanceSpawnAtMs = world.now() + AMBULANCE_SPAWN_DELAY_MS;
+  }
+  if (e.towScheduled) {
+    e.towSpawned = false;
+    e.towSpawnAtMs = world.now() + TOW_SPAWN_DELAY_MS;
+  }
+  return e;
+}
+
+function cloneEntity(world, e) {
+  const key = editableKey(e);
+  return entityFromState(world, key, JSON.parse(JSON.stringify(e.toState(world))));
+}
+
+// -------------------------
+// STILL mode collisions (stamp-time only)
+// -------------------------
+function stillCollideCarWithFrogs(world, car) {
+  for (let f of world.frogs) {
+    if (f.isSquished()) continue;
+    if (rectCircleOverlap(car.getAABB(), f.pos, f.hitRadius)) f.squish(world, car.dir);
+  }
+}
+
+function stillCollideFrogWithCars(world, frog) {
+  for (let c of world.cars) {
+    if (rectCircleOverlap(c.getAABB(), frog.pos, frog.hitRadius)) {
+      frog.squish(world, c.dir);
+      return;
+    }
+  }
+}
+
+// -------------------------
+// Rules: speed needed vs pile (ANIMATE mode)
+// -------------------------
+function requiredSpeedToSquish(world, pile) {
+  // Higher = frogs survive more often (evade instead of getting squished).
+  const BASE = UF(world, 9.4);
+  const STEP = UF(world, 1.05);
+  return BASE + (pile - 1) * STEP;
+}
+
+// -------------------------
+// Interactions (ANIMATE mode only)
+// -------------------------
+function handleCarFrogInteractions(world) {
+  for (let c of world.cars) {
+    if (c.state === "wreck") continue;
+
+    // everything the body + hit radius or the evade lookahead (ahead only) can reach
+    const warnX = world.tuning.FROG_EVADE_BASE_WARN_X + c.speed * FROG_EVADE_LEAD_FRAMES;
+    const body = c.w / 2 + world.tuning.FROG_HIT_RADIUS;
+    const front = Math.max(body, warnX);
+    const x0 = c.pos.x - (c.dir === 1 ? body : front);
+    const x1 = c.pos.x + (c.dir === 1 ? front : body);
+    const reachY = Math.max(c.h / 2 + world.tuning.FROG_HIT_RADIUS, world.tuning.FROG_EVADE_WARN_Y);
+    const near = indicesNear(world, "frogs", x0, c.pos.y - reachY, x1, c.pos.y + reachY);
+
+    for (const i of near) {
+      const f = world.frogs[i];
+      if (f.isSquished()) continue;
+
+      // Proactive evasion: dodge slightly BEFORE contact (pile=1 only)
+      if (f.pile === 1 && c.state === "drive" && f.evadeCooldown === 0) {
+        const dy = Math.abs(f.pos.y - c.pos.y);
+        if (dy < world.tuning.FROG_EVADE_WARN_Y) {
+          const ahead = (f.pos.x - c.pos.x) * c.dir; // >0 means car is behind, approaching
+          if (ahead > 0 && ahead < warnX) {
+            f.evadeFrom(world, c);
+            continue;
+          }
+        }
+      }
+
+      if (rectCircleOverlap(c.getAABB(), f.pos, f.hitRadius)) {
+        const pile = f.pile;
+        const need = requiredSpeedToSquish(world, pile);
+
+        if (pile === 1) {
+          if (c.speed >= need) {
+            f.squish(world, c.dir);
+            c.onHit(true);
+          } else {
+            f.evadeFrom(world, c);
+          }
+        } else {
+          if (c.speed >= need) {
+            f.squish(world, c.dir);
+            c.onHit(true);
+          } else {
+            c.crash(world);
+            f.bump();
+          }
+        }
+      }
+    }
+  }
+}
+
+function rectCircleOverlap(aabb, cpos, r) {
+  const cx = clampNum(cpos.x, aabb.x, aabb.x + aabb.w);
+  const cy = clampNum(cpos.y, aabb.y, aabb.y + aabb.h);
+  const dx = cpos.x - cx;
+  const dy = cpos.y - cy;
+  return (dx * dx + dy * dy) <= r * r;
+}
+
+// -------------------------
+// Chain crash (ANIMATE mode only)
+// -------------------------
+// Every car a wave crashes starts a smaller wave of its own a few ticks later.
+function triggerChainCrash(world, x, y) {
+  const rad = world.tuning.CHAIN_CRASH_RADIUS;
+  world.crashQueue.push({ pos: new Vec(x, y), radius: rad, ttl: CHAIN_CRASH_TTL, delay: 0 });
+  crashCarsInRadius(world, x, y, rad);
+}
+
+// Gesture state lives on the stroke: a couple of fast segments, then a hard
+// brake to a stop. segLength is in world units, zoom is the camera zoom it
+// was drawn at. Returns true on the segment that should fire the crash.
+function resetChainGesture(g) {
+  g.prevSegSpeed = 0;
+  g.chainCooldown = 0;
+  g.fastFrames = 0;
+  g.stoppedFrames = 0;
+}
+
+function chainGestureStep(g, segLength, zoom = 1) {
+  const sp = segLength * zoom; // on screen, where the user made it
+  if (g.chainCooldown > 0) g.chainCooldown--;
+
+  if (sp >= CHAIN_GESTURE_FAST) g.fastFrames++;
+  else g.fastFrames = Math.max(0, g.fastFrames - 1);
+
+  if (sp <= CHAIN_GESTURE_STOPPED) g.stoppedFrames++;
+  else g.stoppedFrames = 0;
+
+  const hardBrake = g.prevSegSpeed - sp >= CHAIN_GESTURE_BRAKE_DROP;
+  g.prevSegSpeed = sp;
+
+  if (g.chainCooldown === 0 && g.fastFrames >= CHAIN_GESTURE_FAST_FRAMES && hardBrake && g.stoppedFrames >= CHAIN_GESTURE_STOP_FRAMES) {
+    g.chainCooldown = CHAIN_GESTURE_COOLDOWN;
+    g.fastFrames = 0;
+    g.stoppedFrames = 0;
+    return true;
+  }
+  return false;
+}
+
+function handleChainCrashPropagation(world) {
+  const queue = world.crashQueue;
+  for (let i = queue.length - 1; i >= 0; i--) {
+    const q = queue[i];
+    q.delay -= 1;
+    if (q.delay > 0) continue;
+
+    if (q.ttl > 0) {
+      const newly = crashCarsInRadius(world, q.pos.x, q.pos.y, q.radius);
+      for (let c of newly) {
+        queue.push({
+          pos: c.pos.copy(),
+          radius: q.radius * CHAIN_CRASH_DECAY,
+          ttl: q.ttl - 1,
+          delay: CHAIN_CRASH_HOP_DELAY
+        });
+      }
+    }
+    queue.splice(i, 1);
+  }
+}
+
+function crashCarsInRadius(world, x, y, rad) {
+  const newly = [];
+  for (const i of indicesNear(world, "cars", x - rad, y - rad, x + rad, y + rad)) {
+    const c = world.cars[i];
+    if (c.state === "crash" || c.state === "wreck") continue;
+    if (distXY(x, y, c.pos.x, c.pos.y) < rad) {
+      c.crash(world);
+      newly.push(c);
+    }
+  }
+  return newly;
+}
+
+// -------------------------
+// BLOOD SYSTEM (fade after world.blood.fadeStartMs)
+// -------------------------
+// neverFade keeps blood for good (also across STILL -> ANIMATE); splatScale
+// sizes floor splats and droplets, dropScale multiplies the droplet count.
+function defaultBloodSettings() {
+  return { fadeStartMs: BLOOD_FADE_START_MS, fadeDurMs: BLOOD_FADE_DUR_MS, neverFade: false, splatScale: 1, dropScale: 1 };
+}
+
+// Only known keys with finite values; anything else keeps the default.
+function sanitizeBloodSettings(s) {
+  const out = defaultBloodSettings();
+  if (!s) return out;
+  for (const k of ["fadeStartMs", "fadeDurMs", "splatScale", "dropScale"]) {
+    if (Number.isFinite(s[k]) && s[k] >= 0) out[k] = s[k];
+  }
+  out.neverFade = !!s.neverFade;
+  return out;
+}
+
+function bloodAlphaFromBorn(world, bornMs) {
+  const b = world.blood;
+  const age = world.now() - bornMs;
+  if (b.neverFade || age <= b.fadeStartMs) return 255;
+  const t = (b.fadeDurMs > 0) ? (age - b.fadeStartMs) / b.fadeDurMs : 1;
+  return Math.round(lerpNum(255, 0, clampNum(t, 0, 1)));
+}
+
+function bloodIsDeadFromBorn(world, bornMs) {
+  const b = world.blood;
+  if (b.neverFade) return false;
+  const age = world.now() - bornMs;
+  return age > (b.fadeStartMs + b.fadeDurMs);
+}
+
+// Eraser holes (world-space circles) cut out of one splat only, so blood that
+// lands there later is whole. A hole inside an earlier one adds nothing.
+function carveSplat(splat, x, y, r) {
+  if (!splat.overlapsCircle(x, y, r)) return false;
+  for (const h of splat.holes) {
+    if (distXY(x, y, h.x, h.y) + r <= h.r) return false;
+  }
+  splat.holes.push({ x, y, r });
+  return true;
+}
+
+function holesState(holes) {
+  return (holes || []).map(h => ({ x: h.x, y: h.y, r: h.r }));
+}
+
+// Circle vs the box (cx +- hw, cy +- hh).
+function circleNearBox(x, y, r, cx, cy, hw, hh) {
+  return Math.abs(x - cx) < hw + r && Math.abs(y - cy) < hh + r;
+}
+
+class BloodSpray {
+  constructor(world, x, y, dir, power = 1.0, freezeAfterFrames = 28) {
+    this.layer = world.activeLayer;
+    this.x = x;
+    this.y = y;
+    this.dir = dir;
+    this.power = power;
+
+    this.drops = [];
+    this.puddles = [];
+    this.holes = [];
+
+    this.freezeAfter = freezeAfterFrames;
+    this.frozen = (this.freezeAfter <= 0);
+
+    this.bornMs = world.now();
+    this.alpha = 255;
+    this.dead = false;
+
+    const rng = world.rng;
+    const N = Math.floor((18 + 18 * power) * world.blood.dropScale);
+    for (let i = 0; i < N; i++) {
+      const vx = dir * rng.random(UF(world, 6), UF(world, 14)) * (0.8 + power * 0.6);
+      const vy = -rng.random(UF(world, 8), UF(world, 18)) * (0.8 + power * 0.6);
+      const r = rng.random(UF(world, 2.5), UF(world, 5.5)) * world.blood.splatScale;
+      this.drops.push(new BloodDrop(world, x, y, vx, vy, r));
+    }
+  }
+
+  freezeNow() {
+    this.frozen = true;
+    this.freezeAfter = 0;
+    this.drops = [];
+    for (const p of this.puddles) p.freezeNow();
+  }
+
+  // puddles at full size (they only grow), drops where they are now
+  overlapsCircle(x, y, r) {
+    for (const p of this.puddles) {
+      if (circleNearBox(x, y, r, p.x, p.y, p.w * 1.2, p.h * 0.8)) return true;
+    }
+    for (const d of this.drops) {
+      if (distXY(x, y, d.x, d.y) < r + d.r * 2) return true;
+    }
+    return false;
+  }
+
+  toState() {
+    const s = entityState(this, [], ["drops", "puddles", "holes"]);
+    s.kind = "spray";
+    s.drops = this.drops.map(d => entityState(d));
+    s.puddles = this.puddles.map(p => entityState(p));
+    s.holes = holesState(this.holes);
+    return s;
+  }
+
+  static fromState(s) {
+    const b = applyEntityState(Object.create(BloodSpray.prototype), s, [], ["kind", "drops", "puddles", "holes"]);
+    b.drops = s.drops.map(d => applyEntityState(Object.create(BloodDrop.prototype), d));
+    b.puddles = s.puddles.map(p => applyEntityState(Object.create(BloodPuddle.prototype), p));
+    b.holes = holesState(s.holes);
+    return b;
+  }
+
+  update(world) {
+    this.alpha = bloodAlphaFromBorn(world, this.bornMs);
+    if (bloodIsDeadFromBorn(world, this.bornMs)) {
+      this.dead = true;
+      return;
+    }
+
+    if (this.frozen) return;
+
+    this.freezeAfter--;
+    if (this.freezeAfter <= 0) {
+      this.drops = [];
+      for (const p of this.puddles) p.freezeNow();
+      this.frozen = true;
+      return;
+    }
+
+    for (let i = this.drops.length - 1; i >= 0; i--) {
+      const d = this.drops[i];
+      d.update(world);
+
+      if (!d.settled && d.vy > 0 && d.y >= (d.groundY - world.rng.random(UF(world, 2), UF(world, 10)))) {
+        d.settled = true;
+        this.puddles.push(new BloodPuddle(world, d.x, d.groundY, this.dir, d.r, d.vx));
+        this.drops.splice(i, 1);
+      }
+    }
+
+    for (const p of this.puddles) p.update();
+  }
+}
+
+class BloodDrop {
+  constructor(world, x, y, vx, vy, r) {
+    this.x = x;
+    this.y = y;
+    this.vx = vx;
+    this.vy = vy;
+    this.r = r;
+
+    this.g = UF(world, 0.75);
+    this.drag = 0.985;
+    this.settled = false;
+
+    this.spin = world.rng.random(-0.25, 0.25);
+    this.t = world.rng.random(1000);
+
+    this.groundY = y + world.rng.random(UF(world, 14), UF(world, 26));
+  }
+
+  update(world) {
+    const wob = (world.rng.noise(this.t) - 0.5) * UF(world, 0.7);
+    this.t += 0.06;
+
+    this.vy += this.g;
+    this.vx *= this.drag;
+    this.vy *= this.drag;
+
+    this.x += this.vx + wob;
+    this.y += this.vy;
+
+    this.x = Math.round(this.x);
+    this.y = Math.round(this.y);
+  }
+}
+
+class BloodPuddle {
+  constructor(world, x, y, dir, r, hitVx) {
+    this.x = x;
+    this.y = y;
+
+    const smear = clampNum(Math.abs(hitVx) * 1.2, U(world, 6), U(world, 40));
+    this.w = r * 6 + smear;
+    this.h = r * 2.8;
+
+    this.dir = dir;
+    this.seed = world.rng.random(100000);
+
+    this.grow = 0;
+    this.maxGrow = 1;
+    this.frozen = false;
+  }
+
+  freezeNow() {
+    this.frozen = true;
+    this.grow = 1;
+  }
+
+  update() {
+    if (this.frozen) return;
+    this.grow = Math.min(this.maxGrow, this.grow + 0.06);
+    if (this.grow >= 1) this.frozen = true;
+  }
+}
+
+class SimpleFloorSplat {
+  constructor(world, x, y, dir, size = world.tuning.FROG_RENDER_SIZE) {
+    this.layer = world.activeLayer;
+    this.x = x;
+    this.y = y;
+    this.dir = dir;
+    this.size = size * world.blood.splatScale;
+
+    this.grow = 0;
+    this.growSpeed = 1 / 12;
+    this.holes = [];
+
+    this.bornMs = world.now();
+    this.alpha = 255;
+    this.dead = false;
+
+    const rng = world.rng;
+    this.seed = rng.random(100000);
+    this.branches = [];
+    const B = 7;
+    for (let i = 0; i < B; i++) {
+      this.branches.push({
+        t: rng.random(0.15, 1.0),
+        offY: rng.random(-0.22, 0.22),
+        w: rng.random(0.06, 0.12)
+      });
+    }
+  }
+
+  update(world) {
+    this.alpha = bloodAlphaFromBorn(world, this.bornMs);
+    if (bloodIsDeadFromBorn(world, this.bornMs)) {
+      this.dead = true;
+      return;
+    }
+    if (this.grow < 1) this.grow = Math.min(1, this.grow + this.growSpeed);
+  }
+
+  // fully grown outline: a streak from -0.25 L to ~1.1 L along dir, branches past its tip
+  overlapsCircle(x, y, r) {
+    const L = this.size * 2.2;
+    const x0 = -L * 0.25;
+    const x1 = L * 1.1 + this.size * 0.6;
+    const cx = this.x + this.dir * (x0 + x1) / 2;
+    return circleNearBox(x, y, r, cx, this.y, (x1 - x0) / 2, this.size * 0.5);
+  }
+
+  freezeNow() { this.grow = 1; }
+
+  toState() {
+    const s = entityState(this, [], ["branches", "holes"]);
+    s.kind = "floor";
+    s.branches = this.branches.map(b => ({ t: b.t, offY: b.offY, w: b.w }));
+    s.holes = holesState(this.holes);
+    return s;
+  }
+
+  static fromState(s) {
+    const b = applyEntityState(Object.create(SimpleFloorSplat.prototype), s, [], ["kind", "branches", "holes"]);
+    b.branches = s.branches.map(br => ({ t: br.t, offY: br.offY, w: br.w }));
+    b.holes = holesState(s.holes);
+    return b;
+  }
+}
+
+// -------------------------
+// CRASH PIECE (FIXED): fall to LOCAL ground then slide-stop
+// -------------------------
+class CrashFrogPiece {
+  constructor(world, x, y, dir, variant /* "u" | "d" */) {
+    this.layer = world.activeLayer;
+    this.pos = new Vec(x, y);
+    this.vel = new Vec(0, 0);
+
+    this.dir = dir;
+    this.variant = variant || "d";
+
+    this.size = world.tuning.CRASH_PIECE_SIZE;
+
+    // local ground, slightly below crash origin (not canvas bottom)
+    this.groundY = y + U(world, 22);
+
+    // states: air -> slide -> rest
+    this.state = "air";
+
+    // initial throw: forward + up, then gravity
+    const upKick = (this.variant === "u") ? 1.15 : 1.0;
+    this.vel.x = dir * world.rng.random(UF(world, 6.5), UF(world, 9.5));
+    this.vel.y = -world.rng.random(UF(world, 9), UF(world, 12)) * upKick;
+
+    this.g = UF(world, 0.85);
+    this.airDrag = 0.985;
+    this.slideFriction = 0.86;
+    this.minStopSpeed = UF(world, 0.35);
+
+    this.rot = world.rng.random(-0.25, 0.25);
+    this.rotV = world.rng.random(-0.03, 0.03);
+
+    this.life = 260;
+    this.dead = false;
+
+    // for ambulance scheduling
+    this.ambulanceScheduled = false;
+    this.ambulanceSpawned = false;
+    this.ambulanceSpawnAtMs = 0;
+  }
+
+  update(world) {
+    if (this.dead) return;
+
+    this.rot += this.rotV;
+
+    if (this.state === "air") {
+      this.vel.y += this.g;
+      this.vel.mult(this.airDrag);
+      this.pos.add(this.vel);
+
+      if (this.pos.y >= this.groundY) {
+        this.pos.y = this.groundY;
+        this.vel.y = 0;
+        this.vel.x *= 0.92;
+        this.state = "slide";
+        this.rotV *= 0.5;
+      }
+    } else if (this.state === "slide") {
+      this.pos.y = this.groundY;
+      this.pos.x += this.vel.x;
+      this.vel.x *= this.slideFriction;
+
+      this.pos.x = Math.round(this.pos.x);
+      this.pos.y = Math.round(this.pos.y);
+
+      if (Math.abs(this.vel.x) < this.minStopSpeed) {
+        this.vel.x = 0;
+        this.state = "rest";
+
+        // schedule ambulance only when resting
+        if (world.mode === "animate") scheduleAmbulanceForCrashPiece(world, this);
+      }
+    } else {
+      // rest
+    }
+
+    this.life--;
+    if (this.life <= 0) this.dead = true;
+  }
+
+  toState() {
+    return entityState(this, ["pos", "vel"]);
+  }
+
+  static fromState(s) {
+    return applyEntityState(Object.create(CrashFrogPiece.prototype), s, ["pos", "vel"]);
+  }
+}
+
+// -------------------------
+// AMBULANCES (0.5s delayed per crushed frog / crash piece)
+// -------------------------
+function scheduleAmbulanceForFrog(world, frog) {
+  if (frog.ambulanceScheduled) return;
+  frog.ambulanceScheduled = true;
+  frog.ambulanceSpawnAtMs = world.now() + AMBULANCE_SPAWN_DELAY_MS;
+}
+
+function scheduleAmbulanceForCrashPiece(world, piece) {
+  if (piece.ambulanceScheduled) return;
+  piece.ambulanceScheduled = true;
+  piece.ambulanceSpawnAtMs = world.now() + AMBULANCE_SPAWN_DELAY_MS;
+}
+
+// --------- target helpers (FIX for isSquished error) ---------
+function targetIsValidForAmbulance(t) {
+  if (!t) return false;
+
+  // Frog target: must be squished and not removed
+  if (typeof t.isSquished === "function") {
+    return t.isSquished() && !t.removed;
+  }
+
+  // Crash piece target: must be resting and not dead
+  if ("state" in t && typeof t.dead === "boolean") {
+    return (t.state === "rest") && !t.dead;
+  }
+
+  return false;
+}
+
+function targetMarkRemoved(t) {
+  if (!t) return;
+
+  // Frog
+  if ("removed" in t) t.removed = true;
+
+  // Crash piece
+  if ("dead" in t) t.dead = true;
+}
+
+// Takes world[key][index] out by hand (eraser). Whatever an ambulance was coming
+// for is marked gone, so it turns around; a removed rescue vehicle gives its
+// target back to the scheduler, which sends another.
+function removeEntityAt(world, key, index) {
+  const e = world[key][index];
+  world[key].splice(index, 1);
+  invalidateSpatialIndex(world);
+
+  if (e instanceof Ambulance) {
+    if (e.target) e.target.ambulanceSpawned = false;
+  } else if (e instanceof TowTruck) {
+    if (e.target) e.target.towSpawned = false;
+  } else {
+    targetMarkRemoved(e);
+  }
+  return e;
+}
+
+function trySpawnScheduledAmbulances(world) {
+  const now = world.now();
+
+  // frogs
+  for (const f of world.frogs) {
+    if (!f.isSquished() || f.removed) continue;
+    if (!f.ambulanceScheduled) continue;
+    if (f.ambulanceSpawned) continue;
+    if (now < f.ambulanceSpawnAtMs) continue;
+
+    spawnAmbulanceForTarget(world, f);
+    f.ambulanceSpawned = true;
+  }
+
+  // crash pieces
+  for (const p of world.crashPieces) {
+    if (p.dead) continue;
+    if (p.state !== "rest") continue;
+    if (!p.ambulanceScheduled) continue;
+    if (p.ambulanceSpawned) continue;
+    if (now < p.ambulanceSpawnAtMs) continue;
+
+    spawnAmbulanceForTarget(world, p);
+    p.ambulanceSpawned = true;
+  }
+}
+
+function spawnAmbulanceForTarget(world, target) {
+  const rng = world.rng;
+  const fromLeft = (target.pos.x > world.width * 0.5);
+  const pad = world.tuning.AMBULANCE_SPAWN_EDGE_PAD;
+  const x = fromLeft ? -pad : world.width + pad;
+  let y = target.pos.y + rng.random(-U(world, 40), U(world, 40));
+
+  const tries = 14;
+  for (let t = 0; t < tries; t++) {
+    let ok = true;
+    for (const a of world.ambulances) {
+      if (Math.abs(a.pos.y - y) < U(world, 34) && Math.abs(a.pos.x - x) < U(world, 140)) { ok = false; break; }
+    }
+    if (ok) break;
+    y += rng.random([-U(world, 58), -U(world, 42), U(world, 42), U(world, 58)]);
+    y = clampNum(y, U(world, 60), world.height - U(world, 60));
+  }
+
+  const dir = fromLeft ? 1 : -1;
+  const a = new Ambulance(world, x, y, dir, nextCreatedAt(world), target);
+  a.layer = target.layer;
+  world.ambulances.push(a);
+}
+
+function ambulanceSeparationForce(world, self) {
+  let fx = 0, fy = 0;
+
+  // the grid is built once per tick while ambulances move one by one, hence the pad
+  const sepR = world.tuning.AMBULANCE_SEP_RADIUS;
+  const r = sepR + world.tuning.AMBULANCE_GRID_PAD;
+  for (const i of indicesNear(world, "ambulances", self.pos.x - r, self.pos.y - r, self.pos.x + r, self.pos.y + r)) {
+    const other = world.ambulances[i];
+    if (other === self) continue;
+
+    const dx = self.pos.x - other.pos.x;
+    const dy = self.pos.y - other.pos.y;
+    const d2 = dx * dx + dy * dy;
+    if (d2 < 0.0001) continue;
+
+    const d = Math.sqrt(d2);
+    if (d < sepR) {
+      const s = (sepR - d) / sepR;
+      fx += (dx / d) * s;
+      fy += (dy / d) * s;
+    }
+  }
+
+  const mag = Math.sqrt(fx * fx + fy * fy);
+  if (mag > AMBULANCE_MAX_SEP) {
+    fx = (fx / mag) * AMBULANCE_MAX_SEP;
+    fy = (fy / mag) * AMBULANCE_MAX_SEP;
+  }
+
+  return new Vec(fx, fy);
+}
+
+// -------------------------
+// TOW scheduling
+// -------------------------
+function scheduleTowForCar(world, car) {
+  if (car.towScheduled) return;
+  car.towScheduled = true;
+  car.towSpawnAtMs = world.now() + TOW_SPAWN_DELAY_MS;
+}
+
+function trySpawnScheduledTows(world) {
+  const now = world.now();
+  for (const c of world.cars) {
+    if (c.state !== "wreck") continue;
+    if (c.towSpawned) continue;
+    if (!c.towScheduled) continue;
+    if (now < c.towSpawnAtMs) continue;
+
+    spawnTowForCar(world, c);
+    c.towSpawned = true;
+  }
+}
+
+function spawnTowForCar(world, car) {
+  const fromLeft = (car.pos.x > world.width * 0.5);
+  const pad = world.tuning.TOW_SPAWN_EDGE_PAD;
+  const x = fromLeft ? -pad : world.width + pad;
+  let y = car.pos.y + world.rng.random(-U(world, 30), U(world, 30));
+  y = clampNum(y, U(world, 60), world.height - U(world, 60));
+
+  const dir = fromLeft ? 1 : -1;
+  const t = new TowTruck(world, x, y, dir, nextCreatedAt(world), car);
+  t.layer = car.layer;
+  world.towTrucks.push(t);
+}
+
+// -------------------------
+// TowTruck class
+// -------------------------
+class TowTruck {
+  constructor(world, x, y, dir, createdAt, targetCar) {
+    this.layer = world.activeLayer;
+    this.createdAt = createdAt;
+    this.pos = new Vec(x, y);
+    this.vel = new Vec(dir * world.rng.random(UF(world, 5.5), UF(world, 7.5)), 0);
+    this.dir = dir;
+
+    this.size = world.tuning.TOW_TRUCK_RENDER_SIZE;
+    this.baseSpeed = world.rng.random(UF(world, 5.8), UF(world, 7.8));
+    this.maxSpeed = this.baseSpeed * 1.25;
+
+    this.state = "toTarget"; // "toTarget" | "hook" | "leave"
+    this.target = targetCar;
+
+    this.hookTimer = 0;
+    this.dead = false;
+    this.frozen = false;
+  }
+
+  freeze() { this.frozen = true; }
+  unfreeze() { this.frozen = false; }
+
+  toState(world) {
+    const s = entityState(this, ["pos", "vel"], ["target"]);
+    s.target = targetRef(world, this.target);
+    return s;
+  }
+
+  static fromState(s, world) {
+    const t = applyEntityState(Object.create(TowTruck.prototype), s, ["pos", "vel"], ["target"]);
+    t.target = resolveTargetRef(world, s.target);
+    return t;
+  }
+
+  update(world) {
+    if (this.frozen) return;
+    const W = world.width;
+    const H = world.height;
+
+    if (this.state === "toTarget") {
+      if (!this.target || this.target.isFarOffscreen(world)) {
+        this.state = "leave";
+      } else {
+        const tx = this.target.pos.x;
+        const ty = this.target.pos.y;
+
+        const toT = new Vec(tx - this.pos.x, ty - this.pos.y);
+
+        if (Math.abs(toT.x) > 1) this.dir = (toT.x >= 0) ? 1 : -1;
+
+        toT.normalize();
+        let desired = toT.mult(this.maxSpeed);
+        desired.y = clampNum(desired.y, -UF(world, 2.2), UF(world, 2.2));
+
+        const steer = desired.copy().sub(this.vel).mult(0.16);
+        this.vel.add(steer);
+
+        const sp = this.vel.mag();
+        if (sp > this.maxSpeed) this.vel.mult(this.maxSpeed / sp);
+        if (sp < this.baseSpeed * 0.75) this.vel.mult((this.baseSpeed * 0.75) / Math.max(0.0001, sp));
+
+        this.pos.add(this.vel);
+        this.pos.y = clampNum(this.pos.y, U(world, 50), H - U(world, 50));
+
+        const reach = world.tuning.TOW_PICKUP_DIST;
+        if (Math.abs(tx - this.pos.x) < reach && Math.abs(ty - this.pos.y) < reach) {
+          this.state = "hook";
+          this.hookTimer = 18;
+          this.vel.mult(0.2);
+        }
+      }
+    }
+    else if (this.state === "hook") {
+      this.hookTimer--;
+      if (this.hookTimer <= 0) {
+        this.state = "leave";
+        this.dir = (this.pos.x < W * 0.5) ? -1 : 1;
+        this.vel = new Vec(this.dir * this.baseSpeed, 0);
+      }
+    }
+    else if (this.state === "leave") {
+      // tow the car out
+      if (this.target && this.target.state === "wreck") {
+        this.target.pos.x = this.pos.x - this.dir * U(world, 38);
+        this.target.pos.y = this.pos.y + U(world, 2);
+      }
+
+      this.vel.x = this.dir * this.maxSpeed;
+      this.vel.y *= 0.92;
+
+      this.pos.add(this.vel);
+      this.pos.y = clampNum(this.pos.y, U(world, 50), H - U(world, 50));
+
+      if (this.pos.x < -W - U(world, 420) || this.pos.x > W + U(world, 420)) {
+        if (this.target) this.target._towedAway = true;
+        this.dead = true;
+      }
+    }
+  }
+}
+
+// -------------------------
+// Ambulance class (FIXED for frog + crashPiece targets)
+// -------------------------
+class Ambulance {
+  constructor(world, x, y, dir, createdAt, targetAny) {
+    this.layer = world.activeLayer;
+    this.createdAt = createdAt;
+    this.pos = new Vec(x, y);
+    this.vel = new Vec(dir * world.rng.random(UF(world, 6.2), UF(world, 8.2)), 0);
+
+    this.dir = dir;
+    this.size = world.tuning.AMBULANCE_RENDER_SIZE;
+
+    this.baseSpeed = world.rng.random(UF(world, 6.4), UF(world, 8.6));
+    this.maxSpeed = this.baseSpeed * 1.28;
+
+    this.state = "toTarget"; // "toTarget" | "pickup" | "leave"
+    this.target = targetAny || null;
+
+    this.pickupTimer = 0;
+    this.dead = false;
+    this.frozen = false;
+
+    // stuck detector
+    this.prevTargetDist = null;
+    this.noProgressFrames = 0;
+
+    // lane
+    this.laneY = y;
+  }
+
+  freeze() { this.frozen = true; }
+  unfreeze() { this.frozen = false; }
+
+  toState(world) {
+    const s = entityState(this, ["pos", "vel"], ["target"]);
+    s.target = targetRef(world, this.target);
+    return s;
+  }
+
+  static fromState(s, world) {
+    const a = applyEntityState(Object.create(Ambulance.prototype), s, ["pos", "vel"], ["target"]);
+    a.target = resolveTargetRef(world, s.target);
+    return a;
+  }
+
+  update(world) {
+    if (this.frozen) return;
+    const W = world.width;
+    const H = world.height;
+
+    if (this.state === "toTarget") {
+      if (!targetIsValidForAmbulance(this.target)) {
+        this.state = "leave";
+        this.prevTargetDist = null;
+        this.noProgressFrames = 0;
+      } else {
+        const tx = this.target.pos.x;
+        const ty = this.target.pos.y;
+
+        const toT = new Vec(tx - this.pos.x, ty - this.pos.y);
+        const distT = toT.mag();
+
+        if (Math.abs(toT.x) > 1) this.dir = (toT.x >= 0) ? 1 : -1;
+
+        toT.normalize();
+        let desired = toT.mult(this.maxSpeed);
+        desired.y = clampNum(desired.y, -UF(world, 2.6), UF(world, 2.6));
+
+        let sep = ambulanceSeparationForce(world, this).mult(AMBULANCE_SEP_FORCE);
+        const nearRad = U(world, 70);
+        const near = distT < nearRad ? mapNum(distT, 0, nearRad, 0.15, 1.0) : 1.0;
+        sep.mult(near);
+
+        const lanePull = clampNum((this.laneY - this.pos.y) * 0.01, -0.35, 0.35);
+
+        const steer = desired.copy().sub(this.vel).mult(0.18);
+        steer.add(sep);
+        steer.y += lanePull;
+
+        this.vel.add(steer);
+
+        const sp = this.vel.mag();
+        if (sp > this.maxSpeed) this.vel.mult(this.maxSpeed / sp);
+        if (sp < this.baseSpeed * 0.70) this.vel.mult((this.baseSpeed * 0.70) / Math.max(0.0001, sp));
+
+        if (this.prevTargetDist === null) this.prevTargetDist = distT;
+        const progress = this.prevTargetDist - distT;
+
+        if (progress < world.tuning.AMBULANCE_PROGRESS_EPS) this.noProgressFrames++;
+        else this.noProgressFrames = Math.max(0, this.noProgressFrames - 2);
+
+        this.prevTargetDist = distT;
+
+        if (this.noProgressFrames > AMBULANCE_STUCK_FRAMES) {
+          this.noProgressFrames = 0;
+          this.laneY = clampNum(this.pos.y + world.rng.random([-U(world, 80), -U(world, 60), U(world, 60), U(world, 80)]), U(world, 60), H - U(world, 60));
+          this.vel.y += world.rng.random([-UF(world, 2.2), UF(world, 2.2)]);
+          this.vel.x += this.dir * world.rng.random(UF(world, 0.8), UF(world, 1.6));
+        }
+
+        this.pos.add(this.vel);
+        this.pos.y = clampNum(this.pos.y, U(world, 50), H - U(world, 50));
+
+        const reach = world.tuning.AMBULANCE_PICKUP_DIST;
+        if (Math.abs(tx - this.pos.x) < reach && Math.abs(ty - this.pos.y) < reach) {
+          this.state = "pickup";
+          this.pickupTimer = 22;
+          this.vel.mult(0.2);
+        }
+      }
+    }
+    else if (this.state === "pickup") {
+      this.pickupTimer--;
+      if (this.pickupTimer <= 0) {
+        targetMarkRemoved(this.target);
+        this.target = null;
+        this.state = "leave";
+
+        this.dir = (this.pos.x < W * 0.5) ? -1 : 1;
+        this.vel = new Vec(this.dir * this.baseSpeed, 0);
+        this.laneY = this.pos.y;
+      }
+    }
+    else if (this.state === "leave") {
+      const sep = ambulanceSeparationForce(world, this).mult(AMBULANCE_SEP_FORCE * 0.6);
+      const desiredLeave = new Vec(this.dir * this.maxSpeed, 0);
+      const steer = desiredLeave.sub(this.vel).mult(0.15).add(sep);
+
+      this.vel.add(steer);
+      const sp = this.vel.mag();
+      if (sp > this.maxSpeed) this.vel.mult(this.maxSpeed / sp);
+
+      this.pos.add(this.vel);
+      this.pos.y = clampNum(this.pos.y, U(world, 50), H - U(world, 50));
+
+      if (this.pos.x < -W - U(world, 320) || this.pos.x > W + U(world, 320)) this.dead = true;
+    }
+  }
+}
+
+// -------------------------
+// Frog / Car classes
+// -------------------------
+function frogAnims() {
+  return {
+    idle: new Animation(1, 1, true),
+    jump: new Animation(FROG_JUMP_FRAMES, 18, false),
+    squished: new Animation(1, 1, false)
+  };
+}
+
+class Frog {
+  constructor(world, x, y, createdAt) {
+    this.layer = world.activeLayer;
+    this.createdAt = createdAt;
+    this.pos = new Vec(x, clampWorldY(world, y));
+
+    this.pile = 1;
+    this.pileCooldown = 0;
+    this.pileFrameIndex = null;
+
+    this.size = world.tuning.FROG_RENDER_SIZE;
+    this.hitRadius = world.tuning.FROG_HIT_RADIUS;
+
+    this.state = "idle";
+    this.anims = frogAnims();
+    this.anim = this.anims.idle;
+
+    this.startPos = this.pos.copy();
+    this.targetPos = this.pos.copy();
+    this.jumpLift = 0;
+    this.bounce = 0;
+
+    this.jumpDirY = -1;
+
+    this.removed = false;
+
+    this.evadeCooldown = 0;
+
+    // per-frog ambulance scheduling
+    this.ambulanceScheduled = false;
+    this.ambulanceSpawned = false;
+    this.ambulanceSpawnAtMs = 0;
+  }
+
+  isSquished() { return this.state === "squished"; }
+
+  setState(s) {
+    if (this.state === s) return;
+    this.state = s;
+    this.anim = this.anims[s];
+    this.anim.reset();
+  }
+
+  bump() { this.bounce = 1.0; }
+
+  toState() {
+    const s = entityState(this, ["pos", "startPos", "targetPos"], ["anims", "anim"]);
+    s.anim = { t: this.anim.t, done: this.anim.done };
+    return s;
+  }
+
+  static fromState(s) {
+    const f = applyEntityState(Object.create(Frog.prototype), s, ["pos", "startPos", "targetPos"], ["anim"]);
+    f.anims = frogAnims();
+    f.anim = f.anims[f.state];
+    f.anim.t = s.anim.t;
+    f.anim.done = s.anim.done;
+    return f;
+  }
+
+  evadeFrom(world, car) {
+    if (this.isSquished()) return;
+    if (this.state === "jump") return;
+    if (this.evadeCooldown > 0) return;
+
+    this.setState("jump");
+    this.bump();
+    this.evadeCooldown = FROG_EVADE_COOLDOWN_FRAMES;
+
+    const awayY = this.pos.y < car.pos.y ? -1 : 1;
+    this.jumpDirY = awayY;
+
+    this.startPos = this.pos.copy();
+    const side = U(world, 92);
+    const forward = U(world, 14);
+    this.targetPos = new Vec(this.pos.x + car.dir * forward, clampWorldY(world, this.pos.y + awayY * side));
+  }
+
+  squish(world, dir) {
+    const groundY = this.pos.y + this.size * 0.28;
+
+    const sprayFreeze = (world.mode === "still") ? 0 : 26;
+    const spray = new BloodSpray(world, this.pos.x, this.pos.y + U(world, 8), dir, 1.0, sprayFreeze);
+    for (const d of spray.drops) d.groundY = groundY + world.rng.random(-U(world, 2), U(world, 6));
+    spray.layer = this.layer;
+    world.bloodSplats.push(spray);
+
+    const splat = new SimpleFloorSplat(world, this.pos.x, groundY, dir, this.size);
+    splat.layer = this.layer;
+    world.bloodSplats.push(splat);
+
+    this.setState("squished");
+    this.pile = 1;
+    this.jumpLift = 0;
+    this.pos.x += dir * U(world, 6);
+
+    // schedule ambulance half a second after crash (animate mode only)
+    if (world.mode === "animate") scheduleAmbulanceForFrog(world, this);
+  }
+
+  update(world) {
+    this.pileCooldown = Math.max(0, this.pileCooldown - 1);
+    this.evadeCooldown = Math.max(0, this.evadeCooldown - 1);
+
+    this.anim.update();
+    this.bounce *= 0.88;
+
+    if (this.state === "jump") {
+      const p = this.anim.progress01();
+      const e = p * p * (3 - 2 * p);
+
+      this.pos.x = lerpNum(this.startPos.x, this.targetPos.x, e);
+      this.pos.y = lerpNum(this.startPos.y, this.targetPos.y, e);
+
+      this.jumpLift = -Math.sin(p * Math.PI) * U(world, 22);
+
+      if (this.anim.done) {
+        this.jumpLift = 0;
+        this.setState("idle");
+      }
+    }
+
+    this.pos.y = clampWorldY(world, this.pos.y);
+  }
+}
+
+function carAnims() {
+  return {
+    drive: new Animation(1, 1, true),
+    crash: new Animation(CAR_CRASH_FRAMES, 14, false),
+    wreck: new Animation(1, 1, true)
+  };
+}
+
+class Car {
+  constructor(world, x, y, dir, speed, createdAt) {
+    this.layer = world.activeLayer;
+    this.createdAt = createdAt;
+    this.pos = new Vec(x, clampWorldY(world, y));
+    this.dir = dir;
+    this.speed = speed;
+
+    this.renderW = world.tuning.CAR_RENDER_SIZE;
+    this.renderH = world.tuning.CAR_RENDER_SIZE;
+
+    this.w = world.tuning.CAR_BODY_W;
+    this.h = world.tuning.CAR_BODY_H;
+
+    this.state = "drive";
+    this.anims = carAnims();
+    this.anim = this.anims.drive;
+
+    this.wobble = 0;
+    this.alpha = 255;
+
+    // crash timeline
+    this.crashSlipSign = 1;   // -1 up, +1 down
+    this.crashVariant = "d";  // "u" | "d"
+    this.crashPhase = 0;      // 0=start, 1=branch, 2=split
+    this.crashT = 0;          // frames inside crash
+    this.spawnedCrashFrog = false;
+
+    // tow scheduling
+    this.towScheduled = false;
+    this.towSpawned = false;
+    this.towSpawnAtMs = 0;
+
+    // when towed out
+    this._towedAway = false;
+  }
+
+  setState(s) {
+    if (this.state === s) return;
+    this.state = s;
+    this.anim = this.anims[s];
+    this.anim.reset();
+  }
+
+  crash(world) {
+    if (this.state === "crash" || this.state === "wreck") return;
+
+    this.setState("crash");
+
+    // slip direction locked for this crash
+    this.crashSlipSign = (world.rng.random() < 0.5) ? -1 : 1; // -1 up, +1 down
+    this.wobble = this.crashSlipSign * world.rng.random(UF(world, 4), UF(world, 7));
+    this.crashVariant = (this.crashSlipSign === 1) ? "d" : "u";
+
+    this.speed = Math.max(this.speed, UF(world, 5));
+
+    this.crashPhase = 0;
+    this.crashT = 0;
+    this.spawnedCrashFrog = false;
+  }
+
+  toState() {
+    const s = entityState(this, ["pos"], ["anims", "anim"]);
+    s.anim = { t: this.anim.t, done: this.anim.done };
+    return s;
+  }
+
+  static fromState(s) {
+    const c = applyEntityState(Object.create(Car.prototype), s, ["pos"], ["anim"]);
+    c.anims = carAnims();
+    c.anim = c.anims[c.state];
+    c.anim.t = s.anim.t;
+    c.anim.done = s.anim.done;
+    return c;
+  }
+
+  onHit(killedFrog) {
+    if (this.state !== "drive") return;
+    this.speed *= killedFrog ? 0.86 : 0.95;
+  }
+
+  update(world) {
+    this.anim.update();
+
+    if (this.state === "drive") {
+      this.pos.x += this.speed * this.dir;
+      return;
+    }
+
+    // crash / wreck movement
+    this.speed *= 0.92;
+    this.wobble *= 0.9;
+    this.pos.x += this.speed * this.dir;
+    this.pos.y += this.wobble;
+    this.pos.y = clampWorldY(world, this.pos.y);
+
+    if (this.state === "crash") {
+      this.crashT++;
+
+      // Phase 0: show car_crash_0 briefly
+      if (this.crashPhase === 0 && this.crashT > 6) {
+        this.crashPhase = 1;
+        this.crashT = 0;
+      }
+      // Phase 1: show car_crash_1u/1d briefly
+      else if (this.crashPhase === 1 && this.crashT > 8) {
+        this.crashPhase = 2;
+        this.crashT = 0;
+      }
+      // Phase 2: car uses crash_3u/3d, and spawn frog-piece crash_2u/2d once
+      else if (this.crashPhase === 2) {
+        if (!this.spawnedCrashFrog) {
+          this.spawnedCrashFrog = true;
+
+          const spawnX = this.pos.x + this.dir * U(world, 10);
+          const spawnY = this.pos.y - U(world, 6);
+
+          const piece = new CrashFrogPiece(world, spawnX, spawnY, this.dir, this.crashVariant);
+          piece.layer = this.layer;
+          world.crashPieces.push(piece);
+        }
+
+        if (this.crashT > 18) {
+          this.setState("wreck");
+          if (world.mode === "animate") scheduleTowForCar(world, this);
+        }
+      }
+    }
+  }
+
+  getAABB() {
+    return { x: this.pos.x - this.w / 2, y: this.pos.y - this.h / 2, w: this.w, h: this.h };
+  }
+
+  isFarOffscreen(world) {
+    const pad = world.tuning.OFFSCREEN_PAD;
+    return (
+      this.pos.x < -pad || this.pos.x > world.width + pad ||
+      this.pos.y < -pad || this.pos.y > world.height + pad
+    );
+  }
+}
+
+// -------------------------
+// World snapshots (plain data, used by undo / redo, timeline and scene files)
+// -------------------------
+function vecState(v) { return { x: v.x, y: v.y }; }
+
+// Copy an entity's own fields as plain data. Listed vector fields become {x, y};
+// skipped fields (anims, targets) are handled by the caller.
+function entityState(obj, vecKeys = [], skipKeys = []) {
+  const s = {};
+  for (const k of Object.keys(obj)) {
+    if (skipKeys.includes(k)) continue;
+    s[k] = vecKeys.includes(k) ? vecState(obj[k]) : obj[k];
+  }
+  return s;
+}
+
+function applyEntityState(obj, s, vecKeys = [], skipKeys = []) {
+  for (const k of Object.keys(s)) {
+    if (skipKeys.includes(k)) continue;
+    obj[k] = vecKeys.includes(k) ? new Vec(s[k].x, s[k].y) : s[k];
+  }
+  return obj;
+}
+
+// Rescue vehicle targets are stored as an index into the snapshot's arrays.
+function targetRef(world, t) {
+  if (!t) return null;
+  let kind = null;
+  let list = null;
+  if (t instanceof Frog) { kind = "frog"; list = world.frogs; }
+  else if (t instanceof Car) { kind = "car"; list = world.cars; }
+  else if (t instanceof CrashFrogPiece) { kind = "piece"; list = world.crashPieces; }
+  if (!list) return null;
+  const index = list.indexOf(t);
+  return index >= 0 ? { kind, index } : null;
+}
+
+function resolveTargetRef(world, ref) {
+  if (!ref) return null;
+  const list = (ref.kind === "frog") ? world.frogs : (ref.kind === "car") ? world.cars : world.crashPieces;
+  return list[ref.index] || null;
+}
+
+function bloodFromState(s) {
+  return (s.kind === "floor") ? SimpleFloorSplat.fromState(s) : BloodSpray.fromState(s);
+}
+
+// Everything but the clock: the tick is kept by whoever stores the snapshot.
+function worldToState(world) {
+  return {
+    creationCounter: world.creationCounter,
+    width: world.width,
+    height: world.height,
+    scale: world.scale,
+    rng: { seed: world.rng.seed, state: world.rng.state },
+    frogs: world.frogs.map(f => f.toState()),
+    cars: world.cars.map(c => c.toState()),
+    bloodSplats: world.bloodSplats.map(b => b.toState()),
+    crashPieces: world.crashPieces.map(p => p.toState()),
+    ambulances: world.ambulances.map(a => a.toState(world)),
+    towTrucks: world.towTrucks.map(t => t.toState(world)),
+    crashQueue: world.crashQueue.map(q => ({ pos: vecState(q.pos), radius: q.radius, ttl: q.ttl, delay: q.delay })),
+    layers: world.layers.map(l => Object.assign({}, l))
+  };
+}
+
+function applyWorldState(world, s) {
+  world.creationCounter = s.creationCounter;
+
+  // entities are sized for the snapshot's scale (older snapshots are all at 1)
+  const scale = clampWorldScale(s.scale || 1);
+  if (scale !== world.scale) world.spatial = {};
+  world.scale = scale;
+  world.tuning = scaledTuning(scale);
+
+  if (s.rng) {
+    world.rng.reset(s.rng.seed);
+    world.rng.state = s.rng.state;
+  }
+  world.frogs = s.frogs.map(f => Frog.fromState(f));
+  world.cars = s.cars.map(c => Car.fromState(c));
+  world.bloodSplats = s.bloodSplats.map(b => bloodFromState(b));
+  world.crashPieces = s.crashPieces.map(p => CrashFrogPiece.fromState(p));
+
+  // rescue vehicles resolve their targets against the arrays rebuilt above
+  world.ambulances = s.ambulances.map(a => Ambulance.fromState(a, world));
+  world.towTrucks = s.towTrucks.map(t => TowTruck.fromState(t, world));
+
+  world.crashQueue = s.crashQueue.map(q => ({ pos: new Vec(q.pos.x, q.pos.y), radius: q.radius, ttl: q.ttl, delay: q.delay }));
+
+  world.layers = (s.layers && s.layers.length > 0) ? s.layers.map(l => Object.assign({}, l)) : defaultLayers();
+  adoptLayerOrphans(world);
+
+  // the snapshot may come from the other mode
+  if (world.mode === "still") freezeWorld(world);
+  else unfreezeWorld(world);
+
+  // ...or another world size: it is fitted like a resize
+  if (s.width && s.height && (s.width !== world.width || s.height !== world.height)) {
+    const width = world.width;
+    const height = world.height;
+    world.width = s.width;
+    world.height = s.height;
+    resizeWorld(world, width, height);
+  }
+}
+
+// Node (tests); in the browser the declarations above are plain globals.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WORLD_SCALE_MIN, WORLD_SCALE_MAX, U, UF, scaledTuning, clampWorldScale, rescaleWorld,
+    RESIZE_POLICIES, resizeWorld,
+    FROG_MAX_PILE,
+    CHAIN_CRASH_TTL, CHAIN_CRASH_DECAY, CHAIN_CRASH_HOP_DELAY,
+    FROG_EVADE_LEAD_FRAMES,
+    BLOOD_FADE_START_MS, BLOOD_FADE_DUR_MS, defaultBloodSettings, sanitizeBloodSettings, AMBULANCE_SPAWN_DELAY_MS, TOW_SPAWN_DELAY_MS,
+    SIM_HZ, SIM_DT_MS,
+    Vec, SeededRandom, seedFromText, Animation,
+    createWorld, stepWorld, clearWorld, worldIsEmpty, setWorldMode, freezeWorld, unfreezeWorld,
+    nextCreatedAt, clampWorldY,
+    DEFAULT_LAYER_ID, LAYERED_KEYS, defaultLayers, findLayer, layerEditable, editableLayer, addLayer, moveLayer, removeLayer,
+    SpatialHash, spatialIndex, invalidateSpatialIndex, indicesNear,
+    addCar, addFrog, addFrogBurst, addAmbulance, addTowTruck, removeEntityAt,
+    editableKey, moveEntity, flipEntity, entityFromState, cloneEntity,
+    requiredSpeedToSquish, handleCarFrogInteractions, rectCircleOverlap,
+    triggerChainCrash, handleChainCrashPropagation, crashCarsInRadius, resetChainGesture, chainGestureStep,
+    Frog, Car, CrashFrogPiece, Ambulance, TowTruck, BloodSpray, SimpleFloorSplat, carveSplat,
+    worldToState, applyWorldState
+  };
+}
@@ -1,17 +1,92 @@
 // ===============================
 // Cars & Frogs — PNG animations (pixel art)
-// Horizontal drag => cars
+// Horizontal drag => cars   (Auto tool)
 // Vertical drag   => frogs
 //
 // UI (menu bar):
 // - Mode: ANIMATE / STILL
 // - Brush slider (frog burst count)
 // - Clear Canvas button
-// - Eraser toggle (drag removes items)
+// - Tool palette: Auto (drag direction picks cars / frogs per segment), Frog, Car,
+//   Pile (frogs with the chosen pile height), Ambulance, Tow truck, Eraser, Pan.
+//   With an explicit tool the drag direction only sets car heading / frog spacing;
+//   Frog, Pile, Ambulance and Tow truck also place on a tap
+// - Seed box: every random roll comes from one seedable RNG (?seed=123 in the URL)
+// - Undo / Redo buttons (Ctrl+Z / Ctrl+Shift+Z), one step per stroke or clear
+// - Eraser panel (Eraser tool): radius (also [ / ]), "All inside" erases every
+//   hit in the radius instead of the newest one, filters per entity type;
+//   blood is carved per pixel (holes cut into the splats) rather than deleted
+// - Selection panel (Select tool, V): box or lasso select frogs / cars / crash
+//   pieces (Shift adds or removes), drag to move, Alt-drag moves a copy;
+//   Duplicate (Ctrl+D), Flip (F), Front (Ctrl+]), Delete (Backspace / Delete),
+//   Copy / Paste as JSON on the clipboard (Ctrl+C / Ctrl+V, works across tabs).
+//   Moving keeps stacking order; only Front restamps
+// - Layers panel (L): named layers with Hide / Lock / reorder / delete; new
+//   stamps go on the active layer, blood / crash pieces / rescue vehicles on
+//   the layer of whatever they came from. Hidden layers are left out of the
+//   screen and the exports; locked (and hidden) layers ignore eraser and selection
+// - Blood panel (B): fade start / duration, "Never fade" (blood stays, also in
+//   STILL compositions), splat size and droplet count multipliers, and a
+//   palette of 1-4 shades of one colour for the dithered blood
+// - Effects: Splat / Family (also ?content=family at startup). Family draws the
+//   spray as confetti, floor splats as fading stars and uses gentler frog
+//   sprites; the simulation is the same in both
+// - Pixel panel (P): draws the whole scene (not only the blood) at 2-8x chunky
+//   pixels, optionally quantized to a 16-colour preset or a palette loaded from
+//   an image, with ordered dithering and outlines; exports use it too
+// - Zoom (transport bar, - / =): world zoom 0.5x-3x. Sizes, speeds, hit radii,
+//   evade distances and spawn spacing all follow; what is on the canvas is
+//   rescaled around its middle and keeps moving. Undoable, kept in scenes
+// - Resize policy (transport bar): on a window resize / phone rotation the scene
+//   is scaled to fit (world zoom, the default), stays centred or stays anchored
+//   top-left; anything past the new edges is pulled back in. Undo steps, the
+//   timeline and scenes from another canvas size follow it
+// - Keys: cheat sheet of keyboard shortcuts (? toggles it). Defaults: M mode,
+//   E eraser, [ / ] eraser size, Delete clear, 1-8 brush, Space pause; every
+//   binding can be changed there and is kept in localStorage
+// - Camera: World size (transport bar) makes the world up to 4x4 the canvas;
+//   wheel / pinch zooms the view, Space + drag, middle drag or the Pan tool
+//   pans it (Space alone still pauses), the minimap in the corner shows where
+//   things are and jumps there, "Fit" shows everything. View only: not undone
+// - Save / Open scene as a versioned JSON file
+// - Export preset + Export PNG (offscreen render, integer nearest-neighbour upscale)
+// - Export animation: runs the sim offline for N seconds at a fixed fps and saves
+//   an animated GIF or a .zip of PNG frames (same preset / upscale as Export PNG)
+// - Fill: seeded Poisson-disk frogs / pile heights / car convoys in lanes;
+//   "Stress" drops 5,000 frogs + 300 cars for benchmarking
+// - Perf readout (transport bar): ms per tick / per render; "Grid" toggles the
+//   spatial hash used for neighbour queries, to compare against full scans
+//
+// CODE LAYOUT:
+// - sim.js: headless simulation core (world object, entities, collisions, rescue
+//   vehicles, snapshots). No p5, runs in Node: `node --test test/`
+// - sketch.js: p5 input, UI, rendering, history, timeline, macros, export
 //
 // BLOOD:
 // - On squish: spray + floor splat
-// - Blood fades out after 5 seconds
+// - Blood fades out after 5 seconds by default (Blood panel), or never
+// - Settled blood is baked into a cached layer per world layer; only flying
+//   drops, growing puddles and fading splats are redrawn each frame
+//
+// TIME:
+// - Fixed 60 Hz simulation tick (same speed on any monitor), sprites are
+//   interpolated between ticks when drawing
+// - Transport bar: Pause / Step (one tick) / Speed 0.1x-4x (scales the sim clock,
+//   so motion, crash pieces, blood fade and rescue timers all slow down together)
+// - Timeline: last 20s can be scrubbed back; playing or editing from there
+//   discards the old future
+// - Rec / Replay: records every input event (strokes, brush, mode, tool, clear,
+//   undo, fill) with its tick; replays it exactly, at 0.25x-4x, with a ghost cursor
+//   per stroke
+//
+// INPUT:
+// - Pointer Events: mouse, touch and pen; every finger / pen is its own stroke
+//   with its own spawn spacing and chain-crash gesture (strokes that overlap in
+//   time are one undo step)
+// - Pen pressure: light = fewer frogs per burst and slower cars, hard = more / faster
+//   (mid pressure matches the mouse)
+// - Palm rejection: touches are ignored while a pen is near, and so are large
+//   contact patches
 //
 // AMBULANCES (UPDATED):
 // - NO threshold anymore.
@@ -31,112 +106,186 @@
 // - wrecked Cars get picked up by TowTruck (car_grar.png) and disappear by being towed out
 // ===============================
 
-let cars = [];
-let frogs = [];
-let bloodSplats = [];
-let ambulances = [];
-let crashPieces = [];
-let towTrucks = [];
+// everything the simulation owns (sim.js)
+let world = createWorld();
 
 let GFX = {};
-let lastSpawnPos;
-
-let creationCounter = 0;
 
-// chain crash detection
-let prevSegSpeed = 0;
-let chainCooldown = 0;
-let fastFrames = 0;
-let stoppedFrames = 0;
-
-// --- MODE ---
-let MODE = "animate"; // "animate" | "still"
-
-// --- ERASER ---
-let ERASER = false;
+// --- TOOLS ---
+const TOOLS = [
+  { id: "auto", label: "Auto" },
+  { id: "frog", label: "Frog" },
+  { id: "car", label: "Car" },
+  { id: "pile", label: "Pile" },
+  { id: "ambulance", label: "Ambulance" },
+  { id: "tow", label: "Tow truck" },
+  { id: "eraser", label: "Eraser" },
+  { id: "select", label: "Select" },
+  { id: "pan", label: "Pan" } // moves the camera: one finger pans, two pinch-zoom
+];
+let TOOL = "auto";
+let toolBeforeEraser = "auto"; // E toggles back to it
+let PILE_HEIGHT = 3; // Pile tool
+
+// --- TRANSPORT (ANIMATE mode) ---
+let SIM_PAUSED = false;
+let SIM_TIME_SCALE = 1; // 0.1x .. 4x
 
 // UI elements
 let uiBar;
 let modeBtn;
 let clearBtn;
-let eraserBtn;
+let toolBtns = {};
+let pileSelect;
+let eraserPanel, eraserRadiusLabel, eraserRadiusSlider, eraserAreaBox;
+let eraserFilterBoxes = {};
+let selectPanel, selectModeSelect, selectCountLabel;
+let undoBtn;
+let redoBtn;
+let saveBtn;
+let openBtn;
+let sceneFileInput;
+let sizeSelect;
+let exportBtn;
+let animSecondsInput, animFpsSelect, animFormatSelect, animExportBtn;
+let fillKindSelect, fillInput, fillPileSelect, fillSeedInput, fillBtn;
 
 let brushSlider, brushLabel;
 
-const UI_BAR_H = 46;
-
-// Global upscale (makes *everything* bigger: frogs, cars, blood, ambulances, etc.)
-const WORLD_SCALE = 1;
-function U(v) { return Math.round(v * WORLD_SCALE); }   // lengths (px-ish)
-function UF(v) { return v * WORLD_SCALE; }              // speeds/accelerations (float)
-
-// Tuning (scaled)
-const FROG_RENDER_SIZE = U(60);
-const FROG_HIT_RADIUS = U(14);
-// Prevent "accidental piling" during a single drag:
-// - spawn spacing is larger than the "stack" radius
-// - stacking only happens when intentionally very close
-const FROG_SPAWN_MIN_DIST = Math.max(8, Math.round(FROG_RENDER_SIZE * 0.32));
-const FROG_STACK_NEAR_RADIUS = Math.round(FROG_RENDER_SIZE * 0.18);
+let transportBar;
+let pauseBtn, stepBtn;
+let speedSlider, speedLabel;
+let zoomSlider, zoomLabel, zoomDragging = false;
+let resizePolicySelect;
+let gridBtn, perfLabel;
+
+const UI_BAR_H = 46; // one row; the menu bar wraps onto more on narrow windows
+const TRANSPORT_BAR_H = 30;
+let uiTopH = UI_BAR_H + TRANSPORT_BAR_H; // canvas starts below both bars, see layoutTopBars()
+
+// Eraser radius in world units; these are at zoom 1 and get U() where used,
+// so the default and the limits follow the world zoom. The live radius is
+// rescaled with the world (see eraserFollowZoom()).
+const ERASER_RADIUS = 38; // default; [ / ] resize it
+const ERASER_RADIUS_MIN = 12;
+const ERASER_RADIUS_MAX = 200;
+const ERASER_RADIUS_STEP = 1.25;
+let eraserRadius = U(world, ERASER_RADIUS);
+let eraserArea = false; // false: newest hit only, true: everything inside the radius
+const ERASER_TARGETS = [
+  { key: "frogs", label: "Frogs" },
+  { key: "cars", label: "Cars" },
+  { key: "crashPieces", label: "Pieces" },
+  { key: "ambulances", label: "Ambulances" },
+  { key: "towTrucks", label: "Tow trucks" },
+  { key: "bloodSplats", label: "Blood" }
+];
+let eraserFilter = defaultEraserFilter(); // world key -> erasable
 
-const CAR_RENDER_SIZE = U(60);
-const CAR_BODY_W = U(70);
-const CAR_BODY_H = U(70);
-const CAR_SPAWN_MIN_DIST = Math.round(CAR_BODY_W * 0.55);
-
-const CRASH_PIECE_SIZE = U(70);
-const AMBULANCE_RENDER_SIZE = U(60);
-const TOW_TRUCK_RENDER_SIZE = U(72);
+// Blood pixel-art rendering
+// Two low-res buffers per world layer: settled blood is baked once into
+// `baked`, only moving / growing / fading blood is redrawn (and dithered) into
+// `active` each frame.
+const BLOOD_PIXEL_SCALE = 8; // higher = chunkier pixels
 
-const ERASER_RADIUS = U(38);
-const BLOOD_SPRAY_HIT_RADIUS = U(50);
-const OFFSCREEN_PAD = U(250);
-const WORLD_EDGE_PAD_Y = U(60);
+// 4x4 Bayer matrix for hard-pixel dithering (keeps pixels crisp, avoids halos).
+const BAYER4 = [
+  0,  8,  2, 10,
+  12, 4, 14, 6,
+  3, 11,  1,  9,
+  15, 7, 13, 5
+];
+let bloodLayers = new Map();  // layer id -> { active, baked, bakedSplats, seed, activeCount }
+let bloodScratchLayer = null; // one carved splat at a time
+let bloodFreshLayer = null;   // newly settled splats, dithered before they join a cache
+let bloodLayerW = 0, bloodLayerH = 0;
+
+// Palette: a base colour and 1..4 shades of it. Tone t mixes the base towards
+// black (< 0) or white (> 0); each pixel's tone comes from what was drawn there
+// (dark core, body, top-left rim of the body, highlight).
+const BLOOD_MAX_TONES = 4;
+const BLOOD_TONE_MIX = { 1: [0], 2: [-0.32, 0], 3: [-0.32, 0, 0.35], 4: [-0.32, 0, 0.18, 0.45] };
+const BLOOD_TONE_OF_PART = { 1: [0, 0, 0, 0], 2: [0, 1, 1, 1], 3: [0, 1, 1, 2], 4: [0, 1, 2, 3] };
+let bloodPalette = defaultBloodPalette();
+let bloodShades = bloodPaletteShades(bloodPalette);
+
+function defaultBloodPalette() {
+  return { color: "#8c141e", tones: 1 }; // the old flat (140, 20, 30)
+}
 
-function clampWorldY(y) {
-  const pad = min(WORLD_EDGE_PAD_Y, floor(height * 0.5));
-  return constrain(y, pad, height - pad);
+function bloodPaletteShades(p) {
+  const hex = parseInt(p.color.slice(1), 16);
+  const base = [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+  return BLOOD_TONE_MIX[p.tones].map(t => base.map(c => round(t < 0 ? c * (1 + t) : c + (255 - c) * t)));
 }
 
-// Evasion tuning (helps frogs dodge before contact)
-const FROG_EVADE_LEAD_FRAMES = 9;           // how many frames ahead frogs "look"
-const FROG_EVADE_BASE_WARN_X = U(40);       // minimum x distance to trigger evade
-const FROG_EVADE_WARN_Y = U(44);            // y proximity to consider a threat
-const FROG_EVADE_COOLDOWN_FRAMES = 16;      // prevent repeated evade triggers
+function setBloodPalette(color, tones) {
+  if (!/^#[0-9a-f]{6}$/i.test(color)) color = bloodPalette.color;
+  tones = constrain(round(Number(tones) || 1), 1, BLOOD_MAX_TONES);
+  bloodPalette = { color: color.toLowerCase(), tones }; // a new object: baked layers compare it
+  bloodShades = bloodPaletteShades(bloodPalette);
+}
 
-// Blood pixel-art rendering
-const BLOOD_PIXEL_SCALE = 8; // higher = chunkier pixels
-let bloodLayer = null;
+function createBloodGraphics(w, h) {
+  const pg = createGraphics(w, h);
+  pg.pixelDensity(1);
+  pg.noSmooth();
+  return pg;
+}
 
 function ensureBloodLayer() {
   // Use integer upscaling (no fractional stretch) to keep pixels perfectly square.
-  const w = max(1, ceil(width / BLOOD_PIXEL_SCALE));
-  const h = max(1, ceil(height / BLOOD_PIXEL_SCALE));
-  if (bloodLayer && bloodLayer.width === w && bloodLayer.height === h) return;
-  bloodLayer = createGraphics(w, h);
-  bloodLayer.pixelDensity(1);
-  bloodLayer.noSmooth();
+  const w = max(1, ceil(world.width / BLOOD_PIXEL_SCALE));
+  const h = max(1, ceil(world.height / BLOOD_PIXEL_SCALE));
+  if (bloodScratchLayer && bloodLayerW === w && bloodLayerH === h) return;
+  bloodLayerW = w;
+  bloodLayerH = h;
+  if (bloodScratchLayer) bloodScratchLayer.remove();
+  if (bloodFreshLayer) bloodFreshLayer.remove();
+  bloodScratchLayer = createBloodGraphics(w, h);
+  bloodFreshLayer = createBloodGraphics(w, h);
+  for (const id of [...bloodLayers.keys()]) dropBloodBuffers(id);
 }
 
-function postProcessBloodLayer() {
-  if (!bloodLayer) return;
-  const w = bloodLayer.width;
+function bloodBuffers(id) {
+  let bl = bloodLayers.get(id);
+  if (!bl) {
+    bl = {
+      active: createBloodGraphics(bloodLayerW, bloodLayerH), // active blood, redrawn every frame
+      baked: createBloodGraphics(bloodLayerW, bloodLayerH),  // settled blood cache
+      bakedSplats: new Map(), // splat -> bakeKey() it was baked with
+      seed: null,             // puddle outlines come from world.rng.noise
+      palette: null,          // bloodPalette it was baked with
+      content: null,          // CONTENT_MODE it was baked in
+      scale: null,            // world.scale it was baked at (zoom moves splats in place)
+      activeCount: 0
+    };
+    bloodLayers.set(id, bl);
+  }
+  return bl;
+}
+
+function dropBloodBuffers(id) {
+  const bl = bloodLayers.get(id);
+  if (!bl) return;
+  bl.active.remove();
+  bl.baked.remove();
+  bloodLayers.delete(id);
+}
 
-  bloodLayer.loadPixels();
-  const pix = bloodLayer.pixels;
+function postProcessBloodLayer(layer) {
+  const w = layer.width;
 
-  const alphaCut = 24;
-  const br = 140, bg = 20, bb = 30;
+  layer.loadPixels();
+  const pix = layer.pixels;
 
-  // 4x4 Bayer matrix for hard-pixel alpha dithering (keeps pixels crisp, avoids halos).
-  const bayer4 = [
-    0,  8,  2, 10,
-    12, 4, 14, 6,
-    3, 11,  1,  9,
-    15, 7, 13, 5
-  ];
+  const alphaCut = 24;
+  const keepColors = (CONTENT_MODE === "family"); // confetti / stars stay colourful
+  const shades = bloodShades;
+  const toneOf = BLOOD_TONE_OF_PART[shades.length];
+  const bayer4 = BAYER4;
 
-  // Force a single red color and convert soft edges into hard pixels (no highlights / no grey/white borders).
+  // Force the palette colours and convert soft edges into hard pixels (no grey/white borders).
   for (let i = 0, p = 0; i < pix.length; i += 4, p++) {
     const a = pix[i + 3];
     if (a <= alphaCut) {
@@ -152,76 +301,135 @@ function postProcessBloodLayer() {
       continue;
     }
 
-    pix[i + 0] = br;
-    pix[i + 1] = bg;
-    pix[i + 2] = bb;
+    // part drawn here (drawFloorSplat / drawBloodPuddle colours): 0 dark core,
+    // 1 body, 2 body pixel with clear space above or left of it, 3 highlight
+    if (keepColors) {
+      pix[i + 3] = 255;
+      continue;
+    }
+
+    const r = pix[i];
+    let part = (r < 118) ? 0 : (r >= 188) ? 3 : 1;
+    if (part === 1 && ((x > 0 && pix[i - 1] === 0) || (y > 0 && pix[i - 4 * w + 3] === 0))) part = 2;
+    const c = shades[toneOf[part]];
+
+    pix[i + 0] = c[0];
+    pix[i + 1] = c[1];
+    pix[i + 2] = c[2];
     pix[i + 3] = 255;
   }
 
-  bloodLayer.updatePixels();
+  layer.updatePixels();
 }
 
 // -------------------------
-// Blood fade settings
+// Seedable randomness
 // -------------------------
-const BLOOD_FADE_START_MS = 5000; // start fading after 5 seconds
-const BLOOD_FADE_DUR_MS   = 1400; // fade duration
+// The simulation rolls through world.rng (a SeededRandom, see sim.js), so a run
+// is reproducible from its seed (?seed=... in the URL, or the Seed box).
+// p5's random() is only used for UI conveniences such as fresh seeds.
+let seedInput;
+
+function initialSimSeed() {
+  const q = new URLSearchParams(window.location.search).get("seed");
+  return (q !== null && q.trim() !== "") ? seedFromText(q) : floor(random(1e9));
+}
 
-// -------------------------
-// Ambulance settings (UPDATED)
-// -------------------------
-const AMBULANCE_SPAWN_DELAY_MS = 500;   // half a second after crash
-const AMBULANCE_PICKUP_DIST = U(18);
-const AMBULANCE_SPAWN_EDGE_PAD = U(90);
+// Rewind the RNG to the start of its seed (fresh canvas => fresh run).
+function resetSimRandom(seed = world.rng.seed) {
+  world.rng.reset(seed);
+  if (seedInput) seedInput.value(String(world.rng.seed));
+}
 
-// anti-overlap steering
-const AMBULANCE_SEP_RADIUS = U(54);
-const AMBULANCE_SEP_FORCE  = 0.22;
-const AMBULANCE_MAX_SEP    = 0.45;
+// Goes through inputEvent so macros and the timeline replay the reseed.
+function setSimSeedFromUI() {
+  inputEvent({ type: "seed", value: seedFromText(seedInput.value()) });
+  seedInput.value(String(world.rng.seed)); // unchanged while a macro plays
 
-// stuck detector
-const AMBULANCE_STUCK_FRAMES = 26;
-const AMBULANCE_PROGRESS_EPS = UF(0.55);
+  // keep the seed in the URL so a reload reproduces the run
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", String(world.rng.seed));
+  window.history.replaceState(null, "", url);
+}
 
 // -------------------------
-// Tow settings
+// Content mode (effects)
 // -------------------------
-const TOW_SPAWN_DELAY_MS = 700;
-const TOW_PICKUP_DIST = U(20);
-const TOW_SPAWN_EDGE_PAD = U(110);
+// "gore": blood spray, floor splats and the squish sprite. "family": the same
+// particles drawn as confetti, floor splats as fading star stamps, and gentler
+// sprites, through the same dithered blood layers. Rendering only: the
+// simulation (and so seeds, macros and scenes) is the same in both.
+// ?content=family picks it at startup.
+const CONTENT_MODES = [
+  { id: "gore", label: "Effects: Splat", effects: "Blood" },
+  { id: "family", label: "Effects: Family", effects: "Confetti" }
+];
+const CONFETTI_COLORS = [[235, 80, 90], [255, 190, 40], [80, 190, 120], [70, 150, 235], [180, 110, 220]];
+const STAR_STAMP_COLOR = [255, 205, 60];
+
+let CONTENT_MODE = "gore";
+let contentSelect, bloodBtn, bloodPanelTitle;
+
+function initialContentMode() {
+  const q = new URLSearchParams(window.location.search).get("content");
+  return CONTENT_MODES.some(m => m.id === q) ? q : "gore";
+}
+
+function contentModeInfo() {
+  return CONTENT_MODES.find(m => m.id === CONTENT_MODE);
+}
+
+function setContentMode(id) {
+  if (!CONTENT_MODES.some(m => m.id === id)) return;
+  CONTENT_MODE = id;
+  if (contentSelect) contentSelect.selected(id);
+  if (bloodBtn) bloodBtn.html(contentModeInfo().effects);
+  if (bloodPanelTitle) bloodPanelTitle.html(contentModeInfo().effects);
+}
+
+function setContentModeFromUI() {
+  setContentMode(contentSelect.value());
+
+  // keep the mode in the URL so a reload keeps it
+  const url = new URL(window.location.href);
+  url.searchParams.set("content", CONTENT_MODE);
+  window.history.replaceState(null, "", url);
+}
+
+// Family sprites are built from the regular art: a squished frog is a flat,
+// wide-eyed pancake instead of the X-eyed sprite, a frog knocked off a car
+// simply jumps.
+function buildFamilySprites() {
+  const idle = GFX.frogIdle && GFX.frogIdle[0];
+  if (!idle) return;
+  const pancake = createGraphics(idle.width, idle.height);
+  pancake.pixelDensity(1);
+  pancake.noSmooth();
+  pancake.image(idle, -idle.width * 0.1, idle.height * 0.45, idle.width * 1.2, idle.height * 0.5);
+  GFX.familyFrogSquish = [pancake];
+  GFX.familyCrashPiece = (GFX.frogJump && GFX.frogJump.length > 1) ? GFX.frogJump[1] : idle;
+}
 
 // -------------------------
-// Animation helper
+// Simulation clock (fixed timestep)
 // -------------------------
-class Animation {
-  constructor(frames, fps = 12, loop = true) {
-    this.frames = frames;
-    this.fps = fps;
-    this.loop = loop;
-    this.t = 0;
-    this.done = false;
-  }
-  reset() { this.t = 0; this.done = false; }
-  update() {
-    if (this.done) return;
-    this.t += deltaTime / 1000;
-    const total = this.frames.length / this.fps;
-    if (!this.loop && this.t >= total) this.done = true;
-  }
-  frame() {
-    if (!this.frames || this.frames.length === 0) return null;
-    let idx = floor(this.t * this.fps);
-    if (this.loop) idx = idx % this.frames.length;
-    else idx = min(idx, this.frames.length - 1);
-    return this.frames[idx];
-  }
-  progress01() {
-    const dur = this.frames.length / this.fps;
-    if (dur <= 0) return 1;
-    return constrain(this.t / dur, 0, 1);
-  }
+// stepWorld() (sim.js) advances the world in fixed SIM_HZ ticks, independent of
+// the display refresh rate. draw() runs as many ticks as real time allows and
+// renders sprites between the last two ticks.
+const SIM_MAX_FRAME_MS = 250; // a stalled tab catches up at most this much
+
+let simAccumulatorMs = 0;
+let simAlpha = 1; // 0..1 between the previous and the current tick
+
+// Where to draw an entity this frame.
+function renderPos(e) {
+  if (e.prevX === undefined || simAlpha >= 1) return e.pos;
+  return { x: lerp(e.prevX, e.pos.x, simAlpha), y: lerp(e.prevY, e.pos.y, simAlpha) };
 }
 
+// -------------------------
+// Sprites
+// -------------------------
 function loadFrames(prefix, count) {
   const arr = [];
   for (let i = 0; i < count; i++) arr.push(loadImage(`${prefix}_${i}.png`));
@@ -283,1699 +491,3780 @@ function preload() {
 }
 
 function setup() {
-  createCanvas(windowWidth, windowHeight - UI_BAR_H);
+  const cnv = createCanvas(windowWidth, windowHeight - uiTopH);
+  resizeWorld(world, width, height, "anchor"); // still empty: just take the canvas size
   noSmooth();
-  lastSpawnPos = createVector(mouseX, mouseY);
+  setupPointerInput(cnv.elt);
+  resetSimRandom(initialSimSeed());
 
   preprocessJumpFrames();
+  buildFamilySprites();
+  CONTENT_MODE = initialContentMode();
 
+  loadKeymap();
+  loadResizePolicy();
   buildMenuBar();
+  buildTransportBar();
+  buildEraserPanel();
+  buildSelectionPanel();
+  buildLayersPanel();
+  buildBloodPanel();
+  buildPixelArtPanel();
+  buildCheatSheet();
+  setupSelectionClipboard();
   applyCanvasFitToWindow();
 }
 
 function draw() {
+  if (animExporting) return; // the world is being run offline; keep the last frame up
+
   background(235);
 
-  // blood floor layer (pixel-art style)
-  ensureBloodLayer();
-  bloodLayer.clear();
-  bloodLayer.push();
-  bloodLayer.scale(1 / BLOOD_PIXEL_SCALE);
-  for (const b of bloodSplats) {
-    if (MODE === "animate") b.update();
-    b.draw(bloodLayer);
+  macroBeforeFrame();
+
+  if (world.mode === "animate" && !SIM_PAUSED) {
+    simAccumulatorMs += min(deltaTime, SIM_MAX_FRAME_MS) * SIM_TIME_SCALE * macroSpeed();
+    perfStepMs = 0;
+    perfTimelineMs = 0;
+    let ticks = 0;
+    while (simAccumulatorMs >= SIM_DT_MS && !macroBlocksStep()) {
+      stepSimulation();
+      simAccumulatorMs -= SIM_DT_MS;
+      macroApplyDue();
+      ticks++;
+    }
+    perfRecordTicks(perfStepMs, perfTimelineMs, ticks);
+    // don't bank time while a replay waits for its next event
+    if (macroBlocksStep()) simAccumulatorMs = min(simAccumulatorMs, SIM_DT_MS);
+    simAlpha = min(1, simAccumulatorMs / SIM_DT_MS);
+  } else {
+    simAccumulatorMs = 0;
+    simAlpha = 1;
   }
-  bloodLayer.pop();
-  postProcessBloodLayer();
-  bloodSplats = bloodSplats.filter(b => !b.dead);
 
+  if (brushLabel && brushSlider) brushLabel.html("Brush: " + brushSlider.value());
+  updateToolPaletteUI();
+  updateHistoryButtonsUI();
+  updateTransportUI();
+  updateTimelineUI();
+  updateMacroUI();
+  updateLayersPanelUI();
+  updateBloodPanelUI();
+  updatePixelArtPanelUI();
+  updatePerfUI();
+
+  const r0 = performance.now();
+  renderBloodLayer();
+
+  // global-mode p5 functions live on window, so it doubles as the screen target
+  drawScene(window);
   push();
-  noSmooth();
-  imageMode(CORNER);
-  image(bloodLayer, 0, 0, bloodLayer.width * BLOOD_PIXEL_SCALE, bloodLayer.height * BLOOD_PIXEL_SCALE);
+  applyCamera(window);
+  drawSelection();
+  drawMacroGhost();
   pop();
-
-  if (brushLabel && brushSlider) brushLabel.html("Brush: " + brushSlider.value());
-  updateEraserButtonUI();
-
-  if (MODE === "animate") {
-    // spawn scheduled once per frame
-    trySpawnScheduledAmbulances();
-    trySpawnScheduledTows();
-
-    for (let c of cars) c.update();
-    for (let f of frogs) f.update();
-
-    handleCarFrogInteractions();
-    handleChainCrashPropagation();
-
-    // update crash pieces
-    for (let p of crashPieces) p.update();
-    crashPieces = crashPieces.filter(p => !p.dead);
-
-    // update ambulances
-    for (let a of ambulances) a.update();
-    ambulances = ambulances.filter(a => !a.dead);
-
-    // update tow trucks
-    for (let t of towTrucks) t.update();
-    towTrucks = towTrucks.filter(t => !t.dead);
-
-    cars = cars.filter(c => !c.isFarOffscreen() && !c._towedAway);
-    frogs = frogs.filter(f => !f.removed);
-  }
-
-  // draw stamps in creation order so new stamps sit on top
-  const render = [];
-  for (let f of frogs) render.push({ t: f.createdAt, obj: f });
-  for (let c of cars) render.push({ t: c.createdAt, obj: c });
-  render.sort((a, b) => a.t - b.t);
-  for (const r of render) r.obj.draw();
-
-  // draw crash pieces on top of stamps
-  for (let p of crashPieces) p.draw();
-
-  // tow trucks
-  for (let t of towTrucks) t.draw();
-
-  // ambulances on top
-  for (let a of ambulances) a.draw();
+  drawExportFrame();
+  drawEraserCursor();
+  drawMinimap();
+  perfRecordRender(performance.now() - r0);
 }
 
 // -------------------------
-// UI (menu bar)
+// Perf readout (transport bar)
 // -------------------------
-function buildMenuBar() {
-  uiBar = createDiv("");
-  uiBar.id("uiBar");
-  uiBar.style("position", "fixed");
-  uiBar.style("left", "0px");
-  uiBar.style("top", "0px");
-  uiBar.style("width", "100%");
-  uiBar.style("height", UI_BAR_H + "px");
-  uiBar.style("display", "flex");
-  uiBar.style("align-items", "center");
-  uiBar.style("gap", "10px");
-  uiBar.style("padding", "8px 10px");
-  uiBar.style("box-sizing", "border-box");
-  uiBar.style("background", "rgba(245,245,245,0.96)");
-  uiBar.style("border-bottom", "1px solid rgba(0,0,0,0.12)");
-  uiBar.style("z-index", "9999");
-  uiBar.style("font-family", "monospace");
-  uiBar.style("font-size", "12px");
-
-  modeBtn = createButton("Mode: ANIMATE");
-  modeBtn.parent(uiBar);
-  modeBtn.mousePressed(toggleMode);
-
-  eraserBtn = createButton("Eraser: OFF");
-  eraserBtn.parent(uiBar);
-  eraserBtn.mousePressed(() => { ERASER = !ERASER; });
+const PERF_SMOOTHING = 0.1;  // exponential moving average weight
+const PERF_UI_MS = 250;      // label refresh interval
+let perfTickMs = 0;          // ms per simulation tick (stepWorld only)
+let perfKeyframeMs = 0;      // ms per tick spent on timeline keyframes, averaged
+let perfRenderMs = 0;        // ms per rendered frame (blood layer + sprites)
+let perfUiAt = 0;
+let perfStepMs = 0;          // this frame so far, summed by stepSimulation()
+let perfTimelineMs = 0;
+
+function perfRecordTicks(stepMs, timelineMs, ticks) {
+  if (ticks === 0) return;
+  perfTickMs = lerp(perfTickMs, stepMs / ticks, PERF_SMOOTHING);
+  perfKeyframeMs = lerp(perfKeyframeMs, timelineMs / ticks, PERF_SMOOTHING);
+}
 
-  clearBtn = createButton("Clear Canvas");
-  clearBtn.parent(uiBar);
-  clearBtn.mousePressed(clearCanvasAll);
+function perfRecordRender(ms) {
+  perfRenderMs = lerp(perfRenderMs, ms, PERF_SMOOTHING);
+}
 
-  uiSep();
+function updatePerfUI() {
+  if (!perfLabel || millis() - perfUiAt < PERF_UI_MS) return;
+  perfUiAt = millis();
+  perfLabel.html(
+    "tick " + perfTickMs.toFixed(2) + "ms (+" + perfKeyframeMs.toFixed(2) + " timeline) · render " + perfRenderMs.toFixed(1) + "ms · " +
+    round(frameRate()) + "fps · " + world.frogs.length + " frogs / " + world.cars.length + " cars"
+  );
+}
 
-  /* Canvas size presets removed (always fit to window).
-  if (false) {
-  sizeLabel = createDiv("Canvas:");
-  sizeLabel.parent(uiBar);
+// blood floor layer (pixel-art style), one set of buffers per visible layer
+function renderBloodLayer() {
+  ensureBloodLayer();
 
-  sizeSelect = createSelect();
-  sizeSelect.parent(uiBar);
-  sizeSelect.style("height", "24px");
-  sizeSelect.option("Fit Window", "fit");
-  sizeSelect.option("Screen 800×600", "800x600");
-  sizeSelect.option("Screen 1080×1080", "1080x1080");
-  sizeSelect.option("Screen 1920×1080 (HD)", "1920x1080");
-  sizeSelect.option("Screen 1080×1920 (Story)", "1080x1920");
-  sizeSelect.option("Print A4 Portrait (2480×3508)", "2480x3508");
-  sizeSelect.option("Print A4 Landscape (3508×2480)", "3508x2480");
-  sizeSelect.option("Print A3 Portrait (3508×4961)", "3508x4961");
-  sizeSelect.option("Print A3 Landscape (4961×3508)", "4961x3508");
-  sizeSelect.selected("fit");
-  sizeSelect.changed(onCanvasPresetChanged);
+  const byLayer = new Map();
+  for (const b of world.bloodSplats) {
+    if (!byLayer.has(b.layer)) byLayer.set(b.layer, []);
+    byLayer.get(b.layer).push(b);
   }
-  */
-  brushLabel = createDiv("Brush: 1");
-  brushLabel.parent(uiBar);
-  brushLabel.style("min-width", "70px");
-
-  brushSlider = createSlider(1, 8, 1, 1);
-  brushSlider.parent(uiBar);
-  brushSlider.style("width", "140px");
-
-  /* Fill mode removed.
-  if (false) {
-    uiSep();
-
-  const fillText = createDiv("Fill mode:");
-  fillText.parent(uiBar);
-
-  fillInput = createInput("0");
-  fillInput.parent(uiBar);
-  fillInput.size(45, 22);
-
-  fillBtn = createButton("Fill Frogs");
-  fillBtn.parent(uiBar);
-  fillBtn.mousePressed(fillScreenWithFrogs);
+  for (const id of [...bloodLayers.keys()]) {
+    if (!findLayer(world, id)) dropBloodBuffers(id);
   }
-  */
-
-  const hint = createDiv("Drag: horizontal=cars, vertical=frogs");
-  hint.parent(uiBar);
-  hint.style("margin-left", "auto");
-  hint.style("opacity", "0.55");
-}
-
-function uiSep() {
-  const sep = createDiv(" | ");
-  sep.parent(uiBar);
-  sep.style("opacity", "0.45");
-}
 
-function updateEraserButtonUI() {
-  if (!eraserBtn) return;
-  eraserBtn.html(ERASER ? "Eraser: ON" : "Eraser: OFF");
-  eraserBtn.style("background", ERASER ? "rgba(0,0,0,0.08)" : "");
+  for (const l of world.layers) {
+    if (!l.visible) continue;
+    const splats = byLayer.get(l.id) || [];
+    if (splats.length === 0 && !bloodLayers.has(l.id)) continue;
+    renderLayerBlood(bloodBuffers(l.id), splats);
+  }
 }
 
-function toggleMode() {
-  MODE = MODE === "animate" ? "still" : "animate";
-  modeBtn.html(MODE === "animate" ? "Mode: ANIMATE" : "Mode: STILL");
-
-  if (MODE === "still") freezeAllPlacedSprites();
-  else unfreezeAllPlacedSprites();
-}
+function renderLayerBlood(bl, splats) {
+  const settled = new Set();
+  const active = [];
+  for (const b of splats) {
+    if (bloodSplatSettled(b)) settled.add(b);
+    else active.push(b);
+  }
 
-function freezeAllPlacedSprites() {
-  for (let f of frogs) f.frozenImg = f.currentImage();
-  for (let c of cars) c.frozenImg = c.getRenderImage();
-  for (let b of bloodSplats) b.freezeNow && b.freezeNow();
-  for (let a of ambulances) a.freeze();
-  for (let t of towTrucks) t.freeze();
+  // Dithered pixels are fully opaque or fully clear, so newly settled splats can
+  // be painted over the cache. A splat leaving it (starting to fade, replaced
+  // by undo / load) or changing alpha or holes means a full rebake.
+  let rebake = (bl.seed !== world.rng.seed || bl.palette !== bloodPalette || bl.content !== CONTENT_MODE || bl.scale !== world.scale);
+  for (const [b, key] of bl.bakedSplats) {
+    if (!settled.has(b) || bakeKey(b) !== key) { rebake = true; break; }
+  }
+  if (rebake) {
+    bl.baked.clear();
+    bl.bakedSplats = new Map();
+    bl.seed = world.rng.seed;
+    bl.palette = bloodPalette;
+    bl.content = CONTENT_MODE;
+    bl.scale = world.scale;
+  }
 
-  crashQueue = [];
-  chainCooldown = 0;
-  fastFrames = 0;
-  stoppedFrames = 0;
+  const fresh = [];
+  for (const b of settled) {
+    if (!bl.bakedSplats.has(b)) fresh.push(b);
+  }
+  // dithered on their own so the cache is never dithered (and toned) twice
+  if (fresh.length > 0) {
+    bloodFreshLayer.clear();
+    paintBlood(bloodFreshLayer, fresh);
+    bl.baked.image(bloodFreshLayer, 0, 0);
+    for (const b of fresh) bl.bakedSplats.set(b, bakeKey(b));
+  }
 
-  // freeze crash pieces (simple: stop them)
-  for (let p of crashPieces) { p.dead = true; }
-  crashPieces = [];
+  bl.activeCount = active.length;
+  if (active.length > 0) {
+    bl.active.clear();
+    paintBlood(bl.active, active);
+  }
 }
 
-function unfreezeAllPlacedSprites() {
-  for (let f of frogs) f.frozenImg = null;
-  for (let c of cars) c.frozenImg = null;
-  for (let a of ambulances) a.unfreeze();
-  for (let t of towTrucks) t.unfreeze();
+// Settled = won't change before the next frame: anything in STILL mode (the
+// world doesn't step), otherwise drops landed, puddles fully grown and not
+// fading while the clock runs (paused blood can still be stepped, so it must be grown).
+function bloodSplatSettled(b) {
+  if (world.mode === "still") return true;
+  const grown = (b instanceof SimpleFloorSplat) ? (b.grow >= 1) : b.frozen;
+  return grown && (b.alpha === 255 || SIM_PAUSED);
 }
 
-function clearCanvasAll() {
-  cars = [];
-  frogs = [];
-  bloodSplats = [];
-  ambulances = [];
-  crashPieces = [];
-  crashQueue = [];
-  towTrucks = [];
-  creationCounter = 0;
+function bakeKey(b) {
+  return b.alpha + "/" + b.holes.length;
 }
 
-function applyCanvasFitToWindow() {
-  const c = document.querySelector("canvas");
-  if (c) {
-    c.style.position = "absolute";
-    c.style.left = "0px";
-    c.style.top = UI_BAR_H + "px";
+function paintBlood(layer, splats) {
+  layer.push();
+  layer.scale(1 / BLOOD_PIXEL_SCALE);
+  for (const b of splats) {
+    if (b.holes.length > 0) paintCarvedSplat(layer, b);
+    else drawBloodSplat(layer, b);
   }
-
-  resizeCanvas(windowWidth, max(1, windowHeight - UI_BAR_H));
-
-  document.body.style.margin = "0";
-  document.body.style.overflow = "hidden";
-
-  ensureBloodLayer();
+  layer.pop();
+  postProcessBloodLayer(layer);
 }
 
-function windowResized() {
-  applyCanvasFitToWindow();
+// Holes are cut on a scratch layer so they never reach the blood underneath.
+function paintCarvedSplat(layer, b) {
+  const pg = bloodScratchLayer;
+  pg.clear();
+  pg.push();
+  pg.scale(1 / BLOOD_PIXEL_SCALE);
+  drawBloodSplat(pg, b);
+  pg.erase();
+  pg.noStroke();
+  for (const h of b.holes) pg.circle(h.x, h.y, h.r * 2);
+  pg.noErase();
+  pg.pop();
+
+  layer.push();
+  layer.resetMatrix();
+  layer.image(pg, 0, 0);
+  layer.pop();
 }
 
-// -------------------------
-// Mouse mapping (canvas under fixed bar)
-// -------------------------
-function canvasMouseX() { return mouseX; }
-function canvasMouseY() { return mouseY - UI_BAR_H; }
-function canvasPMouseX() { return pmouseX; }
-function canvasPMouseY() { return pmouseY - UI_BAR_H; }
-
-// -------------------------
-// Eraser behavior
-// -------------------------
-function eraseAt(x, y) {
-  const R = ERASER_RADIUS;
+// One fixed simulation tick (ANIMATE mode only).
+// The perf readout times the two parts apart: keyframes say nothing about
+// the spatial hash.
+function stepSimulation() {
+  const t0 = performance.now();
+  timelineBeforeStep();
+  const t1 = performance.now();
+  stepWorld(world);
+  perfStepMs += performance.now() - t1;
+  perfTimelineMs += t1 - t0;
+  timelineAfterStep();
+}
 
-  for (let i = frogs.length - 1; i >= 0; i--) {
-    const f = frogs[i];
-    if (dist(x, y, f.pos.x, f.pos.y) < R) {
-      frogs.splice(i, 1);
-      return;
-    }
+// Draws blood and sprites into pg (the screen, or an offscreen export buffer),
+// visible layers only, bottom layer first.
+function drawWorld(pg) {
+  const buckets = new Map();
+  for (const l of world.layers) {
+    if (l.visible) buckets.set(l.id, { stamps: [], pieces: [], towTrucks: [], ambulances: [] });
   }
-
-  for (let i = cars.length - 1; i >= 0; i--) {
-    const c = cars[i];
-    if (dist(x, y, c.pos.x, c.pos.y) < R) {
-      cars.splice(i, 1);
-      return;
+  const bucket = (list, bucketKey, draw, stamp) => {
+    for (const e of list) {
+      const bk = buckets.get(e.layer);
+      if (bk) bk[bucketKey].push(stamp ? { t: e.createdAt, obj: e, draw } : e);
     }
-  }
-
-  for (let i = bloodSplats.length - 1; i >= 0; i--) {
-    const b = bloodSplats[i];
-    if (b && b.hitTest && b.hitTest(x, y)) {
-      bloodSplats.splice(i, 1);
-      return;
+  };
+  bucket(world.frogs, "stamps", drawFrog, true);
+  bucket(world.cars, "stamps", drawCar, true);
+  bucket(world.crashPieces, "pieces");
+  bucket(world.towTrucks, "towTrucks");
+  bucket(world.ambulances, "ambulances");
+
+  for (const l of world.layers) {
+    const bk = buckets.get(l.id);
+    if (!bk) continue;
+
+    const bl = bloodLayers.get(l.id);
+    if (bl) {
+      pg.push();
+      pg.noSmooth();
+      pg.imageMode(CORNER);
+      const bw = bloodLayerW * BLOOD_PIXEL_SCALE;
+      const bh = bloodLayerH * BLOOD_PIXEL_SCALE;
+      pg.image(bl.baked, 0, 0, bw, bh);
+      if (bl.activeCount > 0) pg.image(bl.active, 0, 0, bw, bh);
+      pg.pop();
     }
-  }
 
-  for (let i = crashPieces.length - 1; i >= 0; i--) {
-    const p = crashPieces[i];
-    if (p && dist(x, y, p.pos.x, p.pos.y) < U(40)) {
-      crashPieces.splice(i, 1);
-      return;
-    }
+    // draw stamps in creation order so new stamps sit on top
+    bk.stamps.sort((a, b) => a.t - b.t);
+    for (const r of bk.stamps) r.draw(pg, r.obj);
+
+    // crash pieces on top of stamps, then tow trucks, ambulances on top
+    for (const p of bk.pieces) drawCrashPiece(pg, p);
+    for (const t of bk.towTrucks) drawTowTruck(pg, t);
+    for (const a of bk.ambulances) drawAmbulance(pg, a);
   }
 }
 
 // -------------------------
-// Input / brush logic
+// Pixel-art pipeline (whole scene)
 // -------------------------
-function mousePressed() {
-  if (mouseY <= UI_BAR_H) return;
-
-  lastSpawnPos = createVector(canvasMouseX(), canvasMouseY());
-
-  if (ERASER) {
-    eraseAt(lastSpawnPos.x, lastSpawnPos.y);
-    return;
-  }
-
-  prevSegSpeed = 0;
-  chainCooldown = 0;
-  fastFrames = 0;
-  stoppedFrames = 0;
+// Optional: blood and sprites are drawn together into one low-res buffer,
+// quantized to a palette (ordered dithering and outlines optional) and then
+// upscaled by an integer factor with nearest-neighbour, so the sprites match
+// the chunky blood. Rendering only, like the content mode; exports use it too.
+const PIXEL_ART_SCALES = [0, 2, 3, 4, 6, 8]; // 0 = off
+const PIXEL_ART_PALETTES = [
+  { id: "full", label: "Full colour", colors: null },
+  { id: "pico8", label: "PICO-8", colors: hexPalette("000000 1d2b53 7e2553 008751 ab5236 5f574f c2c3c7 fff1e8 ff004d ffa300 ffec27 00e436 29adff 83769c ff77a8 ffccaa") },
+  { id: "db16", label: "DawnBringer 16", colors: hexPalette("140c1c 442434 30346d 4e4a4e 854c30 346524 d04648 757161 597dce d27d2c 8595a1 6daa2c d2aa99 6dc2ca dad45e deeed6") },
+  { id: "c64", label: "C64", colors: hexPalette("000000 ffffff 68372b 70a4b2 6f3d86 588d43 352879 b8c76f 6f4f25 433900 9a6759 444444 6c6c6c 9ad284 6c5eb5 959595") },
+  { id: "gameboy", label: "Game Boy", colors: hexPalette("0f380f 306230 8bac0f 9bbc0f") },
+  { id: "image", label: "Loaded image", colors: null }
+];
+const PIXEL_ART_MAX_COLORS = 256;   // a loaded palette image keeps its first this many colours
+const PIXEL_ART_DITHER_SPREAD = 40; // channel offset range of the ordered dither
+const PIXEL_ART_BG = [235, 235, 235]; // canvas background
+const PIXEL_ART_OUTLINE = [24, 20, 28]; // outline colour without a palette
+
+let pixelArt = { scale: 0, palette: "full", dither: false, outline: false };
+let pixelArtImageColors = null; // palette read from a loaded image
+let pixelArtLayer = null;
+let pixelArtNearest = new Map(); // packed rgb -> palette index
+let pixelArtNearestOf = null;    // colours those lookups were made for
+
+function hexPalette(str) {
+  return str.split(" ").map(h => [0, 2, 4].map(k => parseInt(h.slice(k, k + 2), 16)));
 }
 
-function mouseDragged() {
-  if (mouseY <= UI_BAR_H) return;
-
-  const x = canvasMouseX();
-  const y = canvasMouseY();
-  const px = canvasPMouseX();
-  const py = canvasPMouseY();
+function pixelArtColors() {
+  if (pixelArt.palette === "image") return pixelArtImageColors;
+  const p = PIXEL_ART_PALETTES.find(p => p.id === pixelArt.palette);
+  return p ? p.colors : null;
+}
 
-  if (x < 0 || x > width || y < 0 || y > height) return;
-  if (px < 0 || px > width || py < 0 || py > height) return;
+function setPixelArt(key, value) {
+  if (key === "scale" && !PIXEL_ART_SCALES.includes(value)) return;
+  if (key === "palette" && !PIXEL_ART_PALETTES.some(p => p.id === value)) return;
+  pixelArt[key] = value;
+}
 
-  if (ERASER) {
-    eraseAt(x, y);
-    lastSpawnPos.set(x, y);
+// Draws the world as the camera sees it into pg (canvas coordinates), through
+// the pipeline when it is on. The buffer covers the canvas, so exports (which
+// scale pg up by an integer) stay an exact nearest-neighbour upscale.
+function drawScene(pg) {
+  const s = pixelArt.scale;
+  if (!s) {
+    pg.push();
+    applyCamera(pg);
+    drawWorld(pg);
+    pg.pop();
     return;
   }
 
-  const vx = x - px;
-  const vy = y - py;
-  const sp = Math.sqrt(vx * vx + vy * vy);
+  const w = max(1, ceil(width / s));
+  const h = max(1, ceil(height / s));
+  if (!pixelArtLayer || pixelArtLayer.width !== w || pixelArtLayer.height !== h) {
+    if (pixelArtLayer) pixelArtLayer.remove();
+    pixelArtLayer = createBloodGraphics(w, h);
+  }
 
-  if (MODE === "animate") {
-    if (chainCooldown > 0) chainCooldown--;
+  const pa = pixelArtLayer;
+  pa.clear();
+  pa.push();
+  pa.scale(1 / s);
+  applyCamera(pa);
+  drawWorld(pa);
+  pa.pop();
+  postProcessPixelArt(pa);
+
+  pg.push();
+  pg.noSmooth();
+  pg.imageMode(CORNER);
+  pg.image(pa, 0, 0, w * s, h * s);
+  pg.pop();
+}
 
-    const FAST_ENOUGH = 22;
-    const STOPPED = 2.2;
-    const BRAKE_DROP = 5;
-    const NEED_FAST_FRAMES = 2;
-    const NEED_STOP_FRAMES = 1;
+// The world is drawn on a clear buffer, so drawn pixels are told apart from
+// the background: outlines go on background pixels touching drawn ones, then
+// everything is flattened onto the background colour and quantized.
+function postProcessPixelArt(layer) {
+  const w = layer.width;
+  const h = layer.height;
+  const colors = pixelArtColors();
+  const dither = pixelArt.dither && !!colors;
+  const outline = colors ? darkestColor(colors) : PIXEL_ART_OUTLINE;
+  const bg = PIXEL_ART_BG;
 
-    if (sp >= FAST_ENOUGH) fastFrames++;
-    else fastFrames = max(0, fastFrames - 1);
+  layer.loadPixels();
+  const pix = layer.pixels;
 
-    if (sp <= STOPPED) stoppedFrames++;
-    else stoppedFrames = 0;
+  const solid = new Uint8Array(w * h);
+  for (let p = 0; p < solid.length; p++) solid[p] = (pix[p * 4 + 3] >= 128) ? 1 : 0;
 
-    const hardBrake = prevSegSpeed - sp >= BRAKE_DROP;
+  for (let p = 0, i = 0; p < solid.length; p++, i += 4) {
+    const x = p % w;
+    const y = (p / w) | 0;
+    let r, g, b;
+
+    if (solid[p]) {
+      const a = pix[i + 3] / 255;
+      r = bg[0] + (pix[i] - bg[0]) * a;
+      g = bg[1] + (pix[i + 1] - bg[1]) * a;
+      b = bg[2] + (pix[i + 2] - bg[2]) * a;
+    } else if (pixelArt.outline && (
+      (x > 0 && solid[p - 1]) || (x < w - 1 && solid[p + 1]) ||
+      (y > 0 && solid[p - w]) || (y < h - 1 && solid[p + w]))) {
+      r = outline[0];
+      g = outline[1];
+      b = outline[2];
+    } else {
+      r = bg[0];
+      g = bg[1];
+      b = bg[2];
+    }
 
-    if (chainCooldown === 0 && fastFrames >= NEED_FAST_FRAMES && hardBrake && stoppedFrames >= NEED_STOP_FRAMES) {
-      triggerChainCrash(x, y);
-      chainCooldown = 28;
-      fastFrames = 0;
-      stoppedFrames = 0;
+    if (colors) {
+      if (dither) {
+        const d = ((BAYER4[(x & 3) + ((y & 3) << 2)] + 0.5) / 16 - 0.5) * PIXEL_ART_DITHER_SPREAD;
+        r += d;
+        g += d;
+        b += d;
+      }
+      const c = colors[nearestPaletteIndex(colors, r, g, b)];
+      r = c[0];
+      g = c[1];
+      b = c[2];
     }
 
-    prevSegSpeed = sp;
+    pix[i + 0] = r;
+    pix[i + 1] = g;
+    pix[i + 2] = b;
+    pix[i + 3] = 255;
+  }
+
+  layer.updatePixels();
+}
+
+// Weighted RGB distance (green counts most), cached per palette.
+function nearestPaletteIndex(colors, r, g, b) {
+  if (pixelArtNearestOf !== colors) {
+    pixelArtNearest = new Map();
+    pixelArtNearestOf = colors;
   }
+  // plain Math: this runs per pixel
+  r = Math.min(255, Math.max(0, Math.round(r)));
+  g = Math.min(255, Math.max(0, Math.round(g)));
+  b = Math.min(255, Math.max(0, Math.round(b)));
+  const key = (r << 16) | (g << 8) | b;
+  let best = pixelArtNearest.get(key);
+  if (best !== undefined) return best;
+
+  let bestD = Infinity;
+  for (let k = 0; k < colors.length; k++) {
+    const c = colors[k];
+    const dr = r - c[0], dg = g - c[1], db = b - c[2];
+    const d = 2 * dr * dr + 4 * dg * dg + 3 * db * db;
+    if (d < bestD) {
+      bestD = d;
+      best = k;
+    }
+  }
+  pixelArtNearest.set(key, best);
+  return best;
+}
 
-  const horizontal = Math.abs(vx) > Math.abs(vy);
-  const d = dist(x, y, lastSpawnPos.x, lastSpawnPos.y);
-  const minDist = horizontal ? CAR_SPAWN_MIN_DIST : FROG_SPAWN_MIN_DIST;
-  if (d < minDist) return;
+function darkestColor(colors) {
+  let best = colors[0];
+  for (const c of colors) if (c[0] + c[1] + c[2] < best[0] + best[1] + best[2]) best = c;
+  return best;
+}
 
-  if (horizontal) spawnCar(vx, sp, x, y);
-  else {
-    const n = brushSlider ? brushSlider.value() : 1;
-    if (n === 1) spawnFrog(x, y);
-    else spawnFrogBurst(x, y, n);
+// Every distinct opaque colour of the image, in reading order (a palette strip
+// or swatch grid both work).
+function paletteFromImage(img) {
+  img.loadPixels();
+  const seen = new Set();
+  const colors = [];
+  for (let i = 0; i < img.pixels.length && colors.length < PIXEL_ART_MAX_COLORS; i += 4) {
+    if (img.pixels[i + 3] < 128) continue;
+    const key = (img.pixels[i] << 16) | (img.pixels[i + 1] << 8) | img.pixels[i + 2];
+    if (seen.has(key)) continue;
+    seen.add(key);
+    colors.push([img.pixels[i], img.pixels[i + 1], img.pixels[i + 2]]);
   }
+  return colors;
+}
 
-  lastSpawnPos.set(x, y);
+function openPixelArtPaletteFile(file) {
+  const url = URL.createObjectURL(file);
+  loadImage(url, img => {
+    URL.revokeObjectURL(url);
+    const colors = paletteFromImage(img);
+    if (colors.length === 0) {
+      alert("Could not load palette: the image has no opaque pixels");
+      return;
+    }
+    pixelArtImageColors = colors;
+    setPixelArt("palette", "image");
+  }, () => {
+    URL.revokeObjectURL(url);
+    alert("Could not load palette: not an image");
+  });
 }
 
 // -------------------------
-// Spawning helpers
+// Entity rendering (sim.js entities are plain data; sprites are picked here)
 // -------------------------
-function nextCreatedAt() {
-  creationCounter += 1;
-  return creationCounter;
+function spriteFrame(frames, anim) {
+  if (!frames || frames.length === 0) return null;
+  return frames[min(anim.index(), frames.length - 1)];
 }
 
-function spawnCar(vx, sp, x, y) {
-  const dir = vx >= 0 ? 1 : -1;
-  y = clampWorldY(y);
-
-  let t = constrain(sp / 120, 0, 1);
-  t = pow(t, 1.8);
-  const carSpeed = lerp(UF(2.0), UF(12.0), t);
+function frogJumpImage(f) {
+  if (!GFX.frogJump || GFX.frogJump.length < FROG_JUMP_FRAMES) return spriteFrame(GFX.frogJump, f.anim);
 
-  const createdAt = nextCreatedAt();
+  const p = f.anim.progress01();
+  const group = (f.jumpDirY === 1) ? [3, 4, 5] : [0, 1, 2];
 
-  if (MODE === "still") {
-    const c = new Car(x, y, dir, 0, createdAt);
-    cars.push(c);
-    c.frozenImg = c.getRenderImage();
-    stillCollideCarWithFrogs(c);
-    return;
-  }
+  let idx;
+  if (p < 0.33) idx = 0;
+  else if (p < 0.66) idx = 1;
+  else idx = 2;
+  if (p > 0.80) idx = 1;
 
-  cars.push(new Car(x, y, dir, carSpeed, createdAt));
+  return GFX.frogJump[group[constrain(idx, 0, 2)]];
 }
 
-function spawnFrog(x, y, opts = {}) {
-  const allowStack = (opts.allowStack !== false);
-  y = clampWorldY(y);
-  const createdAt = nextCreatedAt();
-
-  if (MODE === "still") {
-    const nf = new Frog(x, y, createdAt);
-    frogs.push(nf);
-    stillCollideFrogWithCars(nf);
-    nf.frozenImg = nf.currentImage();
-    return;
+function frogImage(f) {
+  if (f.pileFrameIndex !== null && GFX.frogPile && GFX.frogPile.length > 0) {
+    return GFX.frogPile[constrain(f.pileFrameIndex, 0, GFX.frogPile.length - 1)];
   }
 
-  if (allowStack) {
-    const R_NEAR = FROG_STACK_NEAR_RADIUS;
-    const STACK_COOLDOWN = 18;
+  if (f.state === "jump") return frogJumpImage(f);
+  if (f.state === "squished") return spriteFrame(CONTENT_MODE === "family" ? GFX.familyFrogSquish : GFX.frogSquish, f.anim);
 
-    let nearest = null;
-    let bestD = Infinity;
+  if (f.pile > 1 && GFX.frogPile && GFX.frogPile.length >= 1) {
+    const idx = f.pile - 2;
+    return GFX.frogPile[constrain(idx, 0, GFX.frogPile.length - 1)];
+  }
 
-    for (let f of frogs) {
-      if (f.isSquished()) continue;
-      const d = dist(x, y, f.pos.x, f.pos.y);
-      if (d < R_NEAR && d < bestD) {
-        bestD = d;
-        nearest = f;
-      }
-    }
+  return spriteFrame(GFX.frogIdle, f.anim);
+}
 
-    if (nearest) {
-      if (nearest.pileCooldown === 0) {
-        nearest.pile = min(nearest.pile + 1, 5);
-        nearest.bump();
-        nearest.pileCooldown = STACK_COOLDOWN;
-      }
-      return;
-    }
+function carImage(c) {
+  if (c.state === "crash") {
+    if (c.crashPhase === 0) return GFX.carCrash0;
+    if (c.crashPhase === 1) return (c.crashVariant === "u") ? GFX.carCrash1u : GFX.carCrash1d;
+    return (c.crashVariant === "u") ? GFX.carCrash3u : GFX.carCrash3d;
   }
-
-  frogs.push(new Frog(x, y, createdAt));
+  if (c.state === "wreck") return (c.crashVariant === "u") ? GFX.carCrash3u : GFX.carCrash3d;
+  return spriteFrame(GFX.carDrive, c.anim);
 }
 
-function spawnFrogBurst(x, y, count) {
-  const spread = FROG_RENDER_SIZE * 0.32 + count * 5;
-  // Burst should always place multiple frogs, not convert into a pile.
-  for (let i = 0; i < count; i++) spawnFrog(x + random(-spread, spread), y + random(-spread, spread), { allowStack: false });
+function drawFrog(pg, f) {
+  const img = frogImage(f);
+  if (!img) return;
+
+  const p = renderPos(f);
+  pg.push();
+  pg.translate(p.x, p.y + f.jumpLift + -f.bounce * U(world, 6));
+  pg.imageMode(CENTER);
+  pg.image(img, 0, 0, f.size, f.size);
+  pg.pop();
 }
 
-// -------------------------
-// STILL mode collisions (stamp-time only)
-// -------------------------
-function stillCollideCarWithFrogs(car) {
-  for (let f of frogs) {
-    if (f.isSquished()) continue;
-    if (rectCircleOverlap(car.getAABB(), f.pos, f.hitRadius)) {
-      f.squish(car.dir);
-      f.frozenImg = f.currentImage();
-    }
-  }
+function drawCar(pg, c) {
+  const img = carImage(c);
+  if (!img) return;
+
+  const p = renderPos(c);
+  pg.push();
+  pg.translate(p.x, p.y);
+  pg.imageMode(CENTER);
+  pg.scale(-c.dir, 1);
+  pg.tint(255, c.alpha);
+  pg.image(img, 0, 0, c.renderW, c.renderH);
+  pg.noTint();
+  pg.pop();
 }
 
-function stillCollideFrogWithCars(frog) {
-  for (let c of cars) {
-    if (rectCircleOverlap(c.getAABB(), frog.pos, frog.hitRadius)) {
-      frog.squish(c.dir);
-      frog.frozenImg = frog.currentImage();
-      return;
-    }
-  }
+function drawCrashPiece(pg, piece) {
+  let img = (piece.variant === "u") ? GFX.carCrash2u : GFX.carCrash2d;
+  if (CONTENT_MODE === "family") img = GFX.familyCrashPiece;
+  if (!img) return;
+  const p = renderPos(piece);
+  pg.push();
+  pg.imageMode(CENTER);
+  pg.translate(p.x, p.y);
+  if (piece.state !== "rest") pg.rotate(piece.rot);
+  pg.image(img, 0, 0, piece.size, piece.size);
+  pg.pop();
 }
 
-// -------------------------
-// Rules: speed needed vs pile (ANIMATE mode)
-// -------------------------
-function requiredSpeedToSquish(pile) {
-  // Higher = frogs survive more often (evade instead of getting squished).
-  const BASE = UF(9.4);
-  const STEP = UF(1.05);
-  return BASE + (pile - 1) * STEP;
+// PNG faces LEFT by default; moving RIGHT => mirror
+function drawVehicle(pg, v, img) {
+  if (!img) return;
+  const p = renderPos(v);
+  pg.push();
+  pg.translate(p.x, p.y);
+  pg.imageMode(CENTER);
+  pg.noSmooth();
+  if (v.dir === 1) pg.scale(-1, 1);
+  pg.image(img, 0, 0, v.size, v.size);
+  pg.pop();
 }
 
+function drawTowTruck(pg, t) { drawVehicle(pg, t, GFX.towTruck); }
+function drawAmbulance(pg, a) { drawVehicle(pg, a, GFX.ambulance); }
+
 // -------------------------
-// Interactions (ANIMATE mode only)
+// Blood rendering (into the low-res blood layer)
 // -------------------------
-function handleCarFrogInteractions() {
-  for (let c of cars) {
-    if (c.state === "wreck") continue;
-
-    for (let f of frogs) {
-      if (f.isSquished()) continue;
-
-      // Proactive evasion: dodge slightly BEFORE contact (pile=1 only)
-      if (f.pile === 1 && c.state === "drive" && f.evadeCooldown === 0) {
-        const dy = abs(f.pos.y - c.pos.y);
-        if (dy < FROG_EVADE_WARN_Y) {
-          const ahead = (f.pos.x - c.pos.x) * c.dir; // >0 means car is behind, approaching
-          const warnX = FROG_EVADE_BASE_WARN_X + c.speed * FROG_EVADE_LEAD_FRAMES;
-          if (ahead > 0 && ahead < warnX) {
-            f.evadeFrom(c);
-            continue;
-          }
-        }
-      }
-
-      if (rectCircleOverlap(c.getAABB(), f.pos, f.hitRadius)) {
-        const pile = f.pile;
-        const need = requiredSpeedToSquish(pile);
-
-        if (pile === 1) {
-          if (c.speed >= need) {
-            f.squish(c.dir);
-            c.onHit(true);
-          } else {
-            f.evadeFrom(c);
-          }
-        } else {
-          if (c.speed >= need) {
-            f.squish(c.dir);
-            c.onHit(true);
-          } else {
-            c.crash();
-            f.bump();
-          }
-        }
-      }
-    }
+function drawBloodSplat(pg, b) {
+  const family = (CONTENT_MODE === "family");
+  if (b instanceof SimpleFloorSplat) {
+    if (family) drawStarStamp(pg, b);
+    else drawFloorSplat(pg, b);
+    return;
+  }
+  for (const p of b.puddles) {
+    if (family) drawConfettiPiece(pg, p.x, p.y, p.w * 0.3, p.h * 0.6, p.seed, p.seed, p.grow, b.alpha);
+    else drawBloodPuddle(pg, p, b.alpha);
+  }
+  for (const d of b.drops) {
+    if (family) drawConfettiPiece(pg, d.x, d.y, d.r * 1.6, d.r, d.spin * 1e4, d.t * 4, 1, b.alpha);
+    else drawBloodDrop(pg, d, b.alpha);
   }
 }
 
-function rectCircleOverlap(aabb, cpos, r) {
-  const cx = constrain(cpos.x, aabb.x, aabb.x + aabb.w);
-  const cy = constrain(cpos.y, aabb.y, aabb.y + aabb.h);
-  const dx = cpos.x - cx;
-  const dy = cpos.y - cy;
-  return (dx * dx + dy * dy) <= r * r;
+// One paper rectangle; its colour comes from a fixed per-particle number (not
+// the world RNG, which drawing must not advance). Drops pass their flight clock
+// as the angle so they tumble.
+function drawConfettiPiece(pg, x, y, w, h, key, angle, grow, alpha) {
+  const c = CONFETTI_COLORS[floor(abs(key)) % CONFETTI_COLORS.length];
+  pg.push();
+  pg.noSmooth();
+  pg.noStroke();
+  pg.fill(c[0], c[1], c[2], alpha);
+  pg.translate(round(x), round(y));
+  pg.rotate(angle);
+  pg.rect(0, 0, max(U(world, 2), round(w * min(1, grow + 0.4))), max(U(world, 2), round(h)));
+  pg.pop();
 }
 
-// -------------------------
-// Chain crash (ANIMATE mode only)
-// -------------------------
-let crashQueue = [];
-
-function triggerChainCrash(x, y) {
-  const rad = U(90);
-  crashQueue.push({ pos: createVector(x, y), radius: rad, ttl: 5, delay: 0 });
-  crashCarsInRadius(x, y, rad);
-}
-
-function handleChainCrashPropagation() {
-  for (let i = crashQueue.length - 1; i >= 0; i--) {
-    const q = crashQueue[i];
-    q.delay -= 1;
-    if (q.delay > 0) continue;
-
-    if (q.ttl > 0) {
-      const newly = crashCarsInRadius(q.pos.x, q.pos.y, q.radius);
-      for (let c of newly) {
-        crashQueue.push({
-          pos: c.pos.copy(),
-          radius: q.radius * 0.72,
-          ttl: q.ttl - 1,
-          delay: 6
-        });
-      }
-    }
-    crashQueue.splice(i, 1);
+// Floor splat in family mode: a star that grows in and fades like the splat would.
+function drawStarStamp(pg, b) {
+  const e = b.grow * b.grow * (3 - 2 * b.grow);
+  const R = b.size * 0.42 * e;
+  const c = STAR_STAMP_COLOR;
+
+  pg.push();
+  pg.noSmooth();
+  pg.noStroke();
+  pg.translate(b.x, b.y);
+  pg.fill(c[0], c[1], c[2], b.alpha);
+  pg.beginShape();
+  for (let i = 0; i < 10; i++) {
+    const a = -HALF_PI + i * PI / 5;
+    const r = (i % 2 === 0) ? R : R * 0.45;
+    pg.vertex(round(cos(a) * r), round(sin(a) * r * 0.6)); // lying on the floor
   }
+  pg.endShape(CLOSE);
+  pg.pop();
 }
 
-function crashCarsInRadius(x, y, rad) {
-  const newly = [];
-  for (let c of cars) {
-    if (c.state === "crash" || c.state === "wreck") continue;
-    if (dist(x, y, c.pos.x, c.pos.y) < rad) {
-      c.crash();
-      newly.push(c);
-    }
-  }
-  return newly;
-}
+function drawBloodDrop(pg, d, alpha = 255) {
+  pg.push();
+  pg.noSmooth();
+  pg.noStroke();
+  pg.fill(140, 20, 30, alpha);
 
-// -------------------------
-// BLOOD SYSTEM (fade after 5s)
-// -------------------------
-function bloodAlphaFromBorn(bornMs) {
-  const age = millis() - bornMs;
-  if (age <= BLOOD_FADE_START_MS) return 255;
-  const t = (age - BLOOD_FADE_START_MS) / BLOOD_FADE_DUR_MS;
-  return round(lerp(255, 0, constrain(t, 0, 1)));
-}
+  const sp = sqrt(d.vx * d.vx + d.vy * d.vy);
+  const stretch = constrain(map(sp, 0, UF(world, 20), 1.0, 1.8), 1.0, 1.8);
 
-function bloodIsDeadFromBorn(bornMs) {
-  const age = millis() - bornMs;
-  return age > (BLOOD_FADE_START_MS + BLOOD_FADE_DUR_MS);
+  pg.translate(d.x, d.y);
+  pg.rotate(atan2(d.vy, d.vx) + d.spin);
+  pg.ellipse(0, 0, round(d.r * stretch), round(d.r));
+  pg.pop();
 }
 
-class BloodSpray {
-  constructor(x, y, dir, power = 1.0, freezeAfterFrames = 28) {
-    this.x = x;
-    this.y = y;
-    this.dir = dir;
-    this.power = power;
+function drawBloodPuddle(pg, pd, alpha = 255) {
+  pg.push();
+  pg.noSmooth();
+  pg.translate(pd.x, pd.y);
+  if (pd.dir === -1) pg.scale(-1, 1);
 
-    this.drops = [];
-    this.puddles = [];
+  const e = pd.grow * pd.grow * (3 - 2 * pd.grow);
+  const w = pd.w * e;
+  const h = pd.h * e;
 
-    this.freezeAfter = freezeAfterFrames;
-    this.frozen = (this.freezeAfter <= 0);
+  pg.noStroke();
+  pg.fill(140, 20, 30, alpha);
 
-    this.bornMs = millis();
-    this.alpha = 255;
-    this.dead = false;
+  pg.beginShape();
+  const n = 24;
+  for (let i = 0; i < n; i++) {
+    const t = (i / n) * TWO_PI;
+    const k = world.rng.noise(pd.seed + cos(t) * 0.9, pd.seed * 0.77 + sin(t) * 0.9) - 0.5;
 
-    const N = floor(18 + 18 * power);
-    for (let i = 0; i < N; i++) {
-      const vx = dir * random(UF(6), UF(14)) * (0.8 + power * 0.6);
-      const vy = -random(UF(8), UF(18)) * (0.8 + power * 0.6);
-      const r = random(UF(2.5), UF(5.5));
-      this.drops.push(new BloodDrop(x, y, vx, vy, r));
-    }
+    const forward = max(0, cos(t));
+    const rx = (w * 0.45) * (1 + forward * 0.8) * (1 + k * 0.35);
+    const ry = (h * 0.55) * (1 + k * 0.35);
+
+    const xx = cos(t) * rx + w * 0.10;
+    const yy = sin(t) * ry;
+
+    pg.curveVertex(round(xx), round(yy));
   }
+  pg.endShape(CLOSE);
+
+  pg.noStroke();
+  pg.fill(235, 200, 205, alpha);
+  pg.ellipse(round(-w * 0.08), round(-h * 0.18), max(U(world, 2), w * 0.08), max(U(world, 2), h * 0.18));
+
+  pg.pop();
+}
 
-  freezeNow() {
-    this.frozen = true;
-    this.freezeAfter = 0;
-    this.drops = [];
-    for (const p of this.puddles) p.freezeNow();
+function drawFloorSplat(pg, b) {
+  const alpha = b.alpha;
+
+  pg.push();
+  pg.noSmooth();
+  pg.translate(b.x, b.y);
+  if (b.dir === -1) pg.scale(-1, 1);
+
+  const e = b.grow * b.grow * (3 - 2 * b.grow);
+
+  const L = b.size * 2.2 * e;
+  const H = b.size * 0.32 * e;
+
+  pg.noStroke();
+  pg.fill(140, 20, 30, alpha);
+
+  pg.beginShape();
+  pg.curveVertex(round(-L * 0.25), round(-H * 0.25));
+  pg.curveVertex(round(-L * 0.25), round(-H * 0.25));
+
+  pg.curveVertex(round(L * 0.10),  round(-H * 0.55));
+  pg.curveVertex(round(L * 0.55),  round(-H * 0.35));
+  pg.curveVertex(round(L * 1.00),  round(0));
+
+  pg.curveVertex(round(L * 0.55),  round(H * 0.35));
+  pg.curveVertex(round(L * 0.10),  round(H * 0.55));
+
+  pg.curveVertex(round(-L * 0.25), round(H * 0.25));
+  pg.curveVertex(round(-L * 0.25), round(H * 0.25));
+  pg.endShape(CLOSE);
+
+  pg.noStroke();
+  pg.fill(95, 10, 18, alpha);
+  pg.beginShape();
+  pg.curveVertex(round(-L * 0.12), round(-H * 0.12));
+  pg.curveVertex(round(-L * 0.12), round(-H * 0.12));
+  pg.curveVertex(round(L * 0.12),  round(-H * 0.30));
+  pg.curveVertex(round(L * 0.55),  round(-H * 0.18));
+  pg.curveVertex(round(L * 0.82),  round(0));
+  pg.curveVertex(round(L * 0.55),  round(H * 0.18));
+  pg.curveVertex(round(L * 0.12),  round(H * 0.30));
+  pg.curveVertex(round(-L * 0.12), round(H * 0.12));
+  pg.curveVertex(round(-L * 0.12), round(H * 0.12));
+  pg.endShape(CLOSE);
+
+  pg.noStroke();
+  pg.fill(140, 20, 30, alpha);
+  for (const br of b.branches) {
+    const bx = L * (0.35 + br.t * 0.75);
+    const by = H * br.offY;
+    const bw = b.size * (br.w * 10) * e;
+    pg.ellipse(round(bx), round(by), round(bw), round(bw * 0.55));
   }
 
-  hitTest(mx, my) {
-    return dist(mx, my, this.x, this.y) < BLOOD_SPRAY_HIT_RADIUS;
+  pg.pop();
+}
+
+// -------------------------
+// UI (menu bar)
+// -------------------------
+function buildMenuBar() {
+  uiBar = createDiv("");
+  uiBar.id("uiBar");
+  uiBar.style("position", "fixed");
+  uiBar.style("left", "0px");
+  uiBar.style("top", "0px");
+  uiBar.style("width", "100%");
+  uiBar.style("min-height", UI_BAR_H + "px");
+  uiBar.style("display", "flex");
+  uiBar.style("flex-wrap", "wrap");
+  uiBar.style("align-items", "center");
+  uiBar.style("gap", "6px 10px");
+  uiBar.style("padding", "8px 10px");
+  uiBar.style("box-sizing", "border-box");
+  uiBar.style("background", "rgba(245,245,245,0.96)");
+  uiBar.style("border-bottom", "1px solid rgba(0,0,0,0.12)");
+  uiBar.style("z-index", "9999");
+  uiBar.style("font-family", "monospace");
+  uiBar.style("font-size", "12px");
+
+  modeBtn = createButton("Mode: ANIMATE");
+  modeBtn.parent(uiBar);
+  modeBtn.mousePressed(() => inputEvent({ type: "mode", value: world.mode === "animate" ? "still" : "animate" }));
+
+  uiSep();
+
+  for (const t of TOOLS) {
+    const b = createButton(t.label);
+    b.parent(uiBar);
+    b.mousePressed(() => inputEvent({ type: "tool", value: t.id }));
+    toolBtns[t.id] = b;
   }
 
-  update() {
-    this.alpha = bloodAlphaFromBorn(this.bornMs);
-    if (bloodIsDeadFromBorn(this.bornMs)) {
-      this.dead = true;
-      return;
-    }
+  pileSelect = createSelect();
+  pileSelect.parent(uiBar);
+  pileSelect.style("height", "24px");
+  pileSelect.attribute("title", "Pile height (Pile tool)");
+  for (let h = 2; h <= FROG_MAX_PILE; h++) pileSelect.option("Pile " + h, String(h));
+  pileSelect.selected(String(PILE_HEIGHT));
+  pileSelect.changed(() => inputEvent({ type: "pile", value: Number(pileSelect.value()) }));
 
-    if (this.frozen) return;
+  uiSep();
 
-    this.freezeAfter--;
-    if (this.freezeAfter <= 0) {
-      this.drops = [];
-      for (const p of this.puddles) p.freezeNow();
-      this.frozen = true;
-      return;
-    }
+  clearBtn = createButton("Clear Canvas");
+  clearBtn.parent(uiBar);
+  clearBtn.mousePressed(() => inputEvent({ type: "clear" }));
 
-    for (let i = this.drops.length - 1; i >= 0; i--) {
-      const d = this.drops[i];
-      d.update();
+  const seedLabel = createDiv("Seed:");
+  seedLabel.parent(uiBar);
 
-      if (!d.settled && d.vy > 0 && d.y >= (d.groundY - random(UF(2), UF(10)))) {
-        d.settled = true;
-        this.puddles.push(new BloodPuddle(d.x, d.groundY, this.dir, d.r, d.vx));
-        this.drops.splice(i, 1);
-      }
-    }
+  seedInput = createInput(String(world.rng.seed));
+  seedInput.parent(uiBar);
+  seedInput.size(80, 22);
+  seedInput.attribute("title", "Simulation seed (also ?seed= in the URL)");
+  seedInput.changed(setSimSeedFromUI);
 
-    for (const p of this.puddles) p.update();
-  }
+  undoBtn = createButton("Undo");
+  undoBtn.parent(uiBar);
+  undoBtn.mousePressed(() => inputEvent({ type: "undo" }));
 
-  draw(pg) {
-    const a = this.alpha;
-    for (const p of this.puddles) p.draw(pg, a);
-    for (const d of this.drops) d.draw(pg, a);
-  }
-}
+  redoBtn = createButton("Redo");
+  redoBtn.parent(uiBar);
+  redoBtn.mousePressed(() => inputEvent({ type: "redo" }));
 
-class BloodDrop {
-  constructor(x, y, vx, vy, r) {
-    this.x = x;
-    this.y = y;
-    this.vx = vx;
-    this.vy = vy;
-    this.r = r;
+  uiSep();
 
-    this.g = UF(0.75);
-    this.drag = 0.985;
-    this.settled = false;
+  saveBtn = createButton("Save");
+  saveBtn.parent(uiBar);
+  saveBtn.mousePressed(saveScene);
+
+  openBtn = createButton("Open");
+  openBtn.parent(uiBar);
+  openBtn.mousePressed(() => sceneFileInput.elt.click());
+
+  sceneFileInput = createElement("input");
+  sceneFileInput.parent(uiBar);
+  sceneFileInput.attribute("type", "file");
+  sceneFileInput.attribute("accept", ".json,application/json");
+  sceneFileInput.style("display", "none");
+  sceneFileInput.elt.addEventListener("change", () => {
+    const file = sceneFileInput.elt.files[0];
+    sceneFileInput.elt.value = "";
+    if (file) openSceneFile(file);
+  });
 
-    this.spin = random(-0.25, 0.25);
-    this.t = random(1000);
+  uiSep();
 
-    this.groundY = y + random(UF(14), UF(26));
-  }
+  // Export presets: the canvas always fits the window, the preset only sets the PNG size.
+  const sizeLabel = createDiv("Export:");
+  sizeLabel.parent(uiBar);
 
-  update() {
-    const wob = (noise(this.t) - 0.5) * UF(0.7);
-    this.t += 0.06;
+  sizeSelect = createSelect();
+  sizeSelect.parent(uiBar);
+  sizeSelect.style("height", "24px");
+  sizeSelect.option("Fit Window", "fit");
+  sizeSelect.option("Screen 800×600", "800x600");
+  sizeSelect.option("Screen 1080×1080", "1080x1080");
+  sizeSelect.option("Screen 1920×1080 (HD)", "1920x1080");
+  sizeSelect.option("Screen 1080×1920 (Story)", "1080x1920");
+  sizeSelect.option("Print A4 Portrait (2480×3508)", "2480x3508");
+  sizeSelect.option("Print A4 Landscape (3508×2480)", "3508x2480");
+  sizeSelect.option("Print A3 Portrait (3508×4961)", "3508x4961");
+  sizeSelect.option("Print A3 Landscape (4961×3508)", "4961x3508");
+  sizeSelect.selected("fit");
 
-    this.vy += this.g;
-    this.vx *= this.drag;
-    this.vy *= this.drag;
+  exportBtn = createButton("Export PNG");
+  exportBtn.parent(uiBar);
+  exportBtn.mousePressed(exportImage);
+
+  animSecondsInput = createInput("4", "number");
+  animSecondsInput.parent(uiBar);
+  animSecondsInput.attribute("min", "0.5");
+  animSecondsInput.attribute("max", "30");
+  animSecondsInput.attribute("step", "0.5");
+  animSecondsInput.attribute("title", "Animation length (seconds)");
+  animSecondsInput.style("width", "44px");
+
+  animFpsSelect = createSelect();
+  animFpsSelect.parent(uiBar);
+  animFpsSelect.style("height", "24px");
+  for (const fps of ANIM_EXPORT_FPS) animFpsSelect.option(fps + " fps", String(fps));
+  animFpsSelect.selected("20");
+
+  animFormatSelect = createSelect();
+  animFormatSelect.parent(uiBar);
+  animFormatSelect.style("height", "24px");
+  animFormatSelect.option("GIF", "gif");
+  animFormatSelect.option("PNG zip", "zip");
+  animFormatSelect.selected("gif");
+
+  animExportBtn = createButton("Export anim");
+  animExportBtn.parent(uiBar);
+  animExportBtn.mousePressed(exportAnimation);
 
-    this.x += this.vx + wob;
-    this.y += this.vy;
+  uiSep();
 
-    this.x = round(this.x);
-    this.y = round(this.y);
-  }
+  brushLabel = createDiv("Brush: 1");
+  brushLabel.parent(uiBar);
+  brushLabel.style("min-width", "70px");
 
-  draw(pg, alpha = 255) {
-    pg.push();
-    pg.noSmooth();
-    pg.noStroke();
-    pg.fill(140, 20, 30, alpha);
+  brushSlider = createSlider(1, 8, 1, 1);
+  brushSlider.parent(uiBar);
+  brushSlider.style("width", "140px");
+  brushSlider.input(() => macroRecordEvent({ type: "brush", value: brushSlider.value() }));
 
-    const sp = sqrt(this.vx * this.vx + this.vy * this.vy);
-    const stretch = constrain(map(sp, 0, UF(20), 1.0, 1.8), 1.0, 1.8);
+  uiSep();
 
-    pg.translate(this.x, this.y);
-    pg.rotate(atan2(this.vy, this.vx) + this.spin);
-    pg.ellipse(0, 0, round(this.r * stretch), round(this.r));
-    pg.pop();
-  }
+  const fillText = createDiv("Fill:");
+  fillText.parent(uiBar);
+
+  fillKindSelect = createSelect();
+  fillKindSelect.parent(uiBar);
+  fillKindSelect.style("height", "24px");
+  fillKindSelect.option("Frogs", "frogs");
+  fillKindSelect.option("Cars", "cars");
+  fillKindSelect.option("Scene", "scene");
+  fillKindSelect.option("Stress", "stress");
+  fillKindSelect.selected("frogs");
+
+  // density in % of the tightest Poisson packing
+  fillInput = createInput("40");
+  fillInput.parent(uiBar);
+  fillInput.size(36, 22);
+  fillInput.attribute("title", "Density %");
+
+  fillPileSelect = createSelect();
+  fillPileSelect.parent(uiBar);
+  fillPileSelect.style("height", "24px");
+  for (let i = 1; i <= FROG_MAX_PILE; i++) fillPileSelect.option("Pile " + i, String(i));
+  fillPileSelect.option("Pile mix", "mix");
+  fillPileSelect.selected("1");
+
+  fillSeedInput = createInput(String(floor(random(1e6))));
+  fillSeedInput.parent(uiBar);
+  fillSeedInput.size(64, 22);
+  fillSeedInput.attribute("title", "Fill seed");
+
+  const reseedBtn = createButton("New seed");
+  reseedBtn.parent(uiBar);
+  reseedBtn.mousePressed(() => fillSeedInput.value(String(floor(random(1e6)))));
+
+  fillBtn = createButton("Fill");
+  fillBtn.parent(uiBar);
+  fillBtn.mousePressed(fillFromUI);
+
+  contentSelect = createSelect();
+  contentSelect.parent(uiBar);
+  contentSelect.style("height", "24px");
+  contentSelect.style("margin-left", "auto");
+  for (const m of CONTENT_MODES) contentSelect.option(m.label, m.id);
+  contentSelect.selected(CONTENT_MODE);
+  contentSelect.attribute("title", "Family: confetti and stars instead of blood (?content=family)");
+  contentSelect.changed(setContentModeFromUI);
+
+  bloodBtn = createButton(contentModeInfo().effects);
+  bloodBtn.parent(uiBar);
+  bloodBtn.attribute("title", "Effects settings (B)");
+  bloodBtn.mousePressed(toggleBloodPanel);
+
+  const pixelBtn = createButton("Pixel");
+  pixelBtn.parent(uiBar);
+  pixelBtn.attribute("title", "Pixel-art look for the whole scene (P)");
+  pixelBtn.mousePressed(togglePixelArtPanel);
+
+  const layersBtn = createButton("Layers");
+  layersBtn.parent(uiBar);
+  layersBtn.attribute("title", "Layers panel (L)");
+  layersBtn.mousePressed(toggleLayersPanel);
+
+  const keysBtn = createButton("Keys");
+  keysBtn.parent(uiBar);
+  keysBtn.attribute("title", "Keyboard shortcuts (?)");
+  keysBtn.mousePressed(toggleCheatSheet);
+}
+
+// Second bar under the menu bar: pause / step / time scale.
+function buildTransportBar() {
+  transportBar = createDiv("");
+  transportBar.id("transportBar");
+  transportBar.style("position", "fixed");
+  transportBar.style("left", "0px");
+  transportBar.style("width", "100%");
+  transportBar.style("height", TRANSPORT_BAR_H + "px");
+  transportBar.style("display", "flex");
+  transportBar.style("align-items", "center");
+  transportBar.style("gap", "10px");
+  transportBar.style("padding", "3px 10px");
+  transportBar.style("box-sizing", "border-box");
+  transportBar.style("background", "rgba(238,238,238,0.96)");
+  transportBar.style("border-bottom", "1px solid rgba(0,0,0,0.12)");
+  transportBar.style("z-index", "9999");
+  transportBar.style("font-family", "monospace");
+  transportBar.style("font-size", "12px");
+
+  pauseBtn = createButton("Pause");
+  pauseBtn.parent(transportBar);
+  pauseBtn.mousePressed(togglePause);
+
+  stepBtn = createButton("Step");
+  stepBtn.parent(transportBar);
+  stepBtn.mousePressed(stepOnce);
+
+  speedLabel = createDiv("Speed: 1.0x");
+  speedLabel.parent(transportBar);
+  speedLabel.style("min-width", "80px");
+
+  speedSlider = createSlider(0.1, 4, 1, 0.1);
+  speedSlider.parent(transportBar);
+  speedSlider.style("width", "160px");
+  speedSlider.input(() => { SIM_TIME_SCALE = Number(speedSlider.value()); });
+
+  const resetSpeedBtn = createButton("1x");
+  resetSpeedBtn.parent(transportBar);
+  resetSpeedBtn.mousePressed(() => {
+    SIM_TIME_SCALE = 1;
+    speedSlider.value(1);
+  });
+
+  uiSep(transportBar);
+
+  zoomLabel = createDiv("Zoom: 1.00x");
+  zoomLabel.parent(transportBar);
+  zoomLabel.style("min-width", "88px");
+
+  // applied on release: every zoom is an undo step
+  zoomSlider = createSlider(WORLD_SCALE_MIN, WORLD_SCALE_MAX, world.scale, 0.05);
+  zoomSlider.parent(transportBar);
+  zoomSlider.style("width", "120px");
+  zoomSlider.attribute("title", "World zoom: everything bigger / smaller (- / =)");
+  zoomSlider.input(() => { zoomDragging = true; });
+  zoomSlider.changed(() => {
+    zoomDragging = false;
+    inputEvent({ type: "worldScale", value: Number(zoomSlider.value()) });
+  });
+
+  const resetZoomBtn = createButton("1x");
+  resetZoomBtn.parent(transportBar);
+  resetZoomBtn.mousePressed(() => inputEvent({ type: "worldScale", value: 1 }));
+
+  resizePolicySelect = createSelect();
+  resizePolicySelect.parent(transportBar);
+  resizePolicySelect.style("height", "22px");
+  resizePolicySelect.attribute("title", "What happens to the scene when the window is resized or rotated");
+  for (const p of RESIZE_POLICY_OPTIONS) resizePolicySelect.option(p.label, p.id);
+  resizePolicySelect.selected(world.resizePolicy);
+  resizePolicySelect.changed(() => setResizePolicy(resizePolicySelect.value()));
+
+  uiSep(transportBar);
+
+  worldSizeSelect = createSelect();
+  worldSizeSelect.parent(transportBar);
+  worldSizeSelect.style("height", "22px");
+  worldSizeSelect.attribute("title", "World size, in canvases (wheel / pinch zooms the view, Space + drag pans)");
+  for (const f of WORLD_SIZE_FACTORS) worldSizeSelect.option(`World ${f}x${f}`, String(f));
+  worldSizeSelect.selected(String(worldSizeFactor));
+  worldSizeSelect.changed(() => setWorldSizeFactor(Number(worldSizeSelect.value())));
+
+  viewLabel = createDiv("View: 100%");
+  viewLabel.parent(transportBar);
+  viewLabel.style("min-width", "80px");
+
+  const fitViewBtn = createButton("Fit");
+  fitViewBtn.parent(transportBar);
+  fitViewBtn.attribute("title", "Show the whole world");
+  fitViewBtn.mousePressed(fitCamera);
+
+  uiSep(transportBar);
+
+  recBtn = createButton("Rec");
+  recBtn.parent(transportBar);
+  recBtn.mousePressed(toggleRecording);
+
+  replayBtn = createButton("Replay");
+  replayBtn.parent(transportBar);
+  replayBtn.mousePressed(() => { if (macroPlay) stopReplay(); else startReplay(lastMacro); });
+
+  macroSpeedSelect = createSelect();
+  macroSpeedSelect.parent(transportBar);
+  macroSpeedSelect.style("height", "22px");
+  for (const sp of MACRO_SPEEDS) macroSpeedSelect.option(sp + "x", String(sp));
+  macroSpeedSelect.selected("1");
+  macroSpeedSelect.changed(() => { if (macroPlay) macroPlay.speed = Number(macroSpeedSelect.value()); });
+
+  macroSaveBtn = createButton("Save rec");
+  macroSaveBtn.parent(transportBar);
+  macroSaveBtn.mousePressed(saveMacro);
+
+  macroOpenBtn = createButton("Open rec");
+  macroOpenBtn.parent(transportBar);
+  macroOpenBtn.mousePressed(() => macroFileInput.elt.click());
+
+  macroFileInput = createElement("input");
+  macroFileInput.parent(transportBar);
+  macroFileInput.attribute("type", "file");
+  macroFileInput.attribute("accept", ".json,application/json");
+  macroFileInput.style("display", "none");
+  macroFileInput.elt.addEventListener("change", () => {
+    const file = macroFileInput.elt.files[0];
+    macroFileInput.elt.value = "";
+    if (file) openMacroFile(file);
+  });
+
+  uiSep(transportBar);
+
+  const tlText = createDiv("Timeline:");
+  tlText.parent(transportBar);
+
+  scrubSlider = createSlider(0, 1, 1, 1);
+  scrubSlider.parent(transportBar);
+  scrubSlider.style("flex", "1");
+  scrubSlider.input(() => scrubTo(Number(scrubSlider.value())));
+
+  scrubLabel = createDiv("LIVE");
+  scrubLabel.parent(transportBar);
+  scrubLabel.style("min-width", "64px");
+
+  uiSep(transportBar);
+
+  gridBtn = createButton("Grid: ON");
+  gridBtn.parent(transportBar);
+  gridBtn.attribute("title", "Spatial hash for collisions (OFF = scan every pair)");
+  gridBtn.mousePressed(() => { world.spatialHash = !world.spatialHash; });
+
+  perfLabel = createDiv("");
+  perfLabel.parent(transportBar);
+  perfLabel.style("min-width", "330px");
+}
+
+function updateTransportUI() {
+  if (!pauseBtn) return;
+  const animating = (world.mode === "animate");
+  pauseBtn.html(SIM_PAUSED ? "Play" : "Pause");
+  pauseBtn.elt.disabled = !animating;
+  stepBtn.elt.disabled = !animating;
+  speedLabel.html("Speed: " + SIM_TIME_SCALE.toFixed(1) + "x");
+  const zoom = zoomDragging ? Number(zoomSlider.value()) : world.scale;
+  zoomLabel.html("Zoom: " + zoom.toFixed(2) + "x");
+  if (!zoomDragging && Number(zoomSlider.value()) !== world.scale) zoomSlider.value(world.scale);
+  gridBtn.html(world.spatialHash ? "Grid: ON" : "Grid: OFF");
+  viewLabel.html("View: " + round(camera.zoom * 100) + "%");
+}
+
+// Pausing only stops the clock: unlike STILL mode nothing is frozen or discarded.
+function togglePause() {
+  SIM_PAUSED = !SIM_PAUSED;
+  simAccumulatorMs = 0;
+}
+
+function stepOnce() {
+  if (world.mode !== "animate") return;
+  SIM_PAUSED = true;
+  simAccumulatorMs = 0;
+  macroFlushTick();
+  stepSimulation();
+  macroApplyDue();
+  simAlpha = 1;
+}
+
+function uiSep(parent = uiBar) {
+  const sep = createDiv(" | ");
+  sep.parent(parent);
+  sep.style("opacity", "0.45");
+}
+
+function updateToolPaletteUI() {
+  for (const id in toolBtns) toolBtns[id].style("background", id === TOOL ? "rgba(0,0,0,0.08)" : "");
+  if (pileSelect) pileSelect.elt.disabled = (TOOL !== "pile");
+  updateEraserPanelUI();
+  updateSelectionPanelUI();
+}
+
+// Options strip for one tool, shown under the bars while that tool is active.
+let toolPanels = [];
+
+function createToolPanel(id) {
+  const panel = createDiv("");
+  toolPanels.push(panel);
+  panel.id(id);
+  panel.style("position", "fixed");
+  panel.style("left", "10px");
+  panel.style("display", "none");
+  panel.style("align-items", "center");
+  panel.style("gap", "8px");
+  panel.style("padding", "4px 8px");
+  panel.style("background", "rgba(245,245,245,0.96)");
+  panel.style("border", "1px solid rgba(0,0,0,0.12)");
+  panel.style("z-index", "9999");
+  panel.style("font-family", "monospace");
+  panel.style("font-size", "12px");
+  return panel;
 }
 
-class BloodPuddle {
-  constructor(x, y, dir, r, hitVx) {
-    this.x = x;
-    this.y = y;
+function buildEraserPanel() {
+  eraserPanel = createToolPanel("eraserPanel");
+
+  eraserRadiusLabel = createDiv("");
+  eraserRadiusLabel.parent(eraserPanel);
+  eraserRadiusLabel.style("min-width", "84px");
 
-    const smear = constrain(abs(hitVx) * 1.2, U(6), U(40));
-    this.w = r * 6 + smear;
-    this.h = r * 2.8;
+  eraserRadiusSlider = createSlider(U(world, ERASER_RADIUS_MIN), U(world, ERASER_RADIUS_MAX), eraserRadius, 1);
+  eraserRadiusSlider.parent(eraserPanel);
+  eraserRadiusSlider.style("width", "120px");
+  eraserRadiusSlider.input(() => inputEvent({ type: "eraserRadius", value: Number(eraserRadiusSlider.value()) }));
 
-    this.dir = dir;
-    this.seed = random(100000);
+  eraserAreaBox = createCheckbox("All inside", eraserArea);
+  eraserAreaBox.parent(eraserPanel);
+  eraserAreaBox.attribute("title", "Erase everything inside the radius, not just the newest hit");
+  eraserAreaBox.changed(() => inputEvent({ type: "eraserArea", value: eraserAreaBox.checked() }));
 
-    this.grow = 0;
-    this.maxGrow = 1;
-    this.frozen = false;
+  uiSep(eraserPanel);
+
+  for (const t of ERASER_TARGETS) {
+    const box = createCheckbox(t.label, eraserFilter[t.key]);
+    box.parent(eraserPanel);
+    box.changed(() => inputEvent({ type: "eraserFilter", key: t.key, value: box.checked() }));
+    eraserFilterBoxes[t.key] = box;
   }
+}
 
-  freezeNow() {
-    this.frozen = true;
-    this.grow = 1;
+function updateEraserPanelUI() {
+  if (!eraserPanel) return;
+  eraserPanel.style("display", TOOL === "eraser" ? "flex" : "none");
+  eraserRadiusLabel.html("Radius: " + eraserRadius);
+  eraserRadiusSlider.elt.min = U(world, ERASER_RADIUS_MIN);
+  eraserRadiusSlider.elt.max = U(world, ERASER_RADIUS_MAX);
+  if (Number(eraserRadiusSlider.value()) !== eraserRadius) eraserRadiusSlider.value(eraserRadius);
+  if (eraserAreaBox.checked() !== eraserArea) eraserAreaBox.checked(eraserArea);
+  for (const key in eraserFilterBoxes) {
+    if (eraserFilterBoxes[key].checked() !== eraserFilter[key]) eraserFilterBoxes[key].checked(eraserFilter[key]);
   }
+}
+
+function buildSelectionPanel() {
+  selectPanel = createToolPanel("selectPanel");
+
+  selectModeSelect = createSelect();
+  selectModeSelect.parent(selectPanel);
+  selectModeSelect.option("Box", "box");
+  selectModeSelect.option("Lasso", "lasso");
+  selectModeSelect.selected(selectMode);
+  selectModeSelect.changed(() => inputEvent({ type: "selectMode", value: selectModeSelect.value() }));
+
+  selectCountLabel = createDiv("");
+  selectCountLabel.parent(selectPanel);
+  selectCountLabel.style("min-width", "84px");
 
-  update() {
-    if (this.frozen) return;
-    this.grow = min(this.maxGrow, this.grow + 0.06);
-    if (this.grow >= 1) this.frozen = true;
+  uiSep(selectPanel);
+
+  const ops = [["Duplicate", "duplicate"], ["Flip", "flip"], ["Front", "front"], ["Delete", "delete"]];
+  for (const [label, op] of ops) {
+    const b = createButton(label);
+    b.parent(selectPanel);
+    b.mousePressed(() => inputEvent({ type: "selection", op }));
   }
 
-  draw(pg, alpha = 255) {
-    pg.push();
-    pg.noSmooth();
-    pg.translate(this.x, this.y);
-    if (this.dir === -1) pg.scale(-1, 1);
+  uiSep(selectPanel);
 
-    const e = this.grow * this.grow * (3 - 2 * this.grow);
-    const w = this.w * e;
-    const h = this.h * e;
+  const copyBtn = createButton("Copy");
+  copyBtn.parent(selectPanel);
+  copyBtn.mousePressed(copySelection);
 
-    pg.noStroke();
-    pg.fill(140, 20, 30, alpha);
+  const pasteBtn = createButton("Paste");
+  pasteBtn.parent(selectPanel);
+  pasteBtn.mousePressed(pasteFromClipboard);
+}
 
-    pg.beginShape();
-    const n = 24;
-    for (let i = 0; i < n; i++) {
-      const t = (i / n) * TWO_PI;
-      const k = noise(this.seed + cos(t) * 0.9, this.seed * 0.77 + sin(t) * 0.9) - 0.5;
+function updateSelectionPanelUI() {
+  if (!selectPanel) return;
+  selectPanel.style("display", TOOL === "select" ? "flex" : "none");
+  selectCountLabel.html("Selected: " + selection.size);
+  if (selectModeSelect.value() !== selectMode) selectModeSelect.selected(selectMode);
+}
 
-      const forward = max(0, cos(t));
-      const rx = (w * 0.45) * (1 + forward * 0.8) * (1 + k * 0.35);
-      const ry = (h * 0.55) * (1 + k * 0.35);
+function setTool(id) {
+  if (!TOOLS.some(t => t.id === id)) return;
+  if (id === "eraser" && TOOL !== "eraser") toolBeforeEraser = TOOL;
+  TOOL = id;
+}
 
-      const xx = cos(t) * rx + w * 0.10;
-      const yy = sin(t) * ry;
+function setEraserRadius(r) {
+  eraserRadius = constrain(round(r), U(world, ERASER_RADIUS_MIN), U(world, ERASER_RADIUS_MAX));
+}
 
-      pg.curveVertex(round(xx), round(yy));
-    }
-    pg.endShape(CLOSE);
+// Keep the eraser the same size relative to the entities after world.scale
+// changed from oldScale.
+function eraserFollowZoom(oldScale) {
+  if (world.scale === oldScale) return;
+  setEraserRadius(eraserRadius * world.scale / oldScale);
+}
 
-    pg.noStroke();
-    pg.fill(235, 200, 205, alpha);
-    pg.ellipse(round(-w * 0.08), round(-h * 0.18), max(U(2), w * 0.08), max(U(2), h * 0.18));
+function defaultEraserFilter() {
+  const f = {};
+  for (const t of ERASER_TARGETS) f[t.key] = true;
+  return f;
+}
 
-    pg.pop();
-  }
+function setEraserFilter(key, on) {
+  if (key in eraserFilter) eraserFilter[key] = !!on;
 }
 
-class SimpleFloorSplat {
-  constructor(x, y, dir, size = FROG_RENDER_SIZE) {
-    this.x = x;
-    this.y = y;
-    this.dir = dir;
-    this.size = size;
+function setPileHeight(h) {
+  PILE_HEIGHT = constrain(round(h), 2, FROG_MAX_PILE);
+  if (pileSelect) pileSelect.selected(String(PILE_HEIGHT));
+}
 
-    this.grow = 0;
-    this.growSpeed = 1 / 12;
+function updateHistoryButtonsUI() {
+  if (undoBtn) undoBtn.elt.disabled = (undoStack.length === 0 && !(pendingStep && pendingStep.changed));
+  if (redoBtn) redoBtn.elt.disabled = (redoStack.length === 0);
+}
 
-    this.bornMs = millis();
-    this.alpha = 255;
-    this.dead = false;
+function toggleMode() {
+  setWorldMode(world, world.mode === "animate" ? "still" : "animate");
+  modeBtn.html(world.mode === "animate" ? "Mode: ANIMATE" : "Mode: STILL");
 
-    this.seed = random(100000);
-    this.branches = [];
-    const B = 7;
-    for (let i = 0; i < B; i++) {
-      this.branches.push({
-        t: random(0.15, 1.0),
-        offY: random(-0.22, 0.22),
-        w: random(0.06, 0.12)
-      });
-    }
+  if (world.mode === "still") {
+    for (const s of strokes.values()) resetChainGesture(s);
   }
+  timelineNoteEdit();
+}
 
-  update() {
-    this.alpha = bloodAlphaFromBorn(this.bornMs);
-    if (bloodIsDeadFromBorn(this.bornMs)) {
-      this.dead = true;
-      return;
-    }
-    if (this.grow < 1) this.grow = min(1, this.grow + this.growSpeed);
-  }
+function clearCanvasAll() {
+  selection.clear();
+  beginHistoryStep();
+  if (!worldIsEmpty(world)) markHistoryChanged();
 
-  hitTest(mx, my) {
-    return dist(mx, my, this.x, this.y) < this.size * 1.2;
+  clearWorld(world);
+  resetSimRandom();
+
+  commitHistoryStep();
+}
+
+// -------------------------
+// Side panels (Layers, Blood, Pixel art)
+// -------------------------
+// Toggled from the menu bar; open ones stack in one column on the right.
+let sidePanels = null;
+
+function createSidePanel(id) {
+  if (!sidePanels) {
+    sidePanels = createDiv("");
+    sidePanels.id("sidePanels");
+    sidePanels.style("position", "fixed");
+    sidePanels.style("right", "10px");
+    sidePanels.style("overflow-y", "auto");
+    sidePanels.style("display", "flex");
+    sidePanels.style("flex-direction", "column");
+    sidePanels.style("gap", "8px");
+    sidePanels.style("z-index", "9999");
   }
 
-  freezeNow() { this.grow = 1; }
+  const panel = createDiv("");
+  panel.parent(sidePanels);
+  panel.id(id);
+  panel.style("padding", "6px 8px");
+  panel.style("background", "rgba(245,245,245,0.96)");
+  panel.style("border", "1px solid rgba(0,0,0,0.12)");
+  panel.style("font-family", "monospace");
+  panel.style("font-size", "12px");
+  panel.style("display", "none");
+  return panel;
+}
 
-  draw(pg) {
-    const alpha = this.alpha;
+function sidePanelOpen(panel) {
+  return !!panel && panel.elt.style.display !== "none";
+}
 
-    pg.push();
-    pg.noSmooth();
-    pg.translate(this.x, this.y);
-    if (this.dir === -1) pg.scale(-1, 1);
-
-    const e = this.grow * this.grow * (3 - 2 * this.grow);
-
-    const L = this.size * 2.2 * e;
-    const H = this.size * 0.32 * e;
-
-    pg.noStroke();
-    pg.fill(140, 20, 30, alpha);
-
-    pg.beginShape();
-    pg.curveVertex(round(-L * 0.25), round(-H * 0.25));
-    pg.curveVertex(round(-L * 0.25), round(-H * 0.25));
-
-    pg.curveVertex(round(L * 0.10),  round(-H * 0.55));
-    pg.curveVertex(round(L * 0.55),  round(-H * 0.35));
-    pg.curveVertex(round(L * 1.00),  round(0));
-
-    pg.curveVertex(round(L * 0.55),  round(H * 0.35));
-    pg.curveVertex(round(L * 0.10),  round(H * 0.55));
-
-    pg.curveVertex(round(-L * 0.25), round(H * 0.25));
-    pg.curveVertex(round(-L * 0.25), round(H * 0.25));
-    pg.endShape(CLOSE);
-
-    pg.noStroke();
-    pg.fill(95, 10, 18, alpha);
-    pg.beginShape();
-    pg.curveVertex(round(-L * 0.12), round(-H * 0.12));
-    pg.curveVertex(round(-L * 0.12), round(-H * 0.12));
-    pg.curveVertex(round(L * 0.12),  round(-H * 0.30));
-    pg.curveVertex(round(L * 0.55),  round(-H * 0.18));
-    pg.curveVertex(round(L * 0.82),  round(0));
-    pg.curveVertex(round(L * 0.55),  round(H * 0.18));
-    pg.curveVertex(round(L * 0.12),  round(H * 0.30));
-    pg.curveVertex(round(-L * 0.12), round(H * 0.12));
-    pg.curveVertex(round(-L * 0.12), round(H * 0.12));
-    pg.endShape(CLOSE);
-
-    pg.noStroke();
-    pg.fill(140, 20, 30, alpha);
-    for (const b of this.branches) {
-      const bx = L * (0.35 + b.t * 0.75);
-      const by = H * b.offY;
-      const bw = this.size * (b.w * 10) * e;
-      pg.ellipse(round(bx), round(by), round(bw), round(bw * 0.55));
-    }
+// -------------------------
+// Blood settings panel
+// -------------------------
+// Fade timing / permanence and spray size live in world.blood (the simulation
+// reads them); the palette only changes how the dithered layer is coloured.
+// Neither is part of undo snapshots: macros and scenes carry them instead.
+const BLOOD_SETTING_SLIDERS = [
+  { key: "fadeStartMs", label: "Fade after", min: 500, max: 60000, step: 500, fmt: v => (v / 1000).toFixed(1) + "s" },
+  { key: "fadeDurMs", label: "Fade for", min: 0, max: 10000, step: 100, fmt: v => (v / 1000).toFixed(1) + "s" },
+  { key: "splatScale", label: "Splat size", min: 0.25, max: 3, step: 0.05, fmt: v => "x" + v.toFixed(2) },
+  { key: "dropScale", label: "Droplets", min: 0, max: 3, step: 0.05, fmt: v => "x" + v.toFixed(2) }
+];
+
+let bloodPanel = null;
+let bloodSliders = {}; // world.blood key -> { slider, label }
+let bloodNeverFadeBox, bloodTonesSelect, bloodColorPicker;
+
+function buildBloodPanel() {
+  bloodPanel = createSidePanel("bloodPanel");
+
+  bloodPanelTitle = createDiv(contentModeInfo().effects);
+  bloodPanelTitle.parent(bloodPanel);
+  bloodPanelTitle.style("font-weight", "bold");
+  bloodPanelTitle.style("margin-bottom", "4px");
+
+  const row = () => {
+    const r = createDiv("");
+    r.parent(bloodPanel);
+    r.style("display", "flex");
+    r.style("align-items", "center");
+    r.style("gap", "6px");
+    r.style("margin", "2px 0");
+    return r;
+  };
+
+  for (const def of BLOOD_SETTING_SLIDERS) {
+    const r = row();
+    const label = createDiv("");
+    label.parent(r);
+    label.style("min-width", "120px");
+    const slider = createSlider(def.min, def.max, world.blood[def.key], def.step);
+    slider.parent(r);
+    slider.style("width", "120px");
+    slider.input(() => inputEvent({ type: "blood", key: def.key, value: Number(slider.value()) }));
+    bloodSliders[def.key] = { slider, label, def };
+  }
 
-    pg.pop();
+  bloodNeverFadeBox = createCheckbox("Never fade", world.blood.neverFade);
+  bloodNeverFadeBox.parent(row());
+  bloodNeverFadeBox.attribute("title", "Keep blood for good (also when STILL goes back to ANIMATE)");
+  bloodNeverFadeBox.changed(() => inputEvent({ type: "blood", key: "neverFade", value: bloodNeverFadeBox.checked() }));
+
+  const paletteRow = row();
+  bloodTonesSelect = createSelect();
+  bloodTonesSelect.parent(paletteRow);
+  for (let n = 1; n <= BLOOD_MAX_TONES; n++) bloodTonesSelect.option(n === 1 ? "Flat" : n + " tones", String(n));
+  bloodTonesSelect.changed(() => inputEvent({ type: "bloodPalette", color: bloodPalette.color, tones: Number(bloodTonesSelect.value()) }));
+
+  bloodColorPicker = createColorPicker(bloodPalette.color);
+  bloodColorPicker.parent(paletteRow);
+  bloodColorPicker.input(() => inputEvent({ type: "bloodPalette", color: bloodColorPicker.value(), tones: bloodPalette.tones }));
+
+  const resetBtn = createButton("Defaults");
+  resetBtn.parent(paletteRow);
+  resetBtn.mousePressed(() => {
+    for (const [key, value] of Object.entries(defaultBloodSettings())) inputEvent({ type: "blood", key, value });
+    inputEvent(Object.assign({ type: "bloodPalette" }, defaultBloodPalette()));
+  });
+}
+
+function toggleBloodPanel() {
+  if (!bloodPanel) return;
+  bloodPanel.style("display", sidePanelOpen(bloodPanel) ? "none" : "block");
+}
+
+function updateBloodPanelUI() {
+  if (!sidePanelOpen(bloodPanel)) return;
+  for (const key in bloodSliders) {
+    const { slider, label, def } = bloodSliders[key];
+    label.html(def.label + ": " + def.fmt(world.blood[key]));
+    if (Number(slider.value()) !== world.blood[key]) slider.value(world.blood[key]);
+    slider.elt.disabled = world.blood.neverFade && key.startsWith("fade");
   }
+  if (bloodNeverFadeBox.checked() !== world.blood.neverFade) bloodNeverFadeBox.checked(world.blood.neverFade);
+  // the palette only colours blood; confetti and stars keep their own colours
+  bloodTonesSelect.elt.disabled = bloodColorPicker.elt.disabled = (CONTENT_MODE === "family");
+  if (bloodTonesSelect.value() !== String(bloodPalette.tones)) bloodTonesSelect.selected(String(bloodPalette.tones));
+  if (bloodColorPicker.value() !== bloodPalette.color) bloodColorPicker.value(bloodPalette.color);
+}
+
+// World zoom (world.scale): everything is rescaled around the middle of the
+// canvas. Entity sizes are world state, so each zoom is an undo step.
+const WORLD_ZOOM_STEP = 1.25; // - / = shortcuts
+
+function setWorldZoom(scale) {
+  scale = clampWorldScale(scale);
+  if (scale === world.scale) return;
+  const oldScale = world.scale;
+  historyEdit(() => rescaleWorld(world, scale));
+  eraserFollowZoom(oldScale);
+}
+
+function setBloodSetting(key, value) {
+  world.blood = sanitizeBloodSettings(Object.assign({}, world.blood, { [key]: value }));
 }
 
 // -------------------------
-// CRASH PIECE (FIXED): fall to LOCAL ground then slide-stop
+// Pixel-art panel
 // -------------------------
-class CrashFrogPiece {
-  constructor(x, y, dir, img, variant /* "u" | "d" */) {
-    this.pos = createVector(x, y);
-    this.vel = createVector(0, 0);
+let pixelArtPanel = null;
+let pixelScaleSelect, pixelPaletteSelect, pixelDitherBox, pixelOutlineBox, pixelPaletteInput;
+
+function buildPixelArtPanel() {
+  pixelArtPanel = createSidePanel("pixelArtPanel");
+
+  const title = createDiv("Pixel art");
+  title.parent(pixelArtPanel);
+  title.style("font-weight", "bold");
+  title.style("margin-bottom", "4px");
+
+  const row = () => {
+    const r = createDiv("");
+    r.parent(pixelArtPanel);
+    r.style("display", "flex");
+    r.style("align-items", "center");
+    r.style("gap", "6px");
+    r.style("margin", "2px 0");
+    return r;
+  };
+
+  const scaleRow = row();
+  pixelScaleSelect = createSelect();
+  pixelScaleSelect.parent(scaleRow);
+  for (const s of PIXEL_ART_SCALES) pixelScaleSelect.option(s ? "Pixel " + s + "x" : "Off", String(s));
+  pixelScaleSelect.changed(() => setPixelArt("scale", Number(pixelScaleSelect.value())));
+
+  const paletteRow = row();
+  pixelPaletteSelect = createSelect();
+  pixelPaletteSelect.parent(paletteRow);
+  for (const p of PIXEL_ART_PALETTES) pixelPaletteSelect.option(p.label, p.id);
+  pixelPaletteSelect.changed(() => {
+    const id = pixelPaletteSelect.value();
+    if (id === "image" && !pixelArtImageColors) pixelPaletteInput.elt.click();
+    else setPixelArt("palette", id);
+  });
+
+  const loadBtn = createButton("Load…");
+  loadBtn.parent(paletteRow);
+  loadBtn.attribute("title", "Palette from an image: every distinct colour in it");
+  loadBtn.mousePressed(() => pixelPaletteInput.elt.click());
+
+  pixelPaletteInput = createElement("input");
+  pixelPaletteInput.parent(paletteRow);
+  pixelPaletteInput.attribute("type", "file");
+  pixelPaletteInput.attribute("accept", "image/*");
+  pixelPaletteInput.style("display", "none");
+  pixelPaletteInput.elt.addEventListener("change", () => {
+    const file = pixelPaletteInput.elt.files[0];
+    pixelPaletteInput.elt.value = "";
+    if (file) openPixelArtPaletteFile(file);
+  });
+
+  const optRow = row();
+  pixelDitherBox = createCheckbox("Dither", pixelArt.dither);
+  pixelDitherBox.parent(optRow);
+  pixelDitherBox.attribute("title", "Ordered (Bayer) dithering between palette colours");
+  pixelDitherBox.changed(() => setPixelArt("dither", pixelDitherBox.checked()));
+  pixelOutlineBox = createCheckbox("Outline", pixelArt.outline);
+  pixelOutlineBox.parent(optRow);
+  pixelOutlineBox.attribute("title", "Dark outline around everything drawn");
+  pixelOutlineBox.changed(() => setPixelArt("outline", pixelOutlineBox.checked()));
+}
+
+function togglePixelArtPanel() {
+  if (!pixelArtPanel) return;
+  pixelArtPanel.style("display", sidePanelOpen(pixelArtPanel) ? "none" : "block");
+}
 
-    this.dir = dir;
-    this.variant = variant || "d";
-    this.img = img;
+function updatePixelArtPanelUI() {
+  if (!sidePanelOpen(pixelArtPanel)) return;
+  if (pixelScaleSelect.value() !== String(pixelArt.scale)) pixelScaleSelect.selected(String(pixelArt.scale));
+  if (pixelPaletteSelect.value() !== pixelArt.palette) pixelPaletteSelect.selected(pixelArt.palette);
+  if (pixelDitherBox.checked() !== pixelArt.dither) pixelDitherBox.checked(pixelArt.dither);
+  if (pixelOutlineBox.checked() !== pixelArt.outline) pixelOutlineBox.checked(pixelArt.outline);
 
-    this.size = CRASH_PIECE_SIZE;
+  const off = !pixelArt.scale;
+  pixelPaletteSelect.elt.disabled = pixelOutlineBox.elt.disabled = off;
+  pixelDitherBox.elt.disabled = off || !pixelArtColors(); // dithering needs a palette
+}
 
-    // local ground, slightly below crash origin (not canvas bottom)
-    this.groundY = y + U(22);
+// -------------------------
+// Layers panel
+// -------------------------
+// Top layer first. Clicking a name makes it the active layer (where new stamps
+// go), double-clicking renames it. Everything else is an undoable edit: the
+// layer list lives in the world, so snapshots, scenes and macros carry it.
+let layersPanel = null;
+let layersPanelKey = ""; // what the panel currently shows
+
+function buildLayersPanel() {
+  layersPanel = createSidePanel("layersPanel");
+}
 
-    // states: air -> slide -> rest
-    this.state = "air";
+function layersPanelOpen() {
+  return sidePanelOpen(layersPanel);
+}
 
-    // initial throw: forward + up, then gravity
-    const upKick = (this.variant === "u") ? 1.15 : 1.0;
-    this.vel.x = dir * random(UF(6.5), UF(9.5));
-    this.vel.y = -random(UF(9), UF(12)) * upKick;
+function toggleLayersPanel() {
+  if (!layersPanel) return;
+  layersPanel.style("display", layersPanelOpen() ? "none" : "block");
+  layersPanelKey = "";
+  updateLayersPanelUI();
+}
 
-    this.g = UF(0.85);
-    this.airDrag = 0.985;
-    this.slideFriction = 0.86;
-    this.minStopSpeed = UF(0.35);
+// Re-rendered only when the layers change (edits, undo, scene load, replay).
+function updateLayersPanelUI() {
+  if (!layersPanelOpen()) return;
+  const key = JSON.stringify([world.activeLayer, world.layers]);
+  if (key === layersPanelKey) return;
+  layersPanelKey = key;
+  renderLayersPanel();
+}
 
-    this.rot = random(-0.25, 0.25);
-    this.rotV = random(-0.03, 0.03);
+function renderLayersPanel() {
+  layersPanel.html("");
+
+  const head = createDiv("");
+  head.parent(layersPanel);
+  head.style("display", "flex");
+  head.style("gap", "6px");
+  head.style("margin-bottom", "6px");
+
+  const nameInput = createInput("");
+  nameInput.parent(head);
+  nameInput.size(110, 18);
+  nameInput.attribute("placeholder", "New layer name");
+
+  const addBtn = createButton("Add");
+  addBtn.parent(head);
+  addBtn.mousePressed(() => inputEvent({ type: "layer", op: "add", name: nameInput.value().trim() || undefined }));
+
+  for (let i = world.layers.length - 1; i >= 0; i--) {
+    const l = world.layers[i];
+    const row = createDiv("");
+    row.parent(layersPanel);
+    row.style("display", "flex");
+    row.style("align-items", "center");
+    row.style("gap", "4px");
+    row.style("margin", "2px 0");
+    row.style("background", l.id === world.activeLayer ? "rgba(0,0,0,0.08)" : "");
+
+    const name = createDiv(l.name);
+    name.parent(row);
+    name.style("flex", "1");
+    name.style("min-width", "96px");
+    name.style("cursor", "pointer");
+    name.style("opacity", l.visible ? "1" : "0.5");
+    name.attribute("title", "Click: draw on this layer, double-click: rename");
+    name.mousePressed(() => inputEvent({ type: "layer", op: "active", id: l.id }));
+    name.doubleClicked(() => {
+      const newName = prompt("Layer name", l.name);
+      if (newName && newName.trim()) inputEvent({ type: "layer", op: "rename", id: l.id, name: newName.trim() });
+    });
+
+    const layerBtn = (label, title, ev, disabled = false) => {
+      const b = createButton(label);
+      b.parent(row);
+      b.attribute("title", title);
+      b.elt.disabled = disabled;
+      b.mousePressed(() => inputEvent(Object.assign({ type: "layer", id: l.id }, ev)));
+    };
+    layerBtn(l.visible ? "Hide" : "Show", "Visibility (export too)", { op: "visible", value: !l.visible });
+    layerBtn(l.locked ? "Unlock" : "Lock", "Locked layers ignore the eraser and selection", { op: "locked", value: !l.locked });
+    layerBtn("▲", "Move up", { op: "move", value: 1 }, i === world.layers.length - 1);
+    layerBtn("▼", "Move down", { op: "move", value: -1 }, i === 0);
+    layerBtn("✕", "Delete the layer and everything on it", { op: "delete" }, world.layers.length <= 1);
+  }
+}
 
-    this.life = 260;
-    this.dead = false;
+function applyLayerOp(ev) {
+  if (ev.op === "add") {
+    historyEdit(() => { world.activeLayer = addLayer(world, ev.name).id; });
+    return;
+  }
 
-    // for ambulance scheduling
-    this.ambulanceScheduled = false;
-    this.ambulanceSpawned = false;
-    this.ambulanceSpawnAtMs = 0;
+  const l = findLayer(world, ev.id);
+  if (!l) return;
+  switch (ev.op) {
+    case "active": world.activeLayer = l.id; break;
+    case "rename": historyEdit(() => { l.name = String(ev.name); }); break;
+    case "visible": historyEdit(() => { l.visible = !!ev.value; }); break;
+    case "locked": historyEdit(() => { l.locked = !!ev.value; }); break;
+    case "move": historyEdit(() => moveLayer(world, l.id, ev.value)); break;
+    case "delete": historyEdit(() => removeLayer(world, l.id)); break;
   }
+}
+
+// -------------------------
+// World snapshots (plain data, see worldToState() in sim.js)
+// -------------------------
+function captureWorld() {
+  return worldToState(world);
+}
 
-  update() {
-    if (this.dead) return;
+function restoreWorld(s) {
+  const oldScale = world.scale;
+  applyWorldState(world, s);
+  eraserFollowZoom(oldScale); // undo/redo may cross a zoom step
+  selection.clear(); // the restored entities are new objects
+  if (seedInput) seedInput.value(String(world.rng.seed));
+}
 
-    this.rot += this.rotV;
+// -------------------------
+// Undo / redo
+// -------------------------
+// One step = the whole world before and after a single user action
+// (one brush stroke, one eraser stroke or one clear).
+const HISTORY_LIMIT = 50;
+
+let undoStack = [];
+let redoStack = [];
+let pendingStep = null;
+
+// Timeline replay re-applies old input: none of it is a new undo step.
+function beginHistoryStep() {
+  if (timelineReplaying) return;
+  commitHistoryStep();
+  pendingStep = { before: captureWorld(), after: null, changed: false };
+}
 
-    if (this.state === "air") {
-      this.vel.y += this.g;
-      this.vel.mult(this.airDrag);
-      this.pos.add(this.vel);
+function markHistoryChanged() {
+  if (pendingStep && !timelineReplaying) pendingStep.changed = true;
+  timelineNoteEdit();
+}
 
-      if (this.pos.y >= this.groundY) {
-        this.pos.y = this.groundY;
-        this.vel.y = 0;
-        this.vel.x *= 0.92;
-        this.state = "slide";
-        this.rotV *= 0.5;
-      }
-    } else if (this.state === "slide") {
-      this.pos.y = this.groundY;
-      this.pos.x += this.vel.x;
-      this.vel.x *= this.slideFriction;
+function commitHistoryStep() {
+  if (!pendingStep || timelineReplaying) return;
+  const step = pendingStep;
+  pendingStep = null;
+  if (!step.changed) return;
 
-      this.pos.x = round(this.pos.x);
-      this.pos.y = round(this.pos.y);
+  step.after = captureWorld();
+  undoStack.push(step);
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+}
 
-      if (abs(this.vel.x) < this.minStopSpeed) {
-        this.vel.x = 0;
-        this.state = "rest";
+// An edit outside the brush (a button, a shortcut) is its own undo step, or
+// part of the stroke that is in progress.
+function historyEdit(fn) {
+  const ownStep = (strokes.size === 0);
+  if (ownStep) beginHistoryStep();
+  fn();
+  markHistoryChanged();
+  if (ownStep) commitHistoryStep();
+}
 
-        // schedule ambulance only when resting
-        if (MODE === "animate") scheduleAmbulanceForCrashPiece(this);
-      }
-    } else {
-      // rest
-    }
+function undo() {
+  commitHistoryStep();
+  const step = undoStack.pop();
+  if (!step) return;
+  redoStack.push(step);
+  restoreWorld(step.before);
+  timelineNoteEdit();
+}
+
+function redo() {
+  commitHistoryStep();
+  const step = redoStack.pop();
+  if (!step) return;
+  undoStack.push(step);
+  restoreWorld(step.after);
+  timelineNoteEdit();
+}
 
-    this.life--;
-    if (this.life <= 0) this.dead = true;
+// -------------------------
+// Timeline (rewind / scrub)
+// -------------------------
+// Sparse keyframes (world + input state) plus every input event applied in
+// between, stamped with its tick. Any tick is rebuilt by restoring the last
+// keyframe at or before it and re-running the (deterministic) simulation,
+// re-applying the recorded events on their ticks. Keyframes come once a
+// second, and right after changes that can't be replayed as input (undo /
+// redo, mode, scene load, resize...).
+const TIMELINE_SECONDS = 20;
+const TIMELINE_KEYFRAME_TICKS = 60;
+const TIMELINE_MAX_SNAPSHOTS = 600;     // caps memory when edits force many keyframes
+const TIMELINE_MAX_ENTITIES = 60000;    // all keyframes together: big scenes keep fewer seconds
+const TIMELINE_KEYFRAME_EVENTS = ["mode", "undo", "redo"]; // not replayable
+
+let timeline = [];          // [{ tick, seq, world, input, selection, strokes, entities }] sorted by tick
+let timelineEvents = [];    // [{ seq, tick, ev }] in the order they were applied
+let timelineSeq = 0;        // next event seq; a keyframe replays events from its own seq on
+let timelineEntities = 0;   // sum of keyframe entity counts
+let timelineLiveTick = 0;   // newest tick reached; world.tick < this means "scrubbed back"
+let timelineDirty = false;  // changed in a way the recorded events can't rebuild
+let timelineInInput = false; // applying an event that is being recorded
+let timelineReplaying = false;
+
+let scrubSlider, scrubLabel;
+
+function timelineIsScrubbed() {
+  return world.tick < timelineLiveTick;
+}
+
+function stateEntityCount(s) {
+  let n = 0;
+  for (const key of SCENE_WORLD_KEYS) n += s[key].length;
+  return n;
+}
+
+function timelineCapture() {
+  const last = timeline[timeline.length - 1];
+  const state = captureWorld();
+  const key = {
+    tick: world.tick, seq: timelineSeq, world: state, input: inputState(),
+    selection: selectionToState(), strokes: copyStrokes(strokes), entities: stateEntityCount(state)
+  };
+  if (last && last.tick === world.tick) timelineEntities -= timeline.pop().entities;
+  timeline.push(key);
+  timelineEntities += key.entities;
+  timelineDirty = false;
+
+  const oldest = world.tick - TIMELINE_SECONDS * SIM_HZ;
+  while (timeline.length > 1 && (timeline[0].tick < oldest || timeline.length > TIMELINE_MAX_SNAPSHOTS ||
+    timelineEntities > TIMELINE_MAX_ENTITIES)) {
+    timelineEntities -= timeline.shift().entities;
+  }
+  const firstSeq = timeline[0].seq;
+  while (timelineEvents.length > 0 && timelineEvents[0].seq < firstSeq) timelineEvents.shift();
+}
+
+// Like a video editor: continuing from the past drops the old future. The
+// app state now differs from the replayed one, so a keyframe follows.
+function timelineBranch() {
+  if (!timelineIsScrubbed()) return;
+  while (timeline.length > 0 && timeline[timeline.length - 1].tick > world.tick) {
+    timelineEntities -= timeline.pop().entities;
+  }
+  while (timelineEvents.length > 0 && timelineEvents[timelineEvents.length - 1].tick > world.tick) timelineEvents.pop();
+  timelineLiveTick = world.tick;
+  timelineDirty = true;
+}
+
+function timelineNoteEdit() {
+  if (timelineReplaying) return;
+  timelineBranch();
+  if (!timelineInInput) timelineDirty = true; // recorded input is replayed instead
+}
+
+// Applies a live or macro event, recording it when replay can redo it.
+// While scrubbed nothing is recorded: an edit branches, and the keyframe
+// after it starts the new future.
+function timelineApplyInput(ev) {
+  const record = world.mode === "animate" && !timelineReplaying && !timelineIsScrubbed() &&
+    !TIMELINE_KEYFRAME_EVENTS.includes(ev.type);
+  if (!record) {
+    applyInput(ev);
+    return;
   }
+  timelineEvents.push({ seq: timelineSeq++, tick: world.tick, ev });
+  timelineInInput = true;
+  applyInput(ev);
+  timelineInInput = false;
+}
 
-  draw() {
-    if (!this.img) return;
-    push();
-    imageMode(CENTER);
-    translate(this.pos.x, this.pos.y);
-    if (this.state !== "rest") rotate(this.rot);
-    image(this.img, 0, 0, this.size, this.size);
-    pop();
+// Called at the start of every simulation tick.
+function timelineBeforeStep() {
+  if (timelineReplaying || world.mode !== "animate") return;
+  timelineBranch();
+  const last = timeline[timeline.length - 1];
+  const due = !last || world.tick - last.tick >= TIMELINE_KEYFRAME_TICKS;
+  if (timelineDirty || due) timelineCapture();
+}
+
+function timelineAfterStep() {
+  if (timelineReplaying) return;
+  timelineLiveTick = world.tick;
+}
+
+function timelineOldestTick() {
+  return timeline.length > 0 ? timeline[0].tick : world.tick;
+}
+
+// The toolbar keeps its current settings; only the world goes back in time.
+function scrubTo(tick) {
+  if (world.mode !== "animate" || macroPlay) return;
+  stopRecording(); // a jump in time can't be replayed as input
+  if (timelineDirty) timelineCapture();
+
+  tick = constrain(round(tick), timelineOldestTick(), timelineLiveTick);
+  let key = null;
+  for (const t of timeline) {
+    if (t.tick > tick) break;
+    key = t;
   }
+  if (!key) return;
+
+  SIM_PAUSED = true;
+  simAccumulatorMs = 0;
+
+  const live = inputState();
+  const liveStrokes = strokes;
+  strokes = copyStrokes(key.strokes);
+  timelineReplaying = true;
+  restoreWorld(key.world);
+  selectionFromState(key.selection);
+  applyInputState(key.input);
+  world.tick = key.tick;
+
+  const events = timelineEvents.filter(e => e.seq >= key.seq && e.tick <= tick);
+  let i = 0;
+  for (;;) {
+    while (i < events.length && events[i].tick <= world.tick) applyInput(events[i++].ev);
+    if (world.tick >= tick) break;
+    stepSimulation();
+  }
+
+  timelineReplaying = false;
+  strokes = liveStrokes;
+  applyInputState(live);
+  selection.clear();
+  simAlpha = 1;
+}
+
+function updateTimelineUI() {
+  if (!scrubSlider) return;
+  const oldest = timelineOldestTick();
+  const newest = max(timelineLiveTick, world.tick);
+  scrubSlider.elt.min = oldest;
+  scrubSlider.elt.max = newest;
+  if (document.activeElement !== scrubSlider.elt) scrubSlider.value(world.tick);
+  scrubSlider.elt.disabled = (world.mode !== "animate" || newest <= oldest);
+
+  const back = (timelineLiveTick - world.tick) / SIM_HZ;
+  scrubLabel.html(timelineIsScrubbed() ? "-" + back.toFixed(2) + "s" : "LIVE");
 }
 
 // -------------------------
-// AMBULANCES (0.5s delayed per crushed frog / crash piece)
+// Input macros (record / replay)
 // -------------------------
-function scheduleAmbulanceForFrog(frog) {
-  if (frog.ambulanceScheduled) return;
-  frog.ambulanceScheduled = true;
-  frog.ambulanceSpawnAtMs = millis() + AMBULANCE_SPAWN_DELAY_MS;
+// A macro is the starting world plus every input event, stamped with the
+// simulation tick and the wall-clock ms since recording began. Replay
+// restores the start world and re-applies each event at the same tick, so
+// the run is identical; ms only paces events while the clock is stopped
+// (STILL mode or paused).
+const MACRO_FORMAT = "frogsbrush-macro";
+const MACRO_VERSION = 10; // v2: stroke ids + pen pressure, v3: tool palette, v4: eraser radius, v5: eraser area / filters, v6: selection tool, v7: layers, v8: blood settings, v9: world zoom, v10: seed changes
+const MACRO_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+let macroRec = null;   // recording in progress
+let macroPlay = null;  // replay in progress
+let lastMacro = null;  // last recorded or opened macro
+
+let recBtn, replayBtn, macroSaveBtn, macroOpenBtn, macroSpeedSelect, macroFileInput;
+
+function toggleRecording() {
+  if (macroRec) stopRecording();
+  else startRecording();
 }
 
-function scheduleAmbulanceForCrashPiece(piece) {
-  if (piece.ambulanceScheduled) return;
-  piece.ambulanceScheduled = true;
-  piece.ambulanceSpawnAtMs = millis() + AMBULANCE_SPAWN_DELAY_MS;
+function startRecording() {
+  if (macroPlay) return;
+  selection.clear(); // replay starts from the recorded world, with nothing selected
+  macroRec = {
+    startTick: world.tick,
+    startSimMs: world.now(),
+    startMs: millis(), // wall clock on purpose: it paces replay, not the simulation
+    startWorld: captureWorld(),
+    start: inputState(),
+    events: []
+  };
 }
 
-// --------- target helpers (FIX for isSquished error) ---------
-function targetIsValidForAmbulance(t) {
-  if (!t) return false;
+// Everything besides the world that decides what an input event does.
+function inputState() {
+  return {
+    mode: world.mode, tool: TOOL, pile: PILE_HEIGHT, brush: brushSlider.value(),
+    eraserRadius, eraserArea, eraserFilter: Object.assign({}, eraserFilter), selectMode,
+    layer: world.activeLayer, blood: Object.assign({}, world.blood), bloodPalette
+  };
+}
 
-  // Frog target: must be squished and not removed
-  if (typeof t.isSquished === "function") {
-    return t.isSquished() && !t.removed;
+// The mode is left alone: switching it does more than set a flag.
+function applyInputState(st) {
+  // macros from before the palette only had the eraser toggle
+  setTool(st.tool !== undefined ? st.tool : (st.eraser ? "eraser" : "auto"));
+  if (st.pile !== undefined) setPileHeight(st.pile);
+  setEraserRadius(st.eraserRadius !== undefined ? st.eraserRadius : U(world, ERASER_RADIUS));
+  eraserArea = !!st.eraserArea;
+  eraserFilter = Object.assign(defaultEraserFilter(), st.eraserFilter);
+  setSelectMode(st.selectMode || "box");
+  if (findLayer(world, st.layer)) world.activeLayer = st.layer;
+  world.blood = sanitizeBloodSettings(st.blood);
+  const palette = st.bloodPalette || defaultBloodPalette();
+  if (palette.color !== bloodPalette.color || palette.tones !== bloodPalette.tones) {
+    setBloodPalette(palette.color, palette.tones); // a new palette rebakes the blood
   }
+  brushSlider.value(st.brush);
+}
 
-  // Crash piece target: must be resting and not dead
-  if ("state" in t && typeof t.dead === "boolean") {
-    return (t.state === "rest") && !t.dead;
-  }
+function stopRecording() {
+  if (!macroRec) return;
+  for (const id of strokes.keys()) macroRecordEvent({ type: "release", id });
+  lastMacro = {
+    format: MACRO_FORMAT,
+    version: MACRO_VERSION,
+    seed: macroRec.startWorld.rng.seed,
+    ticks: world.tick - macroRec.startTick,
+    ms: round(millis() - macroRec.startMs),
+    startSimMs: macroRec.startSimMs,
+    start: macroRec.start,
+    startWorld: macroRec.startWorld,
+    events: macroRec.events
+  };
+  macroRec = null;
+}
 
-  return false;
+function macroRecordEvent(ev) {
+  if (!macroRec) return;
+  macroRec.events.push(Object.assign({
+    tick: world.tick - macroRec.startTick,
+    ms: round(millis() - macroRec.startMs)
+  }, ev));
+}
+
+function startReplay(macro) {
+  if (!macro) return;
+  stopRecording();
+  releaseAllStrokes();
+
+  // entity timestamps are rebased onto the current clock, like scene files
+  const startState = JSON.parse(JSON.stringify(macro.startWorld));
+  shiftWorldTimes(startState, world.now() - macro.startSimMs);
+
+  // restoring the start world is one undoable step
+  beginHistoryStep();
+  if (world.mode !== macro.start.mode) toggleMode();
+  restoreWorld(startState);
+  markHistoryChanged();
+  commitHistoryStep();
+
+  applyInputState(macro.start);
+  SIM_PAUSED = false;
+  simAccumulatorMs = 0;
+
+  macroPlay = {
+    macro,
+    index: 0,
+    baseTick: world.tick,
+    ms: 0,
+    speed: Number(macroSpeedSelect ? macroSpeedSelect.value() : 1),
+    cursors: new Map() // stroke id -> { x, y, down }
+  };
+}
+
+function stopReplay() {
+  if (!macroPlay) return;
+  releaseAllStrokes();
+  macroPlay = null;
+}
+
+function macroSpeed() {
+  return macroPlay ? macroPlay.speed : 1;
+}
+
+function macroRelTick() {
+  return world.tick - macroPlay.baseTick;
 }
 
-function targetMarkRemoved(t) {
-  if (!t) return;
+// The next event is due once both its tick and its ms are reached.
+function macroApplyDue() {
+  if (!macroPlay) return;
+  const events = macroPlay.macro.events;
+  while (macroPlay.index < events.length) {
+    const e = events[macroPlay.index];
+    if (e.tick > macroRelTick() || e.ms > macroPlay.ms) break;
+    macroPlay.index++;
+
+    macroTrackCursor(e);
+    timelineApplyInput(e);
+  }
+
+  if (macroPlay.index >= events.length && macroRelTick() >= macroPlay.macro.ticks) stopReplay();
+}
 
-  // Frog
-  if ("removed" in t) t.removed = true;
+// Hold the clock while the next event belongs to the current tick but its ms
+// has not come yet; otherwise the simulation would run past it.
+function macroBlocksStep() {
+  if (!macroPlay) return false;
+  const e = macroPlay.macro.events[macroPlay.index];
+  return !!e && e.tick <= macroRelTick();
+}
 
-  // Crash piece
-  if ("dead" in t) t.dead = true;
+// Single-stepping a paused replay: apply the rest of this tick's events now.
+function macroFlushTick() {
+  if (!macroPlay) return;
+  const events = macroPlay.macro.events;
+  while (macroPlay && macroPlay.index < events.length && events[macroPlay.index].tick <= macroRelTick()) {
+    macroPlay.ms = max(macroPlay.ms, events[macroPlay.index].ms);
+    macroApplyDue();
+  }
 }
 
-function trySpawnScheduledAmbulances() {
-  // frogs
-  for (const f of frogs) {
-    if (!f.isSquished() || f.removed) continue;
-    if (!f.ambulanceScheduled) continue;
-    if (f.ambulanceSpawned) continue;
-    if (millis() < f.ambulanceSpawnAtMs) continue;
+function macroBeforeFrame() {
+  if (!macroPlay) return;
+  const clockStopped = (world.mode === "animate" && SIM_PAUSED);
+  if (!clockStopped) macroPlay.ms += min(deltaTime, SIM_MAX_FRAME_MS) * macroPlay.speed;
+  macroApplyDue();
+}
 
-    spawnAmbulanceForTarget(f);
-    f.ambulanceSpawned = true;
+// One ghost per stroke; a lifted stroke keeps its ghost only while it is the last one.
+function macroTrackCursor(e) {
+  const cursors = macroPlay.cursors;
+  const id = strokeId(e);
+  if (e.type === "press" || e.type === "drag") {
+    for (const [other, c] of cursors) if (other !== id && !c.down) cursors.delete(other);
+    cursors.set(id, { x: e.x, y: e.y, down: true });
+  } else if (e.type === "release" && cursors.has(id)) {
+    if (cursors.size > 1) cursors.delete(id);
+    else cursors.get(id).down = false;
   }
+}
 
-  // crash pieces
-  for (const p of crashPieces) {
-    if (p.dead) continue;
-    if (p.state !== "rest") continue;
-    if (!p.ambulanceScheduled) continue;
-    if (p.ambulanceSpawned) continue;
-    if (millis() < p.ambulanceSpawnAtMs) continue;
+function drawMacroGhost() {
+  if (!macroPlay) return;
 
-    spawnAmbulanceForTarget(p);
-    p.ambulanceSpawned = true;
+  push();
+  stroke(20, 20, 20, 180);
+  strokeWeight(2);
+  for (const c of macroPlay.cursors.values()) {
+    if (c.down) fill(255, 255, 255, 120);
+    else noFill();
+    circle(c.x, c.y, c.down ? 22 : 16);
+    line(c.x - 4, c.y, c.x + 4, c.y);
+    line(c.x, c.y - 4, c.x, c.y + 4);
   }
+  pop();
 }
 
-function spawnAmbulanceForTarget(target) {
-  const fromLeft = (target.pos.x > width * 0.5);
-  const x = fromLeft ? -AMBULANCE_SPAWN_EDGE_PAD : width + AMBULANCE_SPAWN_EDGE_PAD;
-  let y = target.pos.y + random(-U(40), U(40));
+function saveMacro() {
+  if (macroRec) stopRecording();
+  if (!lastMacro) return;
+  saveJSON(lastMacro, "frogsbrush-macro.json", true);
+}
+
+function parseMacro(doc) {
+  if (!doc || doc.format !== MACRO_FORMAT) throw new Error("not a FrogsBrush macro file");
+  // v1 macros are single-stroke: events without an id replay as stroke 0;
+  // v1/v2 "eraser" events toggle between the Eraser and Auto tools
+  if (typeof doc.version !== "number" || doc.version < 1 || doc.version > MACRO_VERSION) {
+    throw new Error(`unsupported macro version ${doc.version}`);
+  }
+  if (!Array.isArray(doc.events) || !doc.startWorld || !doc.start || typeof doc.startSimMs !== "number") {
+    throw new Error("macro file is incomplete");
+  }
+  return doc;
+}
 
-  const tries = 14;
-  for (let t = 0; t < tries; t++) {
-    let ok = true;
-    for (const a of ambulances) {
-      if (abs(a.pos.y - y) < U(34) && abs(a.pos.x - x) < U(140)) { ok = false; break; }
+function openMacroFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      lastMacro = parseMacro(JSON.parse(reader.result));
+      startReplay(lastMacro);
+    } catch (err) {
+      alert("Could not open macro: " + err.message);
     }
-    if (ok) break;
-    y += random([-U(58), -U(42), U(42), U(58)]);
-    y = constrain(y, U(60), height - U(60));
+  };
+  reader.readAsText(file);
+}
+
+function updateMacroUI() {
+  if (!recBtn) return;
+  if (macroRec) {
+    recBtn.html("Stop rec " + ((millis() - macroRec.startMs) / 1000).toFixed(0) + "s");
+    recBtn.style("background", "rgba(200,30,40,0.25)");
+  } else {
+    recBtn.html("Rec");
+    recBtn.style("background", "");
   }
+  recBtn.elt.disabled = !!macroPlay;
 
-  const dir = fromLeft ? 1 : -1;
-  ambulances.push(new Ambulance(x, y, dir, nextCreatedAt(), target));
+  replayBtn.html(macroPlay ? "Stop replay" : "Replay");
+  replayBtn.elt.disabled = !macroPlay && !lastMacro;
+  macroSaveBtn.elt.disabled = !macroRec && !lastMacro;
 }
 
-function ambulanceSeparationForce(self) {
-  let fx = 0, fy = 0;
+// -------------------------
+// Scene files (save / open)
+// -------------------------
+// A scene file is captureWorld() in a small versioned envelope.
+// Timestamps are simulation ms of the saving session and are rebased on load.
+const SCENE_FORMAT = "frogsbrush-scene";
+const SCENE_VERSION = 6;
+
+// SCENE_MIGRATIONS[n] upgrades a version-n document to version n + 1.
+const SCENE_MIGRATIONS = {
+  // v2: world.rng (seed + state); v1 files keep the current RNG
+  1: doc => Object.assign(doc, { version: 2, world: Object.assign(doc.world || {}, { rng: null }) }),
+  // v3: world.layers; everything in a v2 file goes on one default layer
+  2: doc => Object.assign(doc, { version: 3, world: Object.assign(doc.world || {}, { layers: null }) }),
+  // v4: blood settings + palette; older files get the defaults
+  3: doc => Object.assign(doc, { version: 4, blood: null }),
+  // v5: world.scale (world zoom); older files were drawn at 1x
+  4: doc => Object.assign(doc, { version: 5, world: Object.assign(doc.world || {}, { scale: 1 }) }),
+  // v6: world.width / height, so a scene from another canvas size is refitted
+  5: doc => {
+    const canvas = doc.canvas || {};
+    return Object.assign(doc, { version: 6, world: Object.assign(doc.world || {}, { width: canvas.width, height: canvas.height }) });
+  }
+};
+
+const SCENE_WORLD_KEYS = ["frogs", "cars", "bloodSplats", "crashPieces", "ambulances", "towTrucks", "crashQueue"];
+
+function sceneDocument() {
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    mode: world.mode,
+    canvas: { width, height },
+    savedAtMs: world.now(),
+    blood: { settings: Object.assign({}, world.blood), palette: bloodPalette },
+    world: captureWorld()
+  };
+}
 
-  for (const other of ambulances) {
-    if (other === self) continue;
+function saveScene() {
+  saveJSON(sceneDocument(), "frogsbrush-scene.json", true);
+}
 
-    const dx = self.pos.x - other.pos.x;
-    const dy = self.pos.y - other.pos.y;
-    const d2 = dx * dx + dy * dy;
-    if (d2 < 0.0001) continue;
+function migrateSceneDocument(doc) {
+  if (!doc || doc.format !== SCENE_FORMAT) throw new Error("not a FrogsBrush scene file");
+  if (typeof doc.version !== "number") throw new Error("scene file has no version");
+  if (doc.version > SCENE_VERSION) {
+    throw new Error(`scene version ${doc.version} is newer than this app supports (${SCENE_VERSION})`);
+  }
 
-    const d = sqrt(d2);
-    if (d < AMBULANCE_SEP_RADIUS) {
-      const s = (AMBULANCE_SEP_RADIUS - d) / AMBULANCE_SEP_RADIUS;
-      fx += (dx / d) * s;
-      fy += (dy / d) * s;
-    }
+  while (doc.version < SCENE_VERSION) {
+    const upgrade = SCENE_MIGRATIONS[doc.version];
+    if (!upgrade) throw new Error(`cannot migrate scene version ${doc.version}`);
+    doc = upgrade(doc);
   }
 
-  const mag = sqrt(fx * fx + fy * fy);
-  if (mag > AMBULANCE_MAX_SEP) {
-    fx = (fx / mag) * AMBULANCE_MAX_SEP;
-    fy = (fy / mag) * AMBULANCE_MAX_SEP;
+  for (const k of SCENE_WORLD_KEYS) {
+    if (!doc.world || !Array.isArray(doc.world[k])) throw new Error(`scene is missing "${k}"`);
   }
+  return doc;
+}
+
+function shiftWorldTimes(state, dtMs) {
+  for (const b of state.bloodSplats) b.bornMs += dtMs;
+  for (const f of state.frogs) f.ambulanceSpawnAtMs += dtMs;
+  for (const p of state.crashPieces) p.ambulanceSpawnAtMs += dtMs;
+  for (const c of state.cars) c.towSpawnAtMs += dtMs;
+}
+
+function loadSceneDocument(doc) {
+  doc = migrateSceneDocument(doc);
+  stopRecording();
+  stopReplay();
+  shiftWorldTimes(doc.world, world.now() - doc.savedAtMs);
+
+  // loading is undoable like any other edit
+  beginHistoryStep();
+  if (doc.mode !== world.mode) toggleMode();
+  restoreWorld(doc.world);
+  markHistoryChanged();
+  commitHistoryStep();
+
+  // settings, not world state: loading them is not undone
+  const blood = doc.blood || {};
+  world.blood = sanitizeBloodSettings(blood.settings);
+  const palette = blood.palette || defaultBloodPalette();
+  setBloodPalette(palette.color, palette.tones);
+}
 
-  return createVector(fx, fy);
+function openSceneFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      loadSceneDocument(JSON.parse(reader.result));
+    } catch (err) {
+      alert("Could not open scene: " + err.message);
+    }
+  };
+  reader.readAsText(file);
 }
 
 // -------------------------
-// TOW scheduling
+// Window resize policy
 // -------------------------
-function scheduleTowForCar(car) {
-  if (car.towScheduled) return;
-  car.towScheduled = true;
-  car.towSpawnAtMs = millis() + TOW_SPAWN_DELAY_MS;
+// A resize or phone rotation refits the scene (resizeWorld); undo steps,
+// timeline snapshots and scenes from another size are fitted the same way
+// when restored. The choice is kept in localStorage.
+const RESIZE_POLICY_STORAGE_KEY = "frogsbrush-resize-policy";
+const RESIZE_POLICY_OPTIONS = [
+  { id: "scale", label: "Resize: scale to fit" },
+  { id: "center", label: "Resize: keep centred" },
+  { id: "anchor", label: "Resize: anchor top-left" }
+];
+
+function loadResizePolicy() {
+  try {
+    const saved = localStorage.getItem(RESIZE_POLICY_STORAGE_KEY);
+    if (RESIZE_POLICIES.includes(saved)) world.resizePolicy = saved;
+  } catch (err) {
+    // unreadable or blocked storage: keep the default
+  }
 }
 
-function trySpawnScheduledTows() {
-  for (const c of cars) {
-    if (c.state !== "wreck") continue;
-    if (c.towSpawned) continue;
-    if (!c.towScheduled) continue;
-    if (millis() < c.towSpawnAtMs) continue;
+function setResizePolicy(policy) {
+  if (!RESIZE_POLICIES.includes(policy)) return;
+  world.resizePolicy = policy;
+  try {
+    localStorage.setItem(RESIZE_POLICY_STORAGE_KEY, policy);
+  } catch (err) {
+    // storage blocked: the choice still lasts for this session
+  }
+}
 
-    spawnTowForCar(c);
-    c.towSpawned = true;
+// The menu bar wraps when the window is too narrow for one row: move the
+// transport bar, the canvas and everything pinned under them along.
+function layoutTopBars() {
+  const barH = max(UI_BAR_H, (uiBar && uiBar.elt.offsetHeight) || 0);
+  uiTopH = barH + TRANSPORT_BAR_H;
+  if (transportBar) transportBar.style("top", barH + "px");
+  for (const panel of toolPanels) panel.style("top", (uiTopH + 8) + "px");
+  if (sidePanels) {
+    sidePanels.style("top", (uiTopH + 8) + "px");
+    sidePanels.style("max-height", "calc(100% - " + (uiTopH + 24) + "px)");
+  }
+  if (cheatSheet) {
+    cheatSheet.style("top", (uiTopH + 16) + "px");
+    cheatSheet.style("max-height", "calc(100% - " + (uiTopH + 32) + "px)");
   }
 }
 
-function spawnTowForCar(car) {
-  const fromLeft = (car.pos.x > width * 0.5);
-  const x = fromLeft ? -TOW_SPAWN_EDGE_PAD : width + TOW_SPAWN_EDGE_PAD;
-  let y = car.pos.y + random(-U(30), U(30));
-  y = constrain(y, U(60), height - U(60));
+function applyCanvasFitToWindow() {
+  layoutTopBars();
+  const c = document.querySelector("canvas");
+  if (c) {
+    c.style.position = "absolute";
+    c.style.left = "0px";
+    c.style.top = uiTopH + "px";
+  }
+
+  resizeCanvas(windowWidth, max(1, windowHeight - uiTopH));
+  const resized = (world.width !== width * worldSizeFactor || world.height !== height * worldSizeFactor);
+  resizeWorld(world, width * worldSizeFactor, height * worldSizeFactor);
+  clampCamera();
+  if (resized) {
+    timelineNoteEdit();
+    // splats moved in place: the cached blood is stale
+    for (const id of [...bloodLayers.keys()]) dropBloodBuffers(id);
+  }
 
-  const dir = fromLeft ? 1 : -1;
-  towTrucks.push(new TowTruck(x, y, dir, nextCreatedAt(), car));
+  document.body.style.margin = "0";
+  document.body.style.overflow = "hidden";
+
+  ensureBloodLayer();
+}
+
+function windowResized() {
+  applyCanvasFitToWindow();
 }
 
 // -------------------------
-// TowTruck class
+// PNG export (offscreen, preset size)
 // -------------------------
-class TowTruck {
-  constructor(x, y, dir, createdAt, targetCar) {
-    this.createdAt = createdAt;
-    this.pos = createVector(x, y);
-    this.vel = createVector(dir * random(UF(5.5), UF(7.5)), 0);
-    this.dir = dir;
+function exportPresetSize() {
+  const v = sizeSelect ? sizeSelect.value() : "fit";
+  if (v === "fit") return { w: width, h: height };
+  const [w, h] = v.split("x").map(Number);
+  return { w, h };
+}
 
-    this.size = TOW_TRUCK_RENDER_SIZE;
-    this.baseSpeed = random(UF(5.8), UF(7.8));
-    this.maxSpeed = this.baseSpeed * 1.25;
+// The part of the canvas that becomes the export. Its size divides the preset
+// by an integer factor k, so the export is an exact k-times nearest-neighbour upscale.
+function exportFrameRect() {
+  const { w, h } = exportPresetSize();
+  const k = max(1, ceil(max(w / width, h / height)));
+  const fw = w / k;
+  const fh = h / k;
+
+  // snap the offset so blood pixels land on whole export pixels
+  const x = round((width - fw) * 0.5 * k) / k;
+  const y = round((height - fh) * 0.5 * k) / k;
+  return { x, y, w: fw, h: fh, k, outW: w, outH: h };
+}
 
-    this.state = "toTarget"; // "toTarget" | "hook" | "leave"
-    this.target = targetCar;
+function drawExportFrame() {
+  if (!sizeSelect || sizeSelect.value() === "fit") return;
+  const r = exportFrameRect();
 
-    this.hookTimer = 0;
-    this.dead = false;
-    this.frozen = false;
-  }
+  push();
+  noStroke();
+  fill(0, 0, 0, 70);
+  rect(0, 0, width, r.y);
+  rect(0, r.y + r.h, width, height - r.y - r.h);
+  rect(0, r.y, r.x, r.h);
+  rect(r.x + r.w, r.y, width - r.x - r.w, r.h);
+
+  noFill();
+  stroke(0, 0, 0, 150);
+  strokeWeight(1);
+  rect(r.x, r.y, r.w, r.h);
+  pop();
+}
 
-  freeze() { this.frozen = true; }
-  unfreeze() { this.frozen = false; }
+function createExportBuffer(r) {
+  const pg = createGraphics(r.outW, r.outH);
+  pg.pixelDensity(1);
+  pg.noSmooth();
+  return pg;
+}
 
-  update() {
-    if (this.frozen) return;
+function renderExportFrame(pg, r) {
+  pg.background(235);
+  pg.push();
+  pg.scale(r.k);
+  pg.translate(-r.x, -r.y);
+  drawScene(pg);
+  pg.pop();
+}
 
-    if (this.state === "toTarget") {
-      if (!this.target || this.target.isFarOffscreen()) {
-        this.state = "leave";
-      } else {
-        const tx = this.target.pos.x;
-        const ty = this.target.pos.y;
+function exportImage() {
+  const r = exportFrameRect();
+  const pg = createExportBuffer(r);
+  renderExportFrame(pg, r);
 
-        const toT = createVector(tx - this.pos.x, ty - this.pos.y);
+  saveCanvas(pg, `frogsbrush-${r.outW}x${r.outH}`, "png");
+  pg.remove();
+}
 
-        if (abs(toT.x) > 1) this.dir = (toT.x >= 0) ? 1 : -1;
+// -------------------------
+// Animation export (GIF / PNG sequence)
+// -------------------------
+// Frames are rendered from an offline run of the fixed-step simulation, so the
+// result only depends on the scene, the length and the fps (never on how fast
+// this machine is). The live world is snapshotted first and put back afterwards.
+const ANIM_EXPORT_FPS = [10, 15, 20, 30, 60];
+const ANIM_EXPORT_MAX_SECONDS = 30;
 
-        toT.normalize();
-        let desired = toT.mult(this.maxSpeed);
-        desired.y = constrain(desired.y, -UF(2.2), UF(2.2));
+let animExporting = false;
 
-        const steer = desired.copy().sub(this.vel).mult(0.16);
-        this.vel.add(steer);
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
 
-        const sp = this.vel.mag();
-        if (sp > this.maxSpeed) this.vel.mult(this.maxSpeed / sp);
-        if (sp < this.baseSpeed * 0.75) this.vel.mult((this.baseSpeed * 0.75) / max(0.0001, sp));
+function canvasToPngBytes(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) return reject(new Error("PNG encoding failed"));
+      blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+    }, "image/png");
+  });
+}
 
-        this.pos.add(this.vel);
-        this.pos.y = constrain(this.pos.y, U(50), height - U(50));
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-        if (abs(tx - this.pos.x) < TOW_PICKUP_DIST && abs(ty - this.pos.y) < TOW_PICKUP_DIST) {
-          this.state = "hook";
-          this.hookTimer = 18;
-          this.vel.mult(0.2);
-        }
+async function exportAnimation() {
+  if (animExporting || macroPlay) return;
+
+  const seconds = constrain(Number(animSecondsInput.value()) || 0, 0.5, ANIM_EXPORT_MAX_SECONDS);
+  const fps = Number(animFpsSelect.value());
+  const format = animFormatSelect.value();
+  const frameCount = max(1, round(seconds * fps));
+  const r = exportFrameRect();
+
+  animExporting = true;
+  setExportLock(true);
+  const saved = { world: captureWorld(), tick: world.tick };
+  const pg = createExportBuffer(r);
+  const gif = (format === "gif") ? new GifWriter(r.outW, r.outH) : null;
+  const zip = (format === "zip") ? new ZipWriter() : null;
+
+  timelineReplaying = true; // offline ticks stay out of the timeline
+  simAlpha = 1;
+  try {
+    const startTick = world.tick;
+    for (let i = 0; i < frameCount; i++) {
+      if (world.mode === "animate") {
+        const target = startTick + round(i * SIM_HZ / fps);
+        while (world.tick < target) stepSimulation();
       }
-    }
-    else if (this.state === "hook") {
-      this.hookTimer--;
-      if (this.hookTimer <= 0) {
-        this.state = "leave";
-        this.dir = (this.pos.x < width * 0.5) ? -1 : 1;
-        this.vel = createVector(this.dir * this.baseSpeed, 0);
+
+      renderBloodLayer();
+      renderExportFrame(pg, r);
+
+      if (gif) {
+        pg.loadPixels();
+        gif.addFrame(pg.pixels, round((i + 1) * 100 / fps) - round(i * 100 / fps));
+      } else {
+        zip.addFile("frame_" + String(i).padStart(4, "0") + ".png", await canvasToPngBytes(pg.elt));
       }
+
+      animExportBtn.html("Exporting " + floor((i + 1) * 100 / frameCount) + "%");
+      await nextTask();
     }
-    else if (this.state === "leave") {
-      // tow the car out
-      if (this.target && this.target.state === "wreck") {
-        this.target.pos.x = this.pos.x - this.dir * U(38);
-        this.target.pos.y = this.pos.y + U(2);
-      }
 
-      this.vel.x = this.dir * this.maxSpeed;
-      this.vel.y *= 0.92;
+    const name = `frogsbrush-${r.outW}x${r.outH}-${fps}fps`;
+    if (gif) downloadBlob(gif.finish(), name + ".gif");
+    else downloadBlob(zip.finish(), name + ".zip");
+  } catch (err) {
+    alert("Could not export animation: " + err.message);
+  } finally {
+    restoreWorld(saved.world);
+    world.tick = saved.tick;
+    timelineReplaying = false;
+    pg.remove();
+    animExporting = false;
+    setExportLock(false);
+    animExportBtn.html("Export anim");
+  }
+}
+
+// the bars stay visible for the progress label but can't be clicked meanwhile
+function setExportLock(on) {
+  for (const bar of [uiBar, transportBar]) {
+    bar.style("pointer-events", on ? "none" : "auto");
+    bar.style("opacity", on ? "0.6" : "1");
+  }
+}
 
-      this.pos.add(this.vel);
-      this.pos.y = constrain(this.pos.y, U(50), height - U(50));
+// -------------------------
+// Eraser behavior
+// -------------------------
+// Single-hit mode takes the newest entity under the eraser (frogs first, as
+// before) and only carves blood when it missed; area mode takes everything.
+function eraseAt(x, y) {
+  const R = eraserRadius;
+  let hit = false;
+
+  for (const t of ERASER_TARGETS) {
+    if (t.key === "bloodSplats" || !eraserFilter[t.key]) continue;
+    const list = world[t.key];
+    const near = indicesNear(world, t.key, x - R, y - R, x + R, y + R);
+    // newest first; splicing from the back keeps the lower indices valid
+    for (let n = near.length - 1; n >= 0; n--) {
+      const e = list[near[n]];
+      if (dist(x, y, e.pos.x, e.pos.y) >= R || !layerEditable(world, e.layer)) continue;
+      removeEntityAt(world, t.key, near[n]);
+      hit = true;
+      if (!eraserArea) break;
+    }
+    if (hit && !eraserArea) break;
+  }
 
-      if (this.pos.x < -width - U(420) || this.pos.x > width + U(420)) {
-        if (this.target) this.target._towedAway = true;
-        this.dead = true;
-      }
+  if (eraserFilter.bloodSplats && (eraserArea || !hit)) {
+    for (const b of world.bloodSplats) {
+      if (layerEditable(world, b.layer) && carveSplat(b, x, y, R)) hit = true;
     }
   }
 
-  draw() {
-    if (!GFX.towTruck) return;
-    push();
-    translate(this.pos.x, this.pos.y);
-    imageMode(CENTER);
-    noSmooth();
+  if (hit) markHistoryChanged();
+}
 
-    // PNG faces LEFT by default; moving RIGHT => mirror
-    if (this.dir === 1) scale(-1, 1);
+// Eraser size preview under the mouse (there is no hover for touch / pen).
+function drawEraserCursor() {
+  if (TOOL !== "eraser") return;
+  if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return;
 
-    image(GFX.towTruck, 0, 0, this.size, this.size);
-    pop();
-  }
+  push();
+  noFill();
+  stroke(20, 20, 20, 140);
+  strokeWeight(1);
+  circle(mouseX, mouseY, eraserRadius * 2 * camera.zoom); // the radius is in world units
+  pop();
 }
 
 // -------------------------
-// Ambulance class (FIXED for frog + crashPiece targets)
+// Selection tool
 // -------------------------
-class Ambulance {
-  constructor(x, y, dir, createdAt, targetAny) {
-    this.createdAt = createdAt;
-    this.pos = createVector(x, y);
-    this.vel = createVector(dir * random(UF(6.2), UF(8.2)), 0);
+// Box or lasso select frogs, cars and crash pieces; drag a selection to move
+// it (Alt-drag moves a copy), then delete / duplicate / flip / bring to front /
+// copy / paste. Gestures arrive as strokes and edits as input events, so macros
+// replay them; moving keeps createdAt, so stacking only changes on "Front".
+const SELECT_KEYS = ["frogs", "cars", "crashPieces"];
+const SELECTION_CLIP_FORMAT = "frogsbrush-selection";
+const SELECTION_CLIP_VERSION = 1;
+const PASTE_OFFSET = 16; // at zoom 1
+
+let selection = new Set();
+let selectMode = "box";     // "box" | "lasso"
+let selectionClip = null;   // last copy, for when the system clipboard is unavailable
+
+function setSelectMode(mode) {
+  if (mode === "box" || mode === "lasso") selectMode = mode;
+}
 
-    this.dir = dir;
-    this.size = AMBULANCE_RENDER_SIZE;
+// Drops entities that left the world (towed, picked up, faded out, undone)
+// or whose layer got locked / hidden.
+function pruneSelection() {
+  if (selection.size === 0) return;
+  const alive = new Set();
+  for (const key of SELECT_KEYS) for (const e of world[key]) alive.add(e);
+  for (const e of selection) if (!alive.has(e) || !layerEditable(world, e.layer)) selection.delete(e);
+}
 
-    this.baseSpeed = random(UF(6.4), UF(8.6));
-    this.maxSpeed = this.baseSpeed * 1.28;
+// Selected entities as [list key, index] pairs: snapshots keep list order.
+function selectionToState() {
+  const out = [];
+  if (selection.size === 0) return out;
+  for (const key of SELECT_KEYS) world[key].forEach((e, i) => { if (selection.has(e)) out.push([key, i]); });
+  return out;
+}
 
-    this.state = "toTarget"; // "toTarget" | "pickup" | "leave"
-    this.target = targetAny || null;
+function selectionFromState(list) {
+  selection = new Set(list.map(([key, i]) => world[key][i]).filter(e => e));
+}
 
-    this.pickupTimer = 0;
-    this.dead = false;
-    this.frozen = false;
+function selectable(e) {
+  return layerEditable(world, e.layer);
+}
 
-    // stuck detector
-    this.prevTargetDist = null;
-    this.noProgressFrames = 0;
+function selectHitTest(e, x, y) {
+  if (e instanceof Car) return abs(x - e.pos.x) < e.renderW / 2 && abs(y - e.pos.y) < e.renderH * 0.3;
+  return dist(x, y, e.pos.x, e.pos.y) < e.size * 0.35;
+}
 
-    // lane
-    this.laneY = y;
+// Topmost entity under (x, y) in draw order: higher layers first, then crash
+// pieces over stamps, newer stamps over older ones.
+function selectableAt(x, y) {
+  const { CAR_RENDER_SIZE, FROG_RENDER_SIZE, CRASH_PIECE_SIZE } = world.tuning;
+  const R = max(CAR_RENDER_SIZE, FROG_RENDER_SIZE, CRASH_PIECE_SIZE);
+  const layerIndex = new Map(world.layers.map((l, i) => [l.id, i]));
+
+  let best = null, bestRank = null;
+  for (const key of SELECT_KEYS) {
+    const piece = (key === "crashPieces");
+    for (const i of indicesNear(world, key, x - R, y - R, x + R, y + R)) {
+      const e = world[key][i];
+      if (!selectable(e) || !selectHitTest(e, x, y)) continue;
+      const rank = [layerIndex.get(e.layer), piece ? 1 : 0, piece ? i : e.createdAt];
+      if (!bestRank || rankAbove(rank, bestRank)) {
+        best = e;
+        bestRank = rank;
+      }
+    }
   }
+  return best;
+}
 
-  freeze() { this.frozen = true; }
-  unfreeze() { this.frozen = false; }
+function rankAbove(a, b) {
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] > b[i];
+  return false;
+}
 
-  update() {
-    if (this.frozen) return;
+function selectPress(s, x, y, ev) {
+  const hit = selectableAt(x, y);
+  if (!hit) {
+    if (!ev.shift) selection.clear();
+    s.select = { mode: selectMode, x0: x, y0: y, x1: x, y1: y, points: [{ x, y }] };
+    return;
+  }
 
-    if (this.state === "toTarget") {
-      if (!targetIsValidForAmbulance(this.target)) {
-        this.state = "leave";
-        this.prevTargetDist = null;
-        this.noProgressFrames = 0;
-      } else {
-        const tx = this.target.pos.x;
-        const ty = this.target.pos.y;
+  if (ev.shift && selection.has(hit)) {
+    selection.delete(hit);
+    return;
+  }
+  if (!selection.has(hit)) {
+    if (!ev.shift) selection.clear();
+    selection.add(hit);
+  }
+  if (ev.alt) duplicateSelection(0, 0);
+  s.select = { mode: "move" };
+}
 
-        const toT = createVector(tx - this.pos.x, ty - this.pos.y);
-        const distT = toT.mag();
+function selectDrag(s, x, y, px, py) {
+  const g = s.select;
+  if (!g) return;
+  if (g.mode === "move") {
+    if (selection.size === 0) return;
+    for (const e of selection) moveEntity(e, x - px, y - py);
+    invalidateSpatialIndex(world);
+    markHistoryChanged();
+    return;
+  }
+  g.x1 = x;
+  g.y1 = y;
+  if (g.mode === "lasso") g.points.push({ x, y });
+}
 
-        if (abs(toT.x) > 1) this.dir = (toT.x >= 0) ? 1 : -1;
+function selectRelease(s) {
+  const g = s.select;
+  if (!g || g.mode === "move") return;
+
+  const x0 = min(g.x0, g.x1), x1 = max(g.x0, g.x1);
+  const y0 = min(g.y0, g.y1), y1 = max(g.y0, g.y1);
+  for (const key of SELECT_KEYS) {
+    for (const e of world[key]) {
+      if (!selectable(e)) continue;
+      const inside = (g.mode === "lasso")
+        ? pointInPolygon(e.pos.x, e.pos.y, g.points)
+        : (e.pos.x >= x0 && e.pos.x <= x1 && e.pos.y >= y0 && e.pos.y <= y1);
+      if (inside) selection.add(e);
+    }
+  }
+}
 
-        toT.normalize();
-        let desired = toT.mult(this.maxSpeed);
-        desired.y = constrain(desired.y, -UF(2.6), UF(2.6));
+// Even-odd rule; the lasso closes itself back to its first point.
+function pointInPolygon(x, y, pts) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const a = pts[i], b = pts[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
 
-        let sep = ambulanceSeparationForce(this).mult(AMBULANCE_SEP_FORCE);
-        const nearRad = U(70);
-        const near = distT < nearRad ? map(distT, 0, nearRad, 0.15, 1.0) : 1.0;
-        sep.mult(near);
+function selectionEdit(fn) {
+  historyEdit(() => {
+    fn();
+    invalidateSpatialIndex(world);
+  });
+}
 
-        const lanePull = constrain((this.laneY - this.pos.y) * 0.01, -0.35, 0.35);
+function applySelectionOp(op) {
+  pruneSelection();
+  if (op === "none") {
+    selection.clear();
+    return;
+  }
+  if (op === "all") {
+    for (const key of SELECT_KEYS) for (const e of world[key]) if (selectable(e)) selection.add(e);
+    return;
+  }
+  if (selection.size === 0) return;
 
-        const steer = desired.copy().sub(this.vel).mult(0.18);
-        steer.add(sep);
-        steer.y += lanePull;
+  if (op === "delete") selectionEdit(deleteSelection);
+  else if (op === "duplicate") selectionEdit(() => duplicateSelection(U(world, PASTE_OFFSET), U(world, PASTE_OFFSET)));
+  else if (op === "flip") selectionEdit(flipSelection);
+  else if (op === "front") selectionEdit(bringSelectionToFront);
+}
 
-        this.vel.add(steer);
+function deleteSelection() {
+  for (const key of SELECT_KEYS) {
+    const list = world[key];
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (selection.has(list[i])) removeEntityAt(world, key, i);
+    }
+  }
+  selection.clear();
+}
 
-        const sp = this.vel.mag();
-        if (sp > this.maxSpeed) this.vel.mult(this.maxSpeed / sp);
-        if (sp < this.baseSpeed * 0.70) this.vel.mult((this.baseSpeed * 0.70) / max(0.0001, sp));
+// Copies go on top in their original order and become the selection.
+function duplicateSelection(dx, dy) {
+  const copies = [];
+  for (const e of selectionInOrder()) {
+    const c = cloneEntity(world, e);
+    moveEntity(c, dx, dy);
+    world[editableKey(c)].push(c);
+    copies.push(c);
+  }
+  selection = new Set(copies);
+  invalidateSpatialIndex(world);
+  markHistoryChanged();
+}
 
-        if (this.prevTargetDist === null) this.prevTargetDist = distT;
-        const progress = this.prevTargetDist - distT;
+function flipSelection() {
+  let x0 = Infinity, x1 = -Infinity;
+  for (const e of selection) {
+    x0 = min(x0, e.pos.x);
+    x1 = max(x1, e.pos.x);
+  }
+  for (const e of selection) flipEntity(e, (x0 + x1) / 2);
+}
 
-        if (progress < AMBULANCE_PROGRESS_EPS) this.noProgressFrames++;
-        else this.noProgressFrames = max(0, this.noProgressFrames - 2);
+function bringSelectionToFront() {
+  for (const e of selectionInOrder()) {
+    if (e.createdAt !== undefined) e.createdAt = nextCreatedAt(world);
+  }
+  // crash pieces have no stamp; they draw in list order
+  const pieces = world.crashPieces;
+  world.crashPieces = pieces.filter(p => !selection.has(p)).concat(pieces.filter(p => selection.has(p)));
+}
 
-        this.prevTargetDist = distT;
+// Stacking order: stamps by createdAt, then crash pieces in list order.
+function selectionInOrder() {
+  const stamps = [];
+  for (const key of ["frogs", "cars"]) for (const e of world[key]) if (selection.has(e)) stamps.push(e);
+  stamps.sort((a, b) => a.createdAt - b.createdAt);
+  return stamps.concat(world.crashPieces.filter(p => selection.has(p)));
+}
 
-         if (this.noProgressFrames > AMBULANCE_STUCK_FRAMES) {
-           this.noProgressFrames = 0;
-           this.laneY = constrain(this.pos.y + random([-U(80), -U(60), U(60), U(80)]), U(60), height - U(60));
-           this.vel.y += random([-UF(2.2), UF(2.2)]);
-           this.vel.x += this.dir * random(UF(0.8), UF(1.6));
-         }
+// --- clipboard (JSON text, so it also works between tabs) ---
+function selectionClipText() {
+  pruneSelection();
+  if (selection.size === 0) return null;
+  return JSON.stringify({
+    format: SELECTION_CLIP_FORMAT,
+    version: SELECTION_CLIP_VERSION,
+    items: selectionInOrder().map(e => ({ key: editableKey(e), state: e.toState(world) }))
+  });
+}
 
-         this.pos.add(this.vel);
-         this.pos.y = constrain(this.pos.y, U(50), height - U(50));
+function parseSelectionClip(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+  if (!doc || doc.format !== SELECTION_CLIP_FORMAT || doc.version !== SELECTION_CLIP_VERSION) return null;
+  if (!Array.isArray(doc.items)) return null;
+  return doc.items.filter(it => it && SELECT_KEYS.includes(it.key) && it.state && it.state.pos);
+}
 
-        if (abs(tx - this.pos.x) < AMBULANCE_PICKUP_DIST && abs(ty - this.pos.y) < AMBULANCE_PICKUP_DIST) {
-          this.state = "pickup";
-          this.pickupTimer = 22;
-          this.vel.mult(0.2);
-        }
-      }
-    }
-    else if (this.state === "pickup") {
-      this.pickupTimer--;
-      if (this.pickupTimer <= 0) {
-        targetMarkRemoved(this.target);
-        this.target = null;
-        this.state = "leave";
-
-        this.dir = (this.pos.x < width * 0.5) ? -1 : 1;
-        this.vel = createVector(this.dir * this.baseSpeed, 0);
-        this.laneY = this.pos.y;
-      }
-    }
-    else if (this.state === "leave") {
-      const sep = ambulanceSeparationForce(this).mult(AMBULANCE_SEP_FORCE * 0.6);
-      const desiredLeave = createVector(this.dir * this.maxSpeed, 0);
-      const steer = desiredLeave.sub(this.vel).mult(0.15).add(sep);
+function copySelection() {
+  const text = selectionClipText();
+  if (!text) return;
+  selectionClip = text;
+  if (navigator.clipboard) navigator.clipboard.writeText(text).catch(() => {});
+}
 
-      this.vel.add(steer);
-      const sp = this.vel.mag();
-      if (sp > this.maxSpeed) this.vel.mult(this.maxSpeed / sp);
+function pasteFromClipboard() {
+  const fallback = () => { if (selectionClip) pasteSelectionText(selectionClip); };
+  if (!navigator.clipboard || !navigator.clipboard.readText) {
+    fallback();
+    return;
+  }
+  navigator.clipboard.readText().then(text => {
+    if (parseSelectionClip(text)) pasteSelectionText(text);
+    else fallback();
+  }, fallback);
+}
 
-      this.pos.add(this.vel);
-      this.pos.y = constrain(this.pos.y, U(50), height - U(50));
+function pasteSelectionText(text) {
+  const items = parseSelectionClip(text);
+  if (items && items.length > 0) inputEvent({ type: "paste", items });
+}
 
-      if (this.pos.x < -width - U(320) || this.pos.x > width + U(320)) this.dead = true;
+// Pasted items land offset from where they were copied and become the selection.
+// Pasted items must stay selectable: they never land on a locked or hidden layer.
+function pasteItems(items) {
+  const layer = editableLayer(world);
+  if (layer === null) return;
+  selectionEdit(() => {
+    const pasted = [];
+    for (const it of items) {
+      const e = entityFromState(world, it.key, JSON.parse(JSON.stringify(it.state)));
+      if (!e) continue;
+      moveEntity(e, U(world, PASTE_OFFSET), U(world, PASTE_OFFSET));
+      e.layer = layer;
+      world[it.key].push(e);
+      pasted.push(e);
     }
-  }
+    selection = new Set(pasted);
+  });
+}
 
-  draw() {
-    if (!GFX.ambulance) return;
+// Ctrl/Cmd+C / V outside text fields: the browser's own clipboard events need
+// no permission prompt.
+function setupSelectionClipboard() {
+  document.addEventListener("copy", e => {
+    if (isTypingTarget(document.activeElement)) return;
+    const text = selectionClipText();
+    if (!text) return;
+    selectionClip = text;
+    e.clipboardData.setData("text/plain", text);
+    e.preventDefault();
+  });
+  document.addEventListener("paste", e => {
+    if (isTypingTarget(document.activeElement)) return;
+    const text = e.clipboardData.getData("text/plain");
+    if (!parseSelectionClip(text)) return;
+    e.preventDefault();
+    pasteSelectionText(text);
+  });
+}
 
-    push();
-    translate(this.pos.x, this.pos.y);
-    imageMode(CENTER);
-    noSmooth();
+function drawSelection() {
+  pruneSelection();
 
-    // PNG faces LEFT by default; moving RIGHT => mirror
-    if (this.dir === 1) scale(-1, 1);
+  push();
+  noFill();
+  stroke(40, 120, 255, 220);
+  strokeWeight(2);
+  rectMode(CENTER);
+  for (const e of selection) {
+    const p = renderPos(e);
+    const w = (e instanceof Car) ? e.renderW : e.size * 0.8;
+    const h = (e instanceof Car) ? e.renderH * 0.7 : e.size * 0.8;
+    rect(p.x, p.y, w, h);
+  }
 
-    image(GFX.ambulance, 0, 0, this.size, this.size);
-    pop();
+  // gestures in progress
+  strokeWeight(1);
+  drawingContext.setLineDash([4, 4]);
+  for (const s of strokes.values()) {
+    const g = s.select;
+    if (!g || g.mode === "move") continue;
+    if (g.mode === "box") {
+      rectMode(CORNERS);
+      rect(g.x0, g.y0, g.x1, g.y1);
+    } else {
+      beginShape();
+      for (const pt of g.points) vertex(pt.x, pt.y);
+      endShape(CLOSE);
+    }
   }
+  drawingContext.setLineDash([]);
+  pop();
 }
 
 // -------------------------
-// Frog / Car classes
+// Camera (pan / zoom over the world) and minimap
 // -------------------------
-class Frog {
-  constructor(x, y, createdAt) {
-    this.createdAt = createdAt;
-    this.pos = createVector(x, clampWorldY(y));
-
-    this.pile = 1;
-    this.pileCooldown = 0;
-    this.pileFrameIndex = null;
-
-    this.size = FROG_RENDER_SIZE;
-    this.hitRadius = FROG_HIT_RADIUS;
-
-    this.state = "idle";
-    this.anims = {
-      idle: new Animation(GFX.frogIdle, 1, true),
-      jump: new Animation(GFX.frogJump, 18, false),
-      squished: new Animation(GFX.frogSquish, 1, false)
-    };
-    this.anim = this.anims.idle;
+// The world can be larger than the canvas (World size in the transport bar)
+// and the camera shows part of it. Pointer positions become world coordinates
+// before they turn into input events, so strokes and macros don't depend on
+// the view. The camera is view state only: not in undo, macros or scenes.
+// - wheel / trackpad pinch: zoom around the cursor
+// - Space + drag, middle mouse drag, or the Pan tool (one finger pans, two pinch)
+// - minimap (bottom left, when the world doesn't fit): click or drag to jump there
+const WORLD_SIZE_FACTORS = [1, 2, 3, 4]; // world side = canvas side * factor
+const CAMERA_ZOOM_MAX = 4;
+const CAMERA_WHEEL_ZOOM = 0.0015; // zoom per wheel delta pixel
+const MINIMAP_W = 180;
+const MINIMAP_MARGIN = 10;
+const MINIMAP_CELLS = 36; // density grid columns
+
+let camera = { x: 0, y: 0, zoom: 1 };
+let worldSizeFactor = 1;
+let worldSizeSelect, viewLabel;
+let spaceHeld = false;
+let spacePanned = false; // the camera moved while Space was down
+let cameraDrags = new Map(); // pointerId -> { x, y, minimap } last canvas position
+
+function screenToWorld(x, y) {
+  return { x: camera.x + x / camera.zoom, y: camera.y + y / camera.zoom };
+}
+
+function applyCamera(pg) {
+  pg.scale(camera.zoom);
+  pg.translate(-camera.x, -camera.y);
+}
 
-    this.startPos = this.pos.copy();
-    this.targetPos = this.pos.copy();
-    this.jumpLift = 0;
-    this.bounce = 0;
+// Zoomed out as far as the whole world fits, never below 1x while it already does.
+function cameraMinZoom() {
+  return min(1, width / world.width, height / world.height);
+}
 
-    this.jumpDirY = -1;
+// A view larger than the world is centred on it, otherwise kept inside it.
+function clampCamera() {
+  camera.zoom = constrain(camera.zoom, cameraMinZoom(), CAMERA_ZOOM_MAX);
+  const vw = width / camera.zoom;
+  const vh = height / camera.zoom;
+  camera.x = (vw >= world.width) ? (world.width - vw) / 2 : constrain(camera.x, 0, world.width - vw);
+  camera.y = (vh >= world.height) ? (world.height - vh) / 2 : constrain(camera.y, 0, world.height - vh);
+}
 
-    this.frozenImg = null;
+// The world point under (sx, sy) stays under it.
+function zoomCameraAt(sx, sy, factor) {
+  const p = screenToWorld(sx, sy);
+  camera.zoom = constrain(camera.zoom * factor, cameraMinZoom(), CAMERA_ZOOM_MAX);
+  camera.x = p.x - sx / camera.zoom;
+  camera.y = p.y - sy / camera.zoom;
+  clampCamera();
+}
 
-    this.removed = false;
+function panCamera(dx, dy) {
+  camera.x -= dx / camera.zoom;
+  camera.y -= dy / camera.zoom;
+  clampCamera();
+}
 
-    this.evadeCooldown = 0;
+function centreCameraOn(x, y) {
+  camera.x = x - width / camera.zoom / 2;
+  camera.y = y - height / camera.zoom / 2;
+  clampCamera();
+}
 
-    // per-frog ambulance scheduling
-    this.ambulanceScheduled = false;
-    this.ambulanceSpawned = false;
-    this.ambulanceSpawnAtMs = 0;
-  }
+function fitCamera() {
+  camera.zoom = cameraMinZoom();
+  centreCameraOn(world.width / 2, world.height / 2);
+}
 
-  isSquished() { return this.state === "squished"; }
+// The composition stays in the middle of the bigger (or smaller) world and
+// in view.
+function setWorldSizeFactor(factor) {
+  if (!WORLD_SIZE_FACTORS.includes(factor)) return;
+  worldSizeFactor = factor;
+  const dx = (width * factor - world.width) / 2;
+  const dy = (height * factor - world.height) / 2;
+  resizeWorld(world, width * factor, height * factor, "center");
+  timelineNoteEdit();
+  for (const id of [...bloodLayers.keys()]) dropBloodBuffers(id); // splats moved in place
+  ensureBloodLayer();
+  camera.x += dx;
+  camera.y += dy;
+  clampCamera();
+}
+
+function onWheel(e) {
+  e.preventDefault();
+  const pos = pointerCanvasPos(e);
+  const px = (e.deltaMode === 1) ? e.deltaY * 16 : e.deltaY; // lines -> pixels
+  // trackpad pinches arrive as ctrl + wheel with small deltas
+  zoomCameraAt(pos.x, pos.y, Math.exp(-px * CAMERA_WHEEL_ZOOM * (e.ctrlKey ? 6 : 1)));
+}
+
+function startsCameraGesture(e, pos) {
+  if (minimapVisible() && insideRect(pos, minimapRect())) return true;
+  if (e.pointerType === "mouse" && e.button === 1) return true;
+  return spaceHeld || TOOL === "pan";
+}
+
+function cameraPointerDown(id, pos) {
+  const minimap = minimapVisible() && insideRect(pos, minimapRect());
+  cameraDrags.set(id, { x: pos.x, y: pos.y, minimap });
+  if (minimap) centreCameraOnMinimap(pos);
+}
 
-  setState(s) {
-    if (this.state === s) return;
-    this.state = s;
-    this.anim = this.anims[s];
-    this.anim.reset();
+// With two camera pointers the moving one pinches around their midpoint.
+function cameraPointerMove(id, pos) {
+  const d = cameraDrags.get(id);
+  if (spaceHeld) spacePanned = true;
+  if (d.minimap) {
+    centreCameraOnMinimap(pos);
+  } else {
+    let other = null;
+    for (const [oid, o] of cameraDrags) if (oid !== id && !o.minimap) other = o;
+    if (other) {
+      const d0 = dist(d.x, d.y, other.x, other.y);
+      const d1 = dist(pos.x, pos.y, other.x, other.y);
+      panCamera((pos.x - d.x) / 2, (pos.y - d.y) / 2);
+      if (d0 > 0) zoomCameraAt((pos.x + other.x) / 2, (pos.y + other.y) / 2, d1 / d0);
+    } else {
+      panCamera(pos.x - d.x, pos.y - d.y);
+    }
   }
+  d.x = pos.x;
+  d.y = pos.y;
+}
+
+function insideRect(p, r) {
+  return p.x >= r.x && p.x <= r.x + r.w && p.y >= r.y && p.y <= r.y + r.h;
+}
 
-  bump() { this.bounce = 1.0; }
+function minimapVisible() {
+  return width / camera.zoom < world.width - 0.5 || height / camera.zoom < world.height - 0.5;
+}
 
-  evadeFrom(car) {
-    if (this.isSquished()) return;
-    if (this.state === "jump") return;
-    if (this.evadeCooldown > 0) return;
+function minimapRect() {
+  const w = MINIMAP_W;
+  const h = max(1, round(w * world.height / world.width));
+  return { x: MINIMAP_MARGIN, y: height - h - MINIMAP_MARGIN, w, h };
+}
 
-    this.setState("jump");
-    this.bump();
-    this.evadeCooldown = FROG_EVADE_COOLDOWN_FRAMES;
+function centreCameraOnMinimap(pos) {
+  const r = minimapRect();
+  centreCameraOn((pos.x - r.x) / r.w * world.width, (pos.y - r.y) / r.h * world.height);
+}
 
-    const awayY = this.pos.y < car.pos.y ? -1 : 1;
-    this.jumpDirY = awayY;
+// Density of everything on the visible layers (blood in red), and the view.
+function drawMinimap() {
+  if (!minimapVisible()) return;
+  const r = minimapRect();
+  const cols = MINIMAP_CELLS;
+  const rows = max(1, round(cols * r.h / r.w));
+  const things = new Float32Array(cols * rows);
+  const blood = new Float32Array(cols * rows);
+  const cell = (x, y) => {
+    const cx = floor(x / world.width * cols);
+    const cy = floor(y / world.height * rows);
+    return (cx >= 0 && cx < cols && cy >= 0 && cy < rows) ? cx + cy * cols : -1;
+  };
+  const visible = new Set(world.layers.filter(l => l.visible).map(l => l.id));
+  for (const key of ["frogs", "cars", "crashPieces", "ambulances", "towTrucks"]) {
+    for (const e of world[key]) {
+      const i = visible.has(e.layer) ? cell(e.pos.x, e.pos.y) : -1;
+      if (i >= 0) things[i]++;
+    }
+  }
+  for (const b of world.bloodSplats) {
+    const i = visible.has(b.layer) ? cell(b.x, b.y) : -1;
+    if (i >= 0) blood[i]++;
+  }
+  const maxThings = max(1, ...things);
+  const maxBlood = max(1, ...blood);
 
-    this.startPos = this.pos.copy();
-    const side = U(92);
-    const forward = U(14);
-    this.targetPos = createVector(this.pos.x + car.dir * forward, clampWorldY(this.pos.y + awayY * side));
+  push();
+  stroke(0, 0, 0, 120);
+  strokeWeight(1);
+  fill(250, 250, 250, 220);
+  rect(r.x, r.y, r.w, r.h);
+
+  noStroke();
+  const cw = r.w / cols;
+  const ch = r.h / rows;
+  for (let i = 0; i < cols * rows; i++) {
+    const x = r.x + (i % cols) * cw;
+    const y = r.y + floor(i / cols) * ch;
+    if (blood[i] > 0) {
+      fill(180, 30, 40, 40 + 140 * blood[i] / maxBlood);
+      rect(x, y, cw, ch);
+    }
+    if (things[i] > 0) {
+      fill(20, 60, 30, 50 + 180 * things[i] / maxThings);
+      rect(x, y, cw, ch);
+    }
   }
 
-  squish(dir) {
-    const groundY = this.pos.y + this.size * 0.28;
+  noFill();
+  stroke(40, 120, 255, 230);
+  strokeWeight(2);
+  const sx = r.w / world.width;
+  const sy = r.h / world.height;
+  rect(r.x + camera.x * sx, r.y + camera.y * sy, width / camera.zoom * sx, height / camera.zoom * sy);
+  pop();
+}
+
+// -------------------------
+// Pointer input (mouse, touch, pen)
+// -------------------------
+// Pointer Events on the canvas only translate into input events; everything
+// that changes the world goes through applyInput() so macros can replay it.
+// Every mouse button-down, finger and pen contact is its own stroke, keyed by
+// pointerId.
+const PEN_PALM_GRACE_MS = 800;   // touches are treated as a palm while a pen is this recent
+const PALM_MIN_CONTACT_PX = 60;  // contact patches this wide are a palm, not a fingertip
+
+let pointers = new Map(); // pointerId -> { x, y, type } last world position
+let penSeenAt = -Infinity;
+
+// style.css sets touch-action: none on the canvas, so touches draw instead of
+// scrolling or pinch-zooming the page.
+function setupPointerInput(el) {
+  el.addEventListener("pointerdown", onPointerDown);
+  el.addEventListener("pointermove", onPointerMove);
+  el.addEventListener("pointerup", onPointerUp);
+  el.addEventListener("pointercancel", onPointerUp);
+  el.addEventListener("lostpointercapture", onPointerUp);
+  el.addEventListener("contextmenu", e => e.preventDefault());
+  el.addEventListener("wheel", onWheel, { passive: false });
+  window.addEventListener("blur", () => {
+    spaceHeld = false;
+    endAllPointers();
+  });
+}
 
-    const sprayFreeze = (MODE === "still") ? 0 : 26;
-    const spray = new BloodSpray(this.pos.x, this.pos.y + U(8), dir, 1.0, sprayFreeze);
-    for (const d of spray.drops) d.groundY = groundY + random(-U(2), U(6));
-    bloodSplats.push(spray);
+function pointerCanvasPos(e) {
+  const r = e.currentTarget.getBoundingClientRect();
+  return { x: e.clientX - r.left, y: e.clientY - r.top };
+}
 
-    bloodSplats.push(new SimpleFloorSplat(this.pos.x, groundY, dir, this.size));
+function pointerPressure(e) {
+  return (e.pointerType === "pen") ? e.pressure : undefined;
+}
 
-    this.setState("squished");
-    this.pile = 1;
-    this.jumpLift = 0;
-    this.pos.x += dir * U(6);
+function isPalm(e) {
+  if (e.pointerType !== "touch") return false;
+  if (millis() - penSeenAt < PEN_PALM_GRACE_MS) return true;
+  return max(e.width || 0, e.height || 0) >= PALM_MIN_CONTACT_PX;
+}
 
-    // schedule ambulance half a second after crash (animate mode only)
-    if (MODE === "animate") scheduleAmbulanceForFrog(this);
+function onPointerDown(e) {
+  if (e.pointerType === "pen") {
+    penSeenAt = millis();
+    // the palm usually lands first: drop its strokes once the pen arrives
+    for (const [id, p] of pointers) if (p.type === "touch") endPointer(id);
+  }
+  const pos = pointerCanvasPos(e);
+  const cameraGesture = startsCameraGesture(e, pos);
+  if (e.pointerType === "mouse" && e.button !== 0 && !cameraGesture) return;
+  if (isPalm(e)) return;
+
+  e.preventDefault(); // also cancels the focus change: drop focus from the seed box etc. by hand
+  if (document.activeElement && document.activeElement !== document.body) document.activeElement.blur();
+  e.currentTarget.setPointerCapture(e.pointerId);
+  if (cameraGesture) {
+    cameraPointerDown(e.pointerId, pos);
+    return;
   }
 
-  update() {
-    this.pileCooldown = max(0, this.pileCooldown - 1);
-    this.evadeCooldown = max(0, this.evadeCooldown - 1);
+  const w = screenToWorld(pos.x, pos.y);
+  pointers.set(e.pointerId, { x: w.x, y: w.y, type: e.pointerType });
+  inputEvent({
+    type: "press", id: e.pointerId, x: w.x, y: w.y, pressure: pointerPressure(e),
+    alt: e.altKey || undefined, shift: e.shiftKey || undefined // selection tool modifiers
+  });
+}
 
-    this.anim.update();
-    this.bounce *= 0.88;
+function onPointerMove(e) {
+  if (e.pointerType === "pen") penSeenAt = millis(); // hovering counts too
+  if (cameraDrags.has(e.pointerId)) {
+    e.preventDefault();
+    cameraPointerMove(e.pointerId, pointerCanvasPos(e));
+    return;
+  }
+  const p = pointers.get(e.pointerId);
+  if (!p) return;
+
+  e.preventDefault();
+  const pos = pointerCanvasPos(e);
+  const w = screenToWorld(pos.x, pos.y);
+  inputEvent({ type: "drag", id: e.pointerId, x: w.x, y: w.y, px: p.x, py: p.y, pressure: pointerPressure(e), zoom: camera.zoom });
+  p.x = w.x;
+  p.y = w.y;
+}
 
-    if (this.state === "jump") {
-      const p = this.anim.progress01();
-      const e = p * p * (3 - 2 * p);
+function onPointerUp(e) {
+  if (e.pointerType === "pen") penSeenAt = millis();
+  cameraDrags.delete(e.pointerId);
+  endPointer(e.pointerId);
+}
 
-      this.pos.x = lerp(this.startPos.x, this.targetPos.x, e);
-      this.pos.y = lerp(this.startPos.y, this.targetPos.y, e);
+function endPointer(id) {
+  if (!pointers.has(id)) return;
+  pointers.delete(id);
+  inputEvent({ type: "release", id });
+}
 
-      this.jumpLift = -sin(p * PI) * U(22);
+function endAllPointers() {
+  cameraDrags.clear();
+  for (const id of [...pointers.keys()]) endPointer(id);
+}
 
-      if (this.anim.done) {
-        this.jumpLift = 0;
-        this.setState("idle");
-      }
-    }
+// User input; ignored while a macro is replaying.
+function inputEvent(ev) {
+  if (macroPlay || animExporting) return;
+  for (const k in ev) if (ev[k] === undefined) delete ev[k];
+  macroRecordEvent(ev);
+  timelineApplyInput(ev);
+}
 
-    this.pos.y = clampWorldY(this.pos.y);
+function applyInput(ev) {
+  switch (ev.type) {
+    case "press": brushPress(strokeId(ev), ev.x, ev.y, ev.pressure, ev); break;
+    case "drag": brushDrag(strokeId(ev), ev.x, ev.y, ev.px, ev.py, ev.pressure, ev.zoom); break;
+    case "release": brushRelease(strokeId(ev)); break;
+    case "brush": brushSlider.value(ev.value); break;
+    case "mode": if (world.mode !== ev.value) toggleMode(); break;
+    case "tool": setTool(ev.value); break;
+    case "pile": setPileHeight(ev.value); break;
+    case "eraser": setTool(ev.value ? "eraser" : "auto"); break;
+    case "eraserRadius": setEraserRadius(ev.value); break;
+    case "eraserArea": eraserArea = !!ev.value; break;
+    case "eraserFilter": setEraserFilter(ev.key, ev.value); break;
+    case "selectMode": setSelectMode(ev.value); break;
+    case "selection": applySelectionOp(ev.op); break;
+    case "paste": pasteItems(ev.items); break;
+    case "layer": applyLayerOp(ev); break;
+    case "blood": setBloodSetting(ev.key, ev.value); break;
+    case "bloodPalette": setBloodPalette(ev.color, ev.tones); break;
+    case "worldScale": setWorldZoom(ev.value); break;
+    case "seed": resetSimRandom(ev.value); break;
+    case "clear": clearCanvasAll(); break;
+    case "undo": undo(); break;
+    case "redo": redo(); break;
+    case "fill": fillScene(ev.kind, ev.density, ev.pile, ev.seed); break;
   }
+}
 
-  jumpFrameForced() {
-    if (!GFX.frogJump || GFX.frogJump.length < 6) return this.anim.frame();
-
-    const p = this.anim.progress01();
-    const group = (this.jumpDirY === 1) ? [3, 4, 5] : [0, 1, 2];
+// -------------------------
+// Brush strokes
+// -------------------------
+// Each active stroke keeps its own spawn spacing and chain-crash gesture, so
+// two fingers never steal each other's spacing or brake detection. All strokes
+// that overlap in time form one undo step.
+let strokes = new Map(); // stroke id -> stroke state
 
-    let idx;
-    if (p < 0.33) idx = 0;
-    else if (p < 0.66) idx = 1;
-    else idx = 2;
-    if (p > 0.80) idx = 1;
+function strokeId(ev) {
+  return (ev.id === undefined) ? 0 : ev.id; // v1 macros have a single unnamed stroke
+}
 
-    return GFX.frogJump[group[constrain(idx, 0, 2)]];
+// Strokes in progress, for a timeline keyframe taken in the middle of one.
+function copyStrokes(from) {
+  const out = new Map();
+  for (const [id, s] of from) {
+    const c = Object.assign({}, s, { lastSpawnPos: s.lastSpawnPos.copy() });
+    if (s.select) c.select = Object.assign({}, s.select, { points: s.select.points && s.select.points.slice() });
+    out.set(id, c);
   }
+  return out;
+}
 
-  currentImage() {
-    if (this.pileFrameIndex !== null && GFX.frogPile && GFX.frogPile.length > 0) {
-      return GFX.frogPile[constrain(this.pileFrameIndex, 0, GFX.frogPile.length - 1)];
-    }
+function releaseAllStrokes() {
+  for (const id of [...strokes.keys()]) brushRelease(id);
+}
 
-    if (this.state === "jump") return this.jumpFrameForced();
-    if (this.state === "squished") return this.anim.frame();
+// Pen pressure (0..1) scales the stroke; 0.5 is what a mouse reports, so it
+// leaves the brush exactly as set.
+function pressureBurst(n, pressure) {
+  if (pressure === undefined) return n;
+  return constrain(round(n * pressure * 2), 1, n * 2);
+}
 
-    if (this.pile > 1 && GFX.frogPile && GFX.frogPile.length >= 1) {
-      const idx = this.pile - 2;
-      return GFX.frogPile[constrain(idx, 0, GFX.frogPile.length - 1)];
-    }
+function pressureSpeed(sp, pressure) {
+  if (pressure === undefined) return sp;
+  return sp * (0.5 + pressure);
+}
 
-    return this.anim.frame();
+function brushPress(id, x, y, pressure, mods = {}) {
+  if (strokes.has(id)) brushRelease(id); // missed release
+  if (strokes.size === 0) beginHistoryStep();
+
+  const s = { lastSpawnPos: createVector(x, y), heading: 1 };
+  resetChainGesture(s);
+  strokes.set(id, s);
+
+  // a tap already places with the tools that need no direction
+  switch (TOOL) {
+    case "eraser": eraseAt(x, y); break;
+    case "frog": spawnBrushFrogs(x, y, pressure); break;
+    case "pile": spawnFrog(x, y, { pile: PILE_HEIGHT, allowStack: false }); break;
+    case "ambulance": spawnAmbulance(x, y); break;
+    case "tow": spawnTowTruck(x, y); break;
+    case "select": selectPress(s, x, y, mods); break;
   }
+}
 
-  draw() {
-    const img = (MODE === "still" && this.frozenImg) ? this.frozenImg : this.currentImage();
-    if (!img) return;
+function brushDrag(id, x, y, px, py, pressure, zoom = 1) {
+  const s = strokes.get(id);
+  if (!s) return;
+  if (x < 0 || x > world.width || y < 0 || y > world.height) return;
+  if (px < 0 || px > world.width || py < 0 || py > world.height) return;
 
-    push();
-    translate(this.pos.x, this.pos.y + this.jumpLift + -this.bounce * U(6));
-    imageMode(CENTER);
-    image(img, 0, 0, this.size, this.size);
-    pop();
+  if (s.select) {
+    selectDrag(s, x, y, px, py);
+    return;
   }
-}
+  if (TOOL === "eraser") {
+    eraseAt(x, y);
+    s.lastSpawnPos.set(x, y);
+    return;
+  }
+  if (TOOL === "ambulance" || TOOL === "tow") return; // one per tap
+
+  const vx = x - px;
+  const vy = y - py;
+  const sp = Math.sqrt(vx * vx + vy * vy);
+  if (vx !== 0) s.heading = Math.sign(vx);
 
-class Car {
-  constructor(x, y, dir, speed, createdAt) {
-    this.createdAt = createdAt;
-    this.pos = createVector(x, clampWorldY(y));
-    this.dir = dir;
-    this.speed = speed;
+  if (world.mode === "animate" && chainGestureStep(s, sp, zoom)) {
+    markHistoryChanged();
+    triggerChainCrash(world, x, y);
+  }
 
-    this.renderW = CAR_RENDER_SIZE;
-    this.renderH = CAR_RENDER_SIZE;
+  let kind = TOOL;
+  if (kind === "auto") kind = (Math.abs(vx) > Math.abs(vy)) ? "car" : "frog";
 
-    this.w = CAR_BODY_W;
-    this.h = CAR_BODY_H;
+  const d = dist(x, y, s.lastSpawnPos.x, s.lastSpawnPos.y);
+  const minDist = (kind === "car") ? world.tuning.CAR_SPAWN_MIN_DIST : world.tuning.FROG_SPAWN_MIN_DIST;
+  if (d < minDist) return;
 
-    this.state = "drive";
-    this.anims = {
-      drive: new Animation(GFX.carDrive, 1, true),
-      crash: new Animation(GFX.carCrash, 14, false),
-      wreck: new Animation(GFX.carWreck || [GFX.carCrash[GFX.carCrash.length - 1]], 1, true)
-    };
-    this.anim = this.anims.drive;
+  if (kind === "car") spawnCar(s.heading, pressureSpeed(sp, pressure), x, y);
+  else if (kind === "pile") spawnFrog(x, y, { pile: PILE_HEIGHT, allowStack: false });
+  else spawnBrushFrogs(x, y, pressure);
 
-    this.wobble = 0;
-    this.frozenImg = null;
-    this.alpha = 255;
+  s.lastSpawnPos.set(x, y);
+}
 
-    // crash timeline
-    this.crashSlipSign = 1;   // -1 up, +1 down
-    this.crashVariant = "d";  // "u" | "d"
-    this.crashPhase = 0;      // 0=start, 1=branch, 2=split
-    this.crashT = 0;          // frames inside crash
-    this.spawnedCrashFrog = false;
+function brushRelease(id) {
+  const s = strokes.get(id);
+  if (!s) return;
+  strokes.delete(id);
+  if (s.select) selectRelease(s);
+  if (strokes.size === 0) commitHistoryStep();
+}
 
-    // tow scheduling
-    this.towScheduled = false;
-    this.towSpawned = false;
-    this.towSpawnAtMs = 0;
+// -------------------------
+// Keyboard shortcuts (rebindable, saved in localStorage)
+// -------------------------
+// A binding is a combo string: "M", "Shift+M", "Ctrl+Shift+Z", "Space", "[".
+// Actions that change the world go through inputEvent() like the buttons do.
+const KEYMAP_STORAGE_KEY = "frogsbrush-keymap";
+
+const SHORTCUTS = [
+  { id: "mode", label: "Mode ANIMATE / STILL", key: "M", run: () => inputEvent({ type: "mode", value: world.mode === "animate" ? "still" : "animate" }) },
+  { id: "eraser", label: "Eraser on / off", key: "E", run: toggleEraserTool },
+  { id: "eraserSmaller", label: "Eraser smaller", key: "[", run: () => inputEvent({ type: "eraserRadius", value: eraserRadius / ERASER_RADIUS_STEP }) },
+  { id: "eraserBigger", label: "Eraser bigger", key: "]", run: () => inputEvent({ type: "eraserRadius", value: eraserRadius * ERASER_RADIUS_STEP }) },
+  { id: "clear", label: "Clear canvas (or delete selection)", key: "Delete", run: clearOrDeleteSelection },
+  { id: "select", label: "Select tool", key: "V", run: () => inputEvent({ type: "tool", value: "select" }) },
+  { id: "selDelete", label: "Delete selection", key: "Backspace", run: () => inputEvent({ type: "selection", op: "delete" }) },
+  { id: "selDuplicate", label: "Duplicate selection", key: "Ctrl+D", run: () => inputEvent({ type: "selection", op: "duplicate" }) },
+  { id: "selFlip", label: "Flip selection", key: "F", run: () => inputEvent({ type: "selection", op: "flip" }) },
+  { id: "selFront", label: "Bring selection to front", key: "Ctrl+]", run: () => inputEvent({ type: "selection", op: "front" }) },
+  { id: "selAll", label: "Select all", key: "Ctrl+A", run: () => inputEvent({ type: "selection", op: "all" }) },
+  { id: "selNone", label: "Deselect", key: "Escape", run: () => inputEvent({ type: "selection", op: "none" }) },
+  { id: "pause", label: "Pause / play", key: "Space", run: () => { if (world.mode === "animate") togglePause(); } },
+  { id: "undo", label: "Undo", key: "Ctrl+Z", run: () => inputEvent({ type: "undo" }) },
+  { id: "redo", label: "Redo", key: "Ctrl+Shift+Z", run: () => inputEvent({ type: "redo" }) },
+  ...[1, 2, 3, 4, 5, 6, 7, 8].map(n => ({ id: "brush" + n, label: "Brush " + n, key: String(n), run: () => inputEvent({ type: "brush", value: n }) })),
+  { id: "zoomOut", label: "World zoom out", key: "-", run: () => inputEvent({ type: "worldScale", value: world.scale / WORLD_ZOOM_STEP }) },
+  { id: "zoomIn", label: "World zoom in", key: "=", run: () => inputEvent({ type: "worldScale", value: world.scale * WORLD_ZOOM_STEP }) },
+  { id: "layers", label: "Show / hide layers", key: "L", run: toggleLayersPanel },
+  { id: "blood", label: "Show / hide blood settings", key: "B", run: toggleBloodPanel },
+  { id: "pixelArt", label: "Show / hide pixel-art settings", key: "P", run: togglePixelArtPanel },
+  { id: "keys", label: "Show / hide shortcuts", key: "?", run: toggleCheatSheet }
+];
+
+let keymap = {};          // shortcut id -> combo ("" = unbound)
+let keyRebinding = null;  // shortcut id waiting for its new key
+let cheatSheet = null;
+
+const NON_TEXT_INPUTS = ["range", "button", "checkbox", "radio", "file", "color", "submit", "reset"];
+
+function defaultKeymap() {
+  const km = {};
+  for (const sc of SHORTCUTS) km[sc.id] = sc.key;
+  return km;
+}
 
-    // when towed out
-    this._towedAway = false;
+function loadKeymap() {
+  keymap = defaultKeymap();
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY) || "{}");
+    for (const id in keymap) if (typeof saved[id] === "string") keymap[id] = saved[id];
+  } catch (err) {
+    // unreadable or blocked storage: keep the defaults
   }
+}
 
-  setState(s) {
-    if (this.state === s) return;
-    this.state = s;
-    this.anim = this.anims[s];
-    this.anim.reset();
+function saveKeymap() {
+  try {
+    localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(keymap));
+  } catch (err) {
+    // storage blocked: the bindings still last for this session
   }
+}
 
-  crash() {
-    if (this.state === "crash" || this.state === "wreck") return;
+// Shift only counts for letters and named keys; for symbols it is part of the
+// character ("?" rather than "Shift+/").
+function keyComboFromEvent(e) {
+  let k = e.key;
+  if (!k || k === "Control" || k === "Shift" || k === "Alt" || k === "Meta") return null;
+  if (k === " ") k = "Space";
+  else if (k.length === 1) k = k.toUpperCase();
+
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push("Ctrl");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey && (k.length > 1 || k.toLowerCase() !== k)) parts.push("Shift");
+  parts.push(k);
+  return parts.join("+");
+}
 
-    this.setState("crash");
+function isTypingTarget(el) {
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+  return el.tagName === "INPUT" && !NON_TEXT_INPUTS.includes((el.type || "text").toLowerCase());
+}
 
-    // slip direction locked for this crash
-    this.crashSlipSign = (random() < 0.5) ? -1 : 1; // -1 up, +1 down
-    this.wobble = this.crashSlipSign * random(UF(4), UF(7));
-    this.crashVariant = (this.crashSlipSign === 1) ? "d" : "u";
+function keyPressed(event) {
+  if (!event) return;
+  if (animExporting) return; // shortcuts outside inputEvent() would still reach the world / UI
+
+  if (keyRebinding) {
+    // Space / Enter must not also click whatever button has focus
+    if (document.activeElement) document.activeElement.blur();
+    const combo = keyComboFromEvent(event);
+    if (!combo) return false;
+    if (combo !== "Escape") bindShortcut(keyRebinding, combo);
+    keyRebinding = null;
+    renderCheatSheet();
+    return false;
+  }
 
-    this.speed = max(this.speed, UF(5));
+  if (isTypingTarget(document.activeElement)) return;
 
-    this.crashPhase = 0;
-    this.crashT = 0;
-    this.spawnedCrashFrog = false;
-    this.frozenImg = null;
+  const combo = keyComboFromEvent(event);
+  if (combo === "Escape" && cheatSheetOpen()) {
+    toggleCheatSheet();
+    return false;
   }
 
-  onHit(killedFrog) {
-    if (this.state !== "drive") return;
-    this.speed *= killedFrog ? 0.86 : 0.95;
+  // Space is held to pan; whatever it is bound to runs on release instead,
+  // unless the camera moved meanwhile
+  if (combo === "Space") {
+    if (!spaceHeld) spacePanned = false;
+    spaceHeld = true;
+    return false;
   }
 
-  update() {
-    this.anim.update();
+  const sc = SHORTCUTS.find(s => keymap[s.id] === combo);
+  if (!sc) return;
+  sc.run();
+  return false;
+}
 
-    if (this.state === "drive") {
-      this.pos.x += this.speed * this.dir;
-      return;
-    }
+function keyReleased(event) {
+  if (!event || animExporting || event.key !== " " || !spaceHeld) return;
+  spaceHeld = false;
+  if (spacePanned || keyRebinding || isTypingTarget(document.activeElement)) return false;
+  const sc = SHORTCUTS.find(s => keymap[s.id] === "Space");
+  if (sc) sc.run();
+  return false;
+}
 
-    // crash / wreck movement
-    this.speed *= 0.92;
-    this.wobble *= 0.9;
-    this.pos.x += this.speed * this.dir;
-    this.pos.y += this.wobble;
-    this.pos.y = clampWorldY(this.pos.y);
+// One combo per action: taking a key away from another action unbinds it there.
+function bindShortcut(id, combo) {
+  for (const other in keymap) if (keymap[other] === combo) keymap[other] = "";
+  keymap[id] = combo;
+  saveKeymap();
+}
 
-    if (this.state === "crash") {
-      this.crashT++;
+function clearOrDeleteSelection() {
+  pruneSelection();
+  inputEvent(selection.size > 0 ? { type: "selection", op: "delete" } : { type: "clear" });
+}
 
-      // Phase 0: show car_crash_0 briefly
-      if (this.crashPhase === 0 && this.crashT > 6) {
-        this.crashPhase = 1;
-        this.crashT = 0;
-      }
-      // Phase 1: show car_crash_1u/1d briefly
-      else if (this.crashPhase === 1 && this.crashT > 8) {
-        this.crashPhase = 2;
-        this.crashT = 0;
-      }
-      // Phase 2: car uses crash_3u/3d, and spawn frog-piece crash_2u/2d once
-      else if (this.crashPhase === 2) {
-        if (!this.spawnedCrashFrog) {
-          this.spawnedCrashFrog = true;
+function toggleEraserTool() {
+  inputEvent({ type: "tool", value: TOOL === "eraser" ? toolBeforeEraser : "eraser" });
+}
 
-          const frogImg = (this.crashVariant === "u") ? GFX.carCrash2u : GFX.carCrash2d;
+// -------------------------
+// Shortcut cheat sheet (overlay)
+// -------------------------
+function buildCheatSheet() {
+  cheatSheet = createDiv("");
+  cheatSheet.id("cheatSheet");
+  cheatSheet.style("position", "fixed");
+  cheatSheet.style("right", "16px");
+  cheatSheet.style("overflow-y", "auto");
+  cheatSheet.style("padding", "10px 12px");
+  cheatSheet.style("background", "rgba(250,250,250,0.97)");
+  cheatSheet.style("border", "1px solid rgba(0,0,0,0.18)");
+  cheatSheet.style("border-radius", "6px");
+  cheatSheet.style("box-shadow", "0 4px 16px rgba(0,0,0,0.15)");
+  cheatSheet.style("z-index", "10000");
+  cheatSheet.style("font-family", "monospace");
+  cheatSheet.style("font-size", "12px");
+  cheatSheet.style("display", "none");
+}
+
+function cheatSheetOpen() {
+  return !!cheatSheet && cheatSheet.elt.style.display !== "none";
+}
 
-          const spawnX = this.pos.x + this.dir * U(10);
-          const spawnY = this.pos.y - U(6);
+function toggleCheatSheet() {
+  if (!cheatSheet) return;
+  keyRebinding = null;
+  cheatSheet.style("display", cheatSheetOpen() ? "none" : "block");
+  if (cheatSheetOpen()) renderCheatSheet();
+}
 
-          crashPieces.push(new CrashFrogPiece(spawnX, spawnY, this.dir, frogImg, this.crashVariant));
-        }
+function renderCheatSheet() {
+  if (!cheatSheet) return;
+  cheatSheet.html("");
+
+  const title = createDiv("Keyboard shortcuts");
+  title.parent(cheatSheet);
+  title.style("font-weight", "bold");
+  title.style("margin-bottom", "6px");
+
+  for (const sc of SHORTCUTS) {
+    const row = createDiv("");
+    row.parent(cheatSheet);
+    row.style("display", "flex");
+    row.style("align-items", "center");
+    row.style("gap", "8px");
+    row.style("margin", "2px 0");
+
+    const label = createDiv(sc.label);
+    label.parent(row);
+    label.style("flex", "1");
+
+    const waiting = (keyRebinding === sc.id);
+    const combo = createDiv(waiting ? "press a key… (Esc cancels)" : (keymap[sc.id] || "—"));
+    combo.parent(row);
+    combo.style("min-width", "96px");
+    combo.style("text-align", "right");
+    combo.style("opacity", waiting ? "0.6" : "1");
+
+    const rebindBtn = createButton("Rebind");
+    rebindBtn.parent(row);
+    rebindBtn.mousePressed(() => {
+      keyRebinding = sc.id;
+      renderCheatSheet();
+    });
+  }
 
-        if (this.crashT > 18) {
-          this.setState("wreck");
-          this.frozenImg = (this.crashVariant === "u") ? GFX.carCrash3u : GFX.carCrash3d;
+  const footer = createDiv("");
+  footer.parent(cheatSheet);
+  footer.style("display", "flex");
+  footer.style("gap", "8px");
+  footer.style("margin-top", "8px");
+
+  const resetBtn = createButton("Reset defaults");
+  resetBtn.parent(footer);
+  resetBtn.mousePressed(() => {
+    keymap = defaultKeymap();
+    keyRebinding = null;
+    saveKeymap();
+    renderCheatSheet();
+  });
+
+  const closeBtn = createButton("Close");
+  closeBtn.parent(footer);
+  closeBtn.mousePressed(toggleCheatSheet);
+}
+
+// -------------------------
+// Spawning (history-aware wrappers around sim.js)
+// -------------------------
+function spawnCar(vx, sp, x, y) {
+  markHistoryChanged();
+  return addCar(world, vx, sp, x, y);
+}
 
-          if (MODE === "animate") scheduleTowForCar(this);
+function spawnFrog(x, y, opts = {}) {
+  markHistoryChanged();
+  return addFrog(world, x, y, opts);
+}
+
+function spawnFrogBurst(x, y, count) {
+  markHistoryChanged();
+  addFrogBurst(world, x, y, count);
+}
+
+function spawnBrushFrogs(x, y, pressure) {
+  const n = pressureBurst(brushSlider ? brushSlider.value() : 1, pressure);
+  if (n === 1) spawnFrog(x, y);
+  else spawnFrogBurst(x, y, n);
+}
+
+function spawnAmbulance(x, y) {
+  markHistoryChanged();
+  return addAmbulance(world, x, y);
+}
+
+function spawnTowTruck(x, y) {
+  markHistoryChanged();
+  return addTowTruck(world, x, y);
+}
+
+// -------------------------
+// Fill generator (seeded)
+// -------------------------
+// Same seed + same settings on the same canvas => same layout.
+
+// Bridson's Poisson-disk sampling inside (x0, y0, w, h): no two points closer than r.
+// `existing` points are respected but not grown from (e.g. frogs already on the canvas).
+function poissonDiskPoints(rng, x0, y0, w, h, r, existing = []) {
+  const TRIES = 30;
+  const cell = r / Math.SQRT2;
+  const gw = max(1, ceil(w / cell));
+  const gh = max(1, ceil(h / cell));
+  const grid = Array.from({ length: gw * gh }, () => []);
+  const points = [];
+  const active = [];
+
+  const cellOf = (x, y) => [floor((x - x0) / cell), floor((y - y0) / cell)];
+
+  function fits(x, y) {
+    if (x < x0 || y < y0 || x >= x0 + w || y >= y0 + h) return false;
+    const [gx, gy] = cellOf(x, y);
+    for (let j = max(0, gy - 2); j <= min(gh - 1, gy + 2); j++) {
+      for (let i = max(0, gx - 2); i <= min(gw - 1, gx + 2); i++) {
+        for (const q of grid[j * gw + i]) {
+          if ((q.x - x) * (q.x - x) + (q.y - y) * (q.y - y) < r * r) return false;
         }
       }
     }
+    return true;
   }
 
-  getAABB() {
-    return { x: this.pos.x - this.w / 2, y: this.pos.y - this.h / 2, w: this.w, h: this.h };
+  function insert(p) {
+    const [gx, gy] = cellOf(p.x, p.y);
+    if (gx < 0 || gy < 0 || gx >= gw || gy >= gh) return;
+    grid[gy * gw + gx].push(p);
   }
 
-  isFarOffscreen() {
-    return (
-      this.pos.x < -OFFSCREEN_PAD || this.pos.x > width + OFFSCREEN_PAD ||
-      this.pos.y < -OFFSCREEN_PAD || this.pos.y > height + OFFSCREEN_PAD
-    );
+  for (const p of existing) insert({ x: p.x, y: p.y });
+
+  for (let t = 0; t < TRIES && points.length === 0; t++) {
+    const x = x0 + rng.next() * w;
+    const y = y0 + rng.next() * h;
+    if (fits(x, y)) {
+      const p = { x, y };
+      insert(p);
+      points.push(p);
+      active.push(p);
+    }
   }
 
-  // helper for still-mode freeze
-  getRenderImage() {
-    if (this.state === "crash") {
-      if (this.crashPhase === 0) return GFX.carCrash0;
-      if (this.crashPhase === 1) return (this.crashVariant === "u") ? GFX.carCrash1u : GFX.carCrash1d;
-      return (this.crashVariant === "u") ? GFX.carCrash3u : GFX.carCrash3d;
+  while (active.length > 0) {
+    const ai = floor(rng.next() * active.length);
+    const a = active[ai];
+    let found = false;
+
+    for (let t = 0; t < TRIES; t++) {
+      const ang = rng.next() * TWO_PI;
+      const d = r * (1 + rng.next());
+      const x = a.x + cos(ang) * d;
+      const y = a.y + sin(ang) * d;
+      if (!fits(x, y)) continue;
+
+      const p = { x, y };
+      insert(p);
+      points.push(p);
+      active.push(p);
+      found = true;
+      break;
+    }
+
+    if (!found) {
+      active[ai] = active[active.length - 1];
+      active.pop();
     }
-    if (this.state === "wreck" && this.frozenImg) return this.frozenImg;
-    return this.anim.frame();
   }
 
-  draw() {
-    let img = (MODE === "still" && this.frozenImg) ? this.frozenImg : null;
+  return points;
+}
 
-    if (!img) {
-      if (this.state === "crash") {
-        if (this.crashPhase === 0) img = GFX.carCrash0;
-        else if (this.crashPhase === 1) img = (this.crashVariant === "u") ? GFX.carCrash1u : GFX.carCrash1d;
-        else img = (this.crashVariant === "u") ? GFX.carCrash3u : GFX.carCrash3d;
-      } else if (this.state === "wreck" && this.frozenImg) {
-        img = this.frozenImg;
-      } else {
-        img = this.anim.frame();
+function fillBounds() {
+  const { FROG_RENDER_SIZE, WORLD_EDGE_PAD_Y } = world.tuning;
+  const pad = min(WORLD_EDGE_PAD_Y, floor(world.height * 0.5));
+  return { x: FROG_RENDER_SIZE * 0.5, y: pad, w: max(1, world.width - FROG_RENDER_SIZE), h: max(1, world.height - pad * 2) };
+}
+
+// Lanes are horizontal bands one car tall; each chosen lane gets convoys
+// of 2-5 cars that share direction and speed.
+function generateCarConvoys(rng, density, laneShare = 1) {
+  const { CAR_BODY_W, CAR_BODY_H } = world.tuning;
+  const b = fillBounds();
+  const laneH = CAR_BODY_H;
+  const laneCount = max(1, floor(b.h / laneH));
+  const lanes = [];
+
+  for (let i = 0; i < laneCount; i++) {
+    if (rng.next() > density * laneShare) continue;
+    const y = b.y + laneH * (i + 0.5);
+    const dir = (rng.next() < 0.5) ? -1 : 1;
+    const sp = 20 + rng.next() * 70; // same meaning as drag speed in spawnCar()
+    lanes.push(y);
+
+    let x = rng.next() * CAR_BODY_W * 3;
+    while (x < world.width) {
+      const n = 2 + floor(rng.next() * 4);
+      for (let k = 0; k < n && x < world.width; k++) {
+        spawnCar(dir, sp, x, y);
+        x += CAR_BODY_W * 1.1;
       }
+      x += CAR_BODY_W * (1 + rng.next() * 6) / max(0.15, density);
     }
+  }
+  return lanes;
+}
 
-    if (!img) return;
+function generateFrogField(rng, density, pileSetting, avoidLanes = []) {
+  const b = fillBounds();
+  const { FROG_SPAWN_MIN_DIST, CAR_BODY_H, FROG_HIT_RADIUS } = world.tuning;
+  const r = FROG_SPAWN_MIN_DIST / sqrt(max(0.02, density));
+  const existing = world.frogs.map(f => f.pos);
+  const laneClear = CAR_BODY_H * 0.5 + FROG_HIT_RADIUS;
+
+  const pts = poissonDiskPoints(rng, b.x, b.y, b.w, b.h, r, existing);
+  for (const p of pts) {
+    if (avoidLanes.some(ly => abs(p.y - ly) < laneClear)) continue;
+    const pile = (pileSetting === "mix") ? 1 + floor(rng.next() * FROG_MAX_PILE) : Number(pileSetting);
+    spawnFrog(p.x, p.y, { allowStack: false, pile });
+  }
+}
 
-    push();
-    translate(this.pos.x, this.pos.y);
-    imageMode(CENTER);
-    scale(-this.dir, 1);
-    tint(255, this.alpha);
-    image(img, 0, 0, this.renderW, this.renderH);
-    noTint();
-    pop();
+function fillScene(kind, density, pileSetting, seed) {
+  const rng = new SeededRandom(seed);
+  density = constrain(density, 0, 1);
+  if (density <= 0 && kind !== "stress") return; // the stress scene has a fixed size
+
+  beginHistoryStep();
+  if (kind === "stress") {
+    generateStressScene(rng, pileSetting);
+  } else if (kind === "frogs") {
+    generateFrogField(rng, density, pileSetting);
+  } else if (kind === "cars") {
+    generateCarConvoys(rng, density);
+  } else {
+    // scene: a third of the lanes get traffic, frogs fill the space between them
+    const lanes = generateCarConvoys(rng, density, 0.35);
+    generateFrogField(rng, density, pileSetting, lanes);
   }
+  commitHistoryStep();
+}
+
+// Benchmark scene: STRESS_FROGS frogs scattered at random (overlaps allowed)
+// and STRESS_CARS cars in random lanes. Density is ignored.
+const STRESS_FROGS = 5000;
+const STRESS_CARS = 300;
+
+function generateStressScene(rng, pileSetting) {
+  const b = fillBounds();
+  for (let i = 0; i < STRESS_FROGS; i++) {
+    const pile = (pileSetting === "mix") ? 1 + floor(rng.next() * FROG_MAX_PILE) : Number(pileSetting);
+    spawnFrog(b.x + rng.next() * b.w, b.y + rng.next() * b.h, { allowStack: false, pile });
+  }
+  for (let i = 0; i < STRESS_CARS; i++) {
+    const dir = (rng.next() < 0.5) ? -1 : 1;
+    spawnCar(dir, 20 + rng.next() * 90, b.x + rng.next() * b.w, b.y + rng.next() * b.h);
+  }
+}
+
+function fillFromUI() {
+  const density = Number(fillInput.value()) / 100;
+  inputEvent({
+    type: "fill",
+    kind: fillKindSelect.value(),
+    density: isFinite(density) ? density : 0,
+    pile: fillPileSelect.value(),
+    seed: seedFromText(fillSeedInput.value())
+  });
 }
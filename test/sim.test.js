@@ -0,0 +1,685 @@
+// Simulation core tests (sim.js only, no browser / p5)
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  CHAIN_CRASH_TTL, CHAIN_CRASH_DECAY, CHAIN_CRASH_HOP_DELAY,
+  FROG_EVADE_LEAD_FRAMES, FROG_MAX_PILE,
+  AMBULANCE_SPAWN_DELAY_MS, TOW_SPAWN_DELAY_MS, SIM_DT_MS,
+  Vec, Car, SpatialHash, SimpleFloorSplat, createWorld, stepWorld,
+  addFrog, addCar, addFrogBurst, addAmbulance, addTowTruck, removeEntityAt, carveSplat,
+  moveEntity, flipEntity, cloneEntity,
+  BLOOD_FADE_START_MS, BLOOD_FADE_DUR_MS, sanitizeBloodSettings, BloodSpray,
+  DEFAULT_LAYER_ID, addLayer, moveLayer, removeLayer, layerEditable, editableLayer,
+  requiredSpeedToSquish, handleCarFrogInteractions, triggerChainCrash, handleChainCrashPropagation, resetChainGesture, chainGestureStep,
+  worldToState, applyWorldState,
+  CrashFrogPiece, rescaleWorld, scaledTuning, WORLD_SCALE_MAX, resizeWorld
+} = require("../sim.js");
+
+function makeWorld(opts = {}) {
+  return createWorld({ width: 1000, height: 600, seed: 1234, ...opts });
+}
+
+function placeCar(world, x, y, dir, speed) {
+  const c = new Car(world, x, y, dir, speed, world.creationCounter++);
+  world.cars.push(c);
+  return c;
+}
+
+// Steps until done() holds; fails instead of looping forever.
+function stepUntil(world, done, maxTicks = 2000, beforeStep = null) {
+  for (let i = 0; i < maxTicks; i++) {
+    if (done()) return;
+    if (beforeStep) beforeStep();
+    stepWorld(world);
+  }
+  assert.fail("condition not reached within " + maxTicks + " ticks");
+}
+
+// -------------------------
+// Squish vs evade
+// -------------------------
+test("a car at the squish threshold flattens a single frog", () => {
+  const world = makeWorld();
+  const f = addFrog(world, 500, 300);
+  placeCar(world, 500, 300, 1, requiredSpeedToSquish(world, 1));
+
+  handleCarFrogInteractions(world);
+
+  assert.equal(f.state, "squished");
+  assert.equal(world.bloodSplats.length, 2); // spray + floor splat
+  assert.equal(f.ambulanceScheduled, true);
+});
+
+test("a car below the squish threshold makes the frog jump away", () => {
+  const world = makeWorld();
+  const f = addFrog(world, 500, 300);
+  const c = placeCar(world, 500, 300, 1, requiredSpeedToSquish(world, 1) - 0.5);
+
+  handleCarFrogInteractions(world);
+
+  assert.equal(f.state, "jump");
+  assert.equal(c.state, "drive");
+  assert.equal(world.bloodSplats.length, 0);
+});
+
+test("a single frog dodges a car approaching from behind before contact", () => {
+  const world = makeWorld();
+  const speed = 3;
+  const warnX = world.tuning.FROG_EVADE_BASE_WARN_X + speed * FROG_EVADE_LEAD_FRAMES;
+
+  const near = addFrog(world, 500, 200);
+  const far = addFrog(world, 500, 400);
+  placeCar(world, 500 - (warnX - 10), 200, 1, speed);
+  placeCar(world, 500 - (warnX + 10), 400, 1, speed);
+
+  handleCarFrogInteractions(world);
+
+  assert.equal(near.state, "jump");
+  assert.equal(far.state, "idle");
+});
+
+// -------------------------
+// Piles
+// -------------------------
+test("higher piles need faster cars", () => {
+  const world = makeWorld();
+  for (let pile = 1; pile < FROG_MAX_PILE; pile++) {
+    assert.ok(requiredSpeedToSquish(world, pile + 1) > requiredSpeedToSquish(world, pile));
+  }
+});
+
+test("a slow car crashes into a pile, a fast one squishes it", () => {
+  const slow = makeWorld();
+  const pileA = addFrog(slow, 500, 300, { pile: 3 });
+  const carA = placeCar(slow, 500, 300, 1, requiredSpeedToSquish(slow, 3) - 0.1);
+  handleCarFrogInteractions(slow);
+
+  assert.equal(carA.state, "crash");
+  assert.equal(pileA.state, "idle");
+  assert.equal(pileA.pile, 3);
+  assert.equal(pileA.bounce, 1);
+
+  const fast = makeWorld();
+  const pileB = addFrog(fast, 500, 300, { pile: 3 });
+  const carB = placeCar(fast, 500, 300, 1, requiredSpeedToSquish(fast, 3));
+  handleCarFrogInteractions(fast);
+
+  assert.equal(carB.state, "drive");
+  assert.equal(pileB.state, "squished");
+  assert.equal(pileB.pile, 1);
+});
+
+test("a car fast enough for one frog still crashes into a pile", () => {
+  const world = makeWorld();
+  const f = addFrog(world, 500, 300, { pile: 2 });
+  const c = placeCar(world, 500, 300, 1, requiredSpeedToSquish(world, 1));
+  handleCarFrogInteractions(world);
+
+  assert.equal(c.state, "crash");
+  assert.equal(f.isSquished(), false);
+});
+
+test("tapping a frog grows its pile up to the maximum", () => {
+  const world = makeWorld();
+  const f = addFrog(world, 500, 300);
+  for (let i = 0; i < FROG_MAX_PILE + 3; i++) {
+    f.pileCooldown = 0;
+    assert.equal(addFrog(world, 501, 300), null);
+  }
+  assert.equal(world.frogs.length, 1);
+  assert.equal(f.pile, FROG_MAX_PILE);
+});
+
+// -------------------------
+// Chain crash
+// -------------------------
+test("triggerChainCrash crashes moving cars inside the radius only", () => {
+  const world = makeWorld();
+  const inside = placeCar(world, 500 + world.tuning.CHAIN_CRASH_RADIUS - 1, 300, 1, 0);
+  const outside = placeCar(world, 500 - world.tuning.CHAIN_CRASH_RADIUS - 1, 300, 1, 0);
+
+  triggerChainCrash(world, 500, 300);
+
+  assert.equal(inside.state, "crash");
+  assert.equal(outside.state, "drive");
+});
+
+test("chain crash waves shrink by CHAIN_CRASH_DECAY per hop", () => {
+  const world = makeWorld();
+  const r1 = world.tuning.CHAIN_CRASH_RADIUS * CHAIN_CRASH_DECAY;
+  const r2 = r1 * CHAIN_CRASH_DECAY;
+
+  // A is inside the first wave; B is inside A's (smaller) wave;
+  // C would be inside a wave of radius r1 around B, but not r2.
+  const a = placeCar(world, 150, 300, 1, 0);
+  const b = placeCar(world, 150 + (r1 - 5), 300, 1, 0);
+  const c = placeCar(world, b.pos.x + (r2 + 5), 300, 1, 0);
+  assert.ok(r2 + 5 < r1);
+
+  world.crashQueue.push({ pos: new Vec(100, 300), radius: world.tuning.CHAIN_CRASH_RADIUS, ttl: CHAIN_CRASH_TTL, delay: 0 });
+
+  handleChainCrashPropagation(world);
+  assert.equal(a.state, "crash");
+  assert.equal(b.state, "drive");
+  assert.equal(world.crashQueue.length, 1);
+  assert.ok(Math.abs(world.crashQueue[0].radius - r1) < 1e-9);
+  assert.equal(world.crashQueue[0].ttl, CHAIN_CRASH_TTL - 1);
+
+  // next hop fires after the hop delay
+  for (let i = 0; i < CHAIN_CRASH_HOP_DELAY - 1; i++) handleChainCrashPropagation(world);
+  assert.equal(b.state, "drive");
+  handleChainCrashPropagation(world);
+  assert.equal(b.state, "crash");
+  assert.ok(Math.abs(world.crashQueue[0].radius - r2) < 1e-9);
+
+  for (let i = 0; i < CHAIN_CRASH_HOP_DELAY; i++) handleChainCrashPropagation(world);
+  assert.equal(c.state, "drive");
+  assert.equal(world.crashQueue.length, 0);
+});
+
+test("chain crash waves stop after CHAIN_CRASH_TTL hops", () => {
+  const world = makeWorld();
+  // each gap fits the next (smaller) wave, so every hop reaches exactly one more car
+  const cars = [];
+  let x = 100;
+  let radius = world.tuning.CHAIN_CRASH_RADIUS;
+  for (let i = 0; i < CHAIN_CRASH_TTL + 3; i++) {
+    x += radius * 0.9;
+    radius *= CHAIN_CRASH_DECAY;
+    cars.push(placeCar(world, x, 300, 1, 0));
+  }
+
+  world.crashQueue.push({ pos: new Vec(100, 300), radius: world.tuning.CHAIN_CRASH_RADIUS, ttl: CHAIN_CRASH_TTL, delay: 0 });
+  for (let i = 0; i < 200 && world.crashQueue.length; i++) handleChainCrashPropagation(world);
+
+  const crashed = cars.filter(c => c.state === "crash").length;
+  assert.equal(crashed, CHAIN_CRASH_TTL);
+});
+
+test("the chain-crash flick fires the same way at any camera zoom", () => {
+  // Drag segments as the pointer moved on screen; the brush gets them in
+  // world units, i.e. divided by the camera zoom.
+  function flick(screenSegments, zoom) {
+    const g = {};
+    resetChainGesture(g);
+    let fired = 0;
+    for (const seg of screenSegments) if (chainGestureStep(g, seg / zoom, zoom)) fired++;
+    return fired;
+  }
+
+  const fast = [30, 30, 30, 0];
+  const slow = [8, 8, 8, 0];
+  for (const zoom of [0.25, 1, 4]) {
+    assert.equal(flick(fast, zoom), 1, "fast flick at zoom " + zoom);
+    assert.equal(flick(slow, zoom), 0, "slow drag at zoom " + zoom);
+  }
+});
+
+// -------------------------
+// Rescue vehicles
+// -------------------------
+test("an ambulance arrives half a second after a squish and carries the frog away", () => {
+  let clock = 0;
+  const world = makeWorld({ now: () => clock });
+  const f = addFrog(world, 600, 300);
+  f.squish(world, 1);
+  assert.equal(f.ambulanceSpawnAtMs, AMBULANCE_SPAWN_DELAY_MS);
+
+  clock = AMBULANCE_SPAWN_DELAY_MS - 1;
+  stepWorld(world);
+  assert.equal(world.ambulances.length, 0);
+
+  clock = AMBULANCE_SPAWN_DELAY_MS;
+  stepWorld(world);
+  assert.equal(world.ambulances.length, 1);
+  const amb = world.ambulances[0];
+  assert.equal(amb.target, f);
+  assert.equal(amb.state, "toTarget");
+
+  const tick = () => { clock += SIM_DT_MS; };
+  stepUntil(world, () => amb.state === "pickup", 2000, tick);
+  assert.ok(world.frogs.includes(f));
+
+  stepUntil(world, () => amb.state === "leave", 2000, tick);
+  assert.equal(f.removed, true);
+  assert.equal(world.frogs.includes(f), false);
+
+  stepUntil(world, () => world.ambulances.length === 0, 2000, tick);
+});
+
+test("rescue vehicles come in from the edges of a world larger than the view", () => {
+  let clock = 0;
+  const world = makeWorld({ width: 4000, height: 2400, now: () => clock });
+  const left = addFrog(world, 1500, 2000);
+  const right = addFrog(world, 3800, 200);
+  left.squish(world, 1);
+  right.squish(world, 1);
+
+  clock = AMBULANCE_SPAWN_DELAY_MS;
+  stepWorld(world);
+  // from the far side, past the world's edge rather than the canvas width
+  const from = f => world.ambulances.find(a => a.target === f).pos;
+  assert.ok(from(left).x > world.width);
+  assert.ok(from(right).x < 0);
+  assert.ok(Math.abs(from(left).y - 2000) < 100);
+});
+
+test("a pile crash wrecks the car and a tow truck hauls it away", () => {
+  const world = makeWorld();
+  const f = addFrog(world, 520, 300, { pile: 3 });
+  const c = placeCar(world, 400, 300, 1, 4);
+
+  stepUntil(world, () => c.state === "crash", 200);
+  assert.equal(f.isSquished(), false);
+
+  stepUntil(world, () => c.state === "wreck", 200);
+  const wreckedAt = world.now();
+  assert.equal(c.towScheduled, true);
+  assert.equal(world.crashPieces.length, 1);
+
+  stepUntil(world, () => world.towTrucks.length === 1, 200);
+  const waited = world.now() - wreckedAt;
+  assert.ok(waited >= TOW_SPAWN_DELAY_MS && waited < TOW_SPAWN_DELAY_MS + SIM_DT_MS);
+
+  const tow = world.towTrucks[0];
+  assert.equal(tow.target, c);
+  stepUntil(world, () => tow.state === "hook");
+  stepUntil(world, () => tow.state === "leave");
+  stepUntil(world, () => world.towTrucks.length === 0);
+
+  assert.equal(c._towedAway, true);
+  assert.equal(world.cars.includes(c), false);
+});
+
+test("a hand-placed ambulance claims the nearest squished frog", () => {
+  let clock = 0;
+  const world = makeWorld({ now: () => clock });
+  const near = addFrog(world, 300, 300);
+  const far = addFrog(world, 800, 300);
+  near.squish(world, 1);
+  far.squish(world, 1);
+
+  const amb = addAmbulance(world, 250, 300);
+  assert.equal(amb.target, near);
+
+  // the scheduler only sends one more, for the other frog
+  clock = AMBULANCE_SPAWN_DELAY_MS;
+  stepWorld(world);
+  assert.equal(world.ambulances.length, 2);
+  assert.equal(world.ambulances[1].target, far);
+
+  const idle = addAmbulance(world, 900, 300);
+  assert.equal(idle.target, null);
+  stepWorld(world);
+  assert.equal(idle.state, "leave");
+  assert.equal(idle.dir, 1);
+});
+
+test("a hand-placed tow truck hauls off a wreck before the scheduled one comes", () => {
+  const world = makeWorld();
+  addFrog(world, 520, 300, { pile: 3 });
+  const c = placeCar(world, 400, 300, 1, 4);
+  stepUntil(world, () => c.state === "wreck", 400);
+
+  const tow = addTowTruck(world, 300, 320);
+  assert.equal(tow.target, c);
+  stepUntil(world, () => world.towTrucks.length === 0);
+  assert.equal(c._towedAway, true);
+  assert.equal(world.cars.includes(c), false);
+});
+
+// -------------------------
+// Eraser
+// -------------------------
+test("erasing an ambulance hands its frog back to the scheduler", () => {
+  let clock = 0;
+  const world = makeWorld({ now: () => clock });
+  const f = addFrog(world, 300, 300);
+  f.squish(world, 1);
+  addAmbulance(world, 250, 300);
+
+  removeEntityAt(world, "ambulances", 0);
+  assert.equal(f.ambulanceSpawned, false);
+  clock = AMBULANCE_SPAWN_DELAY_MS;
+  stepWorld(world);
+  assert.equal(world.ambulances.length, 1);
+  assert.equal(world.ambulances[0].target, f);
+
+  // erasing the frog sends that ambulance away
+  removeEntityAt(world, "frogs", world.frogs.indexOf(f));
+  stepWorld(world);
+  assert.equal(world.ambulances[0].state, "leave");
+});
+
+test("blood fades on the world's settings and stays for good with neverFade", () => {
+  let clock = 0;
+  const world = makeWorld({ now: () => clock });
+  world.blood = sanitizeBloodSettings({ fadeStartMs: 1000, fadeDurMs: 0 });
+  const b = new SimpleFloorSplat(world, 400, 300, 1);
+  world.bloodSplats.push(b);
+
+  world.blood.neverFade = true;
+  clock = BLOOD_FADE_START_MS + BLOOD_FADE_DUR_MS + 1;
+  stepWorld(world);
+  assert.equal(b.alpha, 255);
+  assert.equal(world.bloodSplats.length, 1);
+
+  world.blood.neverFade = false;
+  stepWorld(world);
+  assert.equal(world.bloodSplats.length, 0);
+});
+
+test("blood size and droplet multipliers scale new sprays only", () => {
+  const world = makeWorld();
+  const normal = new BloodSpray(world, 300, 300, 1);
+  world.blood = sanitizeBloodSettings({ splatScale: 2, dropScale: 0.5, fadeStartMs: "soon" });
+  const sparse = new BloodSpray(world, 300, 300, 1);
+  const splat = new SimpleFloorSplat(world, 300, 300, 1, 60);
+
+  assert.equal(sparse.drops.length, Math.floor(normal.drops.length * 0.5));
+  assert.ok(Math.max(...sparse.drops.map(d => d.r)) > Math.max(...normal.drops.map(d => d.r)));
+  assert.equal(splat.size, 120);
+  assert.equal(world.blood.fadeStartMs, BLOOD_FADE_START_MS);
+});
+
+test("carving blood adds holes only where the splat is, and snapshots copy them", () => {
+  const world = makeWorld();
+  const b = new SimpleFloorSplat(world, 400, 300, 1);
+  world.bloodSplats.push(b);
+
+  assert.equal(carveSplat(b, 100, 100, 20), false);
+  assert.equal(carveSplat(b, 420, 300, 20), true);
+  assert.equal(carveSplat(b, 425, 300, 10), false); // inside the first hole
+  assert.equal(carveSplat(b, 400 - 30, 300, 20), true);
+  assert.equal(b.holes.length, 2);
+
+  const state = worldToState(world);
+  carveSplat(b, 500, 300, 20);
+  assert.equal(state.bloodSplats[0].holes.length, 2);
+
+  const copy = makeWorld();
+  applyWorldState(copy, JSON.parse(JSON.stringify(state)));
+  assert.deepEqual(copy.bloodSplats[0].holes, [{ x: 420, y: 300, r: 20 }, { x: 370, y: 300, r: 20 }]);
+});
+
+// -------------------------
+// Selection editing
+// -------------------------
+test("moving and flipping keep the stacking order; flipping turns a car around", () => {
+  const world = makeWorld();
+  const f = addFrog(world, 300, 300);
+  const c = placeCar(world, 400, 200, 1, 0);
+  const order = [f.createdAt, c.createdAt];
+
+  moveEntity(f, 50, -20);
+  moveEntity(c, 10, 10);
+  assert.deepEqual([f.pos.x, f.pos.y, c.pos.x, c.pos.y], [350, 280, 410, 210]);
+
+  flipEntity(c, 500);
+  assert.equal(c.pos.x, 590);
+  assert.equal(c.dir, -1);
+  assert.deepEqual([f.createdAt, c.createdAt], order);
+});
+
+test("a clone is stamped on top and gets its own ambulance", () => {
+  let clock = 0;
+  const world = makeWorld({ now: () => clock });
+  const f = addFrog(world, 300, 300);
+  addFrog(world, 600, 300);
+  f.squish(world, 1);
+  clock = 200;
+
+  const copy = cloneEntity(world, f);
+  world.frogs.push(copy);
+  assert.ok(copy.createdAt > world.frogs[1].createdAt);
+  assert.equal(copy.ambulanceSpawnAtMs, 200 + AMBULANCE_SPAWN_DELAY_MS);
+
+  clock = 200 + AMBULANCE_SPAWN_DELAY_MS;
+  stepWorld(world);
+  assert.deepEqual(world.ambulances.map(a => a.target).sort((a, b) => a.createdAt - b.createdAt), [f, copy]);
+});
+
+// -------------------------
+// Layers
+// -------------------------
+test("blood and the ambulance land on the squished frog's layer", () => {
+  let clock = 0;
+  const world = makeWorld({ now: () => clock });
+  const top = addLayer(world, "Top");
+  world.activeLayer = top.id;
+  const f = addFrog(world, 300, 300);
+  world.activeLayer = DEFAULT_LAYER_ID;
+
+  f.squish(world, 1);
+  clock = AMBULANCE_SPAWN_DELAY_MS;
+  stepWorld(world);
+  assert.deepEqual(world.bloodSplats.map(b => b.layer), [top.id, top.id]);
+  assert.equal(world.ambulances[0].layer, top.id);
+
+  top.locked = true;
+  assert.equal(layerEditable(world, top.id), false);
+  assert.equal(moveLayer(world, top.id, 1), false);
+  assert.equal(moveLayer(world, top.id, -1), true);
+  assert.deepEqual(world.layers.map(l => l.id), [top.id, DEFAULT_LAYER_ID]);
+
+  assert.equal(removeLayer(world, top.id), true);
+  assert.equal(world.frogs.length + world.bloodSplats.length + world.ambulances.length, 0);
+  assert.equal(removeLayer(world, DEFAULT_LAYER_ID), false); // the last layer stays
+});
+
+test("edits go to the topmost editable layer when the active one is locked", () => {
+  const world = makeWorld();
+  const mid = addLayer(world, "Mid");
+  const top = addLayer(world, "Top");
+  world.activeLayer = top.id;
+  assert.equal(editableLayer(world), top.id);
+
+  top.locked = true;
+  assert.equal(editableLayer(world), mid.id);
+  mid.visible = false;
+  assert.equal(editableLayer(world), DEFAULT_LAYER_ID);
+  world.layers[0].locked = true;
+  assert.equal(editableLayer(world), null);
+});
+
+test("snapshots without layers put everything on one default layer", () => {
+  const world = makeWorld();
+  const second = addLayer(world);
+  world.activeLayer = second.id;
+  addFrog(world, 300, 300);
+  addCar(world, 1, 40, 100, 300);
+
+  const state = worldToState(world);
+  const copy = makeWorld();
+  applyWorldState(copy, JSON.parse(JSON.stringify(state)));
+  assert.deepEqual(copy.layers, world.layers);
+  assert.equal(copy.frogs[0].layer, second.id);
+
+  delete state.layers;
+  applyWorldState(copy, JSON.parse(JSON.stringify(state)));
+  assert.deepEqual(copy.layers.map(l => l.id), [DEFAULT_LAYER_ID]);
+  assert.equal(copy.cars[0].layer, DEFAULT_LAYER_ID);
+});
+
+// -------------------------
+// Spatial index
+// -------------------------
+test("SpatialHash returns items from every cell the rectangle touches", () => {
+  const grid = new SpatialHash(10);
+  grid.insert(0, 5, 5);
+  grid.insert(1, 15, 5);
+  grid.insert(2, -5, -5);
+  grid.insert(3, 55, 55);
+
+  assert.deepEqual(grid.queryRect(0, 0, 12, 9).sort(), [0, 1]);
+  assert.deepEqual(grid.queryRect(-1, -1, 1, 1).sort(), [0, 2]);
+
+  grid.clear();
+  assert.deepEqual(grid.queryRect(-100, -100, 100, 100), []);
+});
+
+// -------------------------
+// Determinism / snapshots
+// -------------------------
+// Snapshots every 25 ticks plus the most rescue vehicles seen at once.
+function busyRun(spatialHash, ticks) {
+  const world = makeWorld({ seed: 99, spatialHash });
+  for (let i = 0; i < 12; i++) addFrogBurst(world, 120 + i * 70, 150 + (i % 4) * 100, 8);
+  for (let i = 0; i < 6; i++) addFrog(world, 300 + i * 90, 520, { pile: 1 + (i % 5) });
+  for (let i = 0; i < 16; i++) {
+    const dir = (i % 2) ? 1 : -1;
+    addCar(world, dir, 30 + i * 6, dir === 1 ? 20 + i * 10 : 980 - i * 10, 150 + (i % 8) * 50);
+  }
+
+  const snapshots = [];
+  let peakRescue = 0;
+  for (let t = 0; t < ticks; t++) {
+    if (t === 60) triggerChainCrash(world, 500, 300);
+    stepWorld(world);
+    peakRescue = Math.max(peakRescue, world.ambulances.length + world.towTrucks.length);
+    if (t % 25 === 0) snapshots.push(worldToState(world));
+  }
+  return { snapshots, peakRescue };
+}
+
+test("the spatial hash gives the same world as scanning every pair", () => {
+  const withGrid = busyRun(true, 700);
+  const scanned = busyRun(false, 700);
+
+  assert.ok(withGrid.peakRescue > 1);
+  assert.deepEqual(withGrid, scanned);
+});
+
+function scriptedRun(seed, ticks) {
+  const world = makeWorld({ seed });
+  addFrogBurst(world, 500, 300, 6);
+  addFrog(world, 700, 200, { pile: 4 });
+  addCar(world, 1, 40, 100, 300);
+  addCar(world, 1, 110, 100, 200);
+  addCar(world, -1, 80, 950, 320);
+  for (let i = 0; i < ticks; i++) stepWorld(world);
+  return world;
+}
+
+test("the same seed replays to the same world", () => {
+  const a = worldToState(scriptedRun(42, 400));
+  const b = worldToState(scriptedRun(42, 400));
+  const c = worldToState(scriptedRun(43, 400));
+
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a, c);
+});
+
+test("a restored snapshot continues exactly like the original", () => {
+  const original = scriptedRun(7, 90);
+  const copy = makeWorld({ seed: 7 });
+  applyWorldState(copy, JSON.parse(JSON.stringify(worldToState(original))));
+  copy.tick = original.tick;
+
+  for (let i = 0; i < 300; i++) {
+    stepWorld(original);
+    stepWorld(copy);
+  }
+  assert.deepEqual(worldToState(copy), worldToState(original));
+});
+
+test("zooming the world rescales entities and tuning around the centre", () => {
+  const world = makeWorld({ width: 800, height: 600 });
+  const frog = addFrog(world, 500, 300);
+  const car = addCar(world, 1, 40, 300, 200);
+  const before = JSON.parse(JSON.stringify(worldToState(world)));
+
+  rescaleWorld(world, 2);
+  assert.equal(world.scale, 2);
+  assert.equal(frog.size, before.frogs[0].size * 2);
+  assert.equal(frog.pos.x, 400 + (500 - 400) * 2);
+  assert.equal(car.w, before.cars[0].w * 2);
+  assert.equal(car.speed, before.cars[0].speed * 2);
+  assert.equal(addFrog(world, 100, 300).hitRadius, frog.hitRadius); // new stamps use the new tuning
+
+  assert.equal(world.tuning.FROG_RENDER_SIZE, scaledTuning(2).FROG_RENDER_SIZE);
+  assert.equal(makeWorld().tuning.FROG_RENDER_SIZE, scaledTuning(1).FROG_RENDER_SIZE); // worlds don't share it
+  assert.equal(world.tuning.FROG_RENDER_SIZE, scaledTuning(2).FROG_RENDER_SIZE);
+
+  rescaleWorld(world, WORLD_SCALE_MAX * 10);
+  assert.equal(world.scale, WORLD_SCALE_MAX);
+
+  // snapshots carry the scale back with the entities
+  applyWorldState(world, before);
+  assert.equal(world.scale, 1);
+  assert.equal(addFrog(world, 100, 500).size, before.frogs[0].size);
+});
+
+test("a rescaled flight carries on along the scaled path", () => {
+  const fly = (scaleAt) => {
+    const world = makeWorld({ seed: 3 });
+    const piece = new CrashFrogPiece(world, 300, 200, 1, "u");
+    world.crashPieces.push(piece);
+    for (let i = 0; i < 20; i++) {
+      if (i === scaleAt) rescaleWorld(world, 2, 0, 0);
+      stepWorld(world);
+    }
+    return piece;
+  };
+  const plain = fly(-1);
+  const zoomed = fly(5);
+
+  assert.equal(zoomed.state, plain.state);
+  assert.ok(Math.abs(zoomed.pos.x - plain.pos.x * 2) < 2);
+  assert.ok(Math.abs(zoomed.pos.y - plain.pos.y * 2) < 2);
+});
+
+test("resize policies keep the composition on the canvas", () => {
+  const make = () => {
+    const world = makeWorld({ width: 1000, height: 600 });
+    addFrog(world, 900, 300);
+    return world;
+  };
+
+  const inside = (world, e) => e.pos.x >= 0 && e.pos.x <= world.width && e.pos.y >= 0 && e.pos.y <= world.height;
+
+  const anchored = make();
+  resizeWorld(anchored, 1200, 800, "anchor");
+  assert.deepEqual([anchored.frogs[0].pos.x, anchored.frogs[0].pos.y], [900, 300]);
+  resizeWorld(anchored, 500, 800, "anchor");
+  assert.ok(inside(anchored, anchored.frogs[0]));
+  assert.deepEqual([anchored.frogs[0].pos.x, anchored.frogs[0].pos.y], [500, 300]);
+
+  const centred = make();
+  resizeWorld(centred, 1200, 800, "center");
+  assert.deepEqual([centred.frogs[0].pos.x, centred.frogs[0].pos.y], [1000, 400]);
+  resizeWorld(centred, 500, 800, "center");
+  assert.ok(inside(centred, centred.frogs[0]));
+
+  const scaled = make();
+  resizeWorld(scaled, 500, 800, "scale");
+  assert.equal(scaled.scale, 0.5);
+  assert.deepEqual([scaled.frogs[0].pos.x, scaled.frogs[0].pos.y], [450, 400]);
+  assert.equal(scaled.frogs[0].size, make().frogs[0].size / 2);
+  assert.equal(make().resizePolicy, "scale");
+});
+
+test("a shrinking window keeps cars on the road instead of culling them", () => {
+  const world = makeWorld({ width: 1000, height: 600 });
+  world.resizePolicy = "anchor";
+  const c = placeCar(world, 900, 300, 1, 1);
+  resizeWorld(world, 400, 600);
+  stepWorld(world);
+  assert.ok(world.cars.includes(c));
+  assert.ok(c.pos.x <= world.width + 1);
+});
+
+test("a snapshot from another world size is fitted by the resize policy", () => {
+  const source = makeWorld({ width: 1000, height: 600 });
+  addFrog(source, 900, 300);
+  const snap = JSON.parse(JSON.stringify(worldToState(source)));
+
+  const world = makeWorld({ width: 500, height: 600 });
+  world.resizePolicy = "center";
+  applyWorldState(world, snap);
+  assert.equal(world.width, 500);
+  assert.equal(world.frogs[0].pos.x, 500); // 650 after centring, pulled back to the edge
+});